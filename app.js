@@ -1,7 +1,7 @@
 // --- Importações Essenciais para o Nosso App ---
 // São como as "ferramentas" que precisamos para construir o player.
-import React, { useState, useEffect, useCallback } from 'react'; // A base do React Native para criar componentes e gerenciar estados.
-import { View, Text, StyleSheet, FlatList, TouchableOpacity, Modal, StatusBar } from 'react-native'; // Componentes visuais básicos do React Native (blocos, textos, listas, botões, modais).
+import React, { useState, useEffect, useLayoutEffect, useCallback, useMemo } from 'react'; // A base do React Native para criar componentes e gerenciar estados.
+import { View, Text, StyleSheet, FlatList, TouchableOpacity, Modal, StatusBar, AccessibilityInfo, useColorScheme } from 'react-native'; // Componentes visuais básicos do React Native (blocos, textos, listas, botões, modais).
 
 // Bibliotecas do Expo, que facilitam muito o desenvolvimento mobile!
 import { Audio } from 'expo-av'; // Essa é a "caixa de som" do nosso app. Permite tocar, pausar e controlar o áudio.
@@ -9,6 +9,11 @@ import * as DocumentPicker from 'expo-document-picker'; // A "mãozinha" que aju
 import * as FileSystem from 'expo-file-system'; // O "gerente de arquivos" do app. Permite copiar, mover e apagar arquivos no armazenamento interno.
 import AsyncStorage from '@react-native-async-storage/async-storage'; // A "memória de longo prazo" do app. Guarda a lista de músicas mesmo depois que o app é fechado.
 import { AntDesign, Feather } from '@expo/vector-icons'; // Nossa "caixa de ícones". Deixa os botões e textos mais bonitos e intuitivos.
+import { useLocales } from 'expo-localization'; // Diz em quais idiomas o celular está configurado.
+
+// Textos, idioma e tema compartilhados com o app do Pomodoro (veja react_pomodoro/lib).
+import { SYSTEM_LANGUAGE, getLocale, loadLanguage, resolveLocale, setLocale, t } from './react_pomodoro/lib/i18n';
+import { DEFAULT_THEME_SETTINGS, loadThemeSettings, resolveTheme } from './react_pomodoro/lib/theme';
 
 // --- Constantes Importantes para a Organização ---
 // É sempre bom ter constantes para caminhos e chaves, facilita a manutenção e evita erros de digitação.
@@ -20,6 +25,18 @@ const AUDIO_DIR = FileSystem.documentDirectory + 'audio/';
 // A "etiqueta" que usamos para salvar e encontrar nossa playlist na "memória de longo prazo" (AsyncStorage).
 const PLAYLIST_STORAGE_KEY = 'mp3_playlist';
 
+// Cores do player a partir do tema escolhido no app do Pomodoro (veja
+// react_pomodoro/lib/theme.js): o mesmo tema e a mesma aparência (clara, escura
+// ou a do sistema) valem aqui. O tema não tem alguns papéis que o player usa,
+// então eles são tirados das cores que ele tem.
+const getPlayerColors = (theme) => ({
+  ...theme.colors,
+  card: theme.colors.surface.slice(0, 7),      // O fundo dos cartões, sem a transparência (o cartão tem sombra).
+  highlight: theme.phases.short.accent,        // Na borda da música que está tocando.
+  warning: theme.colors.danger,                // No ícone do aviso de erro.
+  statusBar: theme.dark ? 'light-content' : 'dark-content',
+});
+
 /**
  * --- O Coração do Nosso Player: O Componente Principal `App` ---
  *
@@ -30,6 +47,39 @@ const PLAYLIST_STORAGE_KEY = 'mp3_playlist';
  * (desenhar na tela) a interface do nosso aplicativo.
  */
 export default function App() {
+  // --- Tema: o mesmo escolhido na tela de aparência do app do Pomodoro ---
+  // `themeSettings` é a escolha salva ({ themeId, appearance }); com a aparência
+  // "sistema", vale o modo claro/escuro do celular, que o `useColorScheme` informa.
+  const colorScheme = useColorScheme();
+  const [themeSettings, setThemeSettings] = useState(DEFAULT_THEME_SETTINGS);
+  useEffect(() => {
+    loadThemeSettings().then(setThemeSettings);
+  }, []);
+  const colors = useMemo(
+    () => getPlayerColors(resolveTheme(themeSettings, colorScheme)),
+    [themeSettings, colorScheme]
+  );
+  // Os estilos só são recriados quando as cores mudam.
+  const styles = useMemo(() => createStyles(colors), [colors]);
+
+  // --- Idioma: o mesmo escolhido no app do Pomodoro ---
+  // `language` é a escolha salva na tela de idioma (ou "seguir o celular").
+  // `useLocales` devolve a lista de idiomas do aparelho, do preferido para o menos preferido.
+  const deviceLocales = useLocales();
+  const [language, setLanguage] = useState(SYSTEM_LANGUAGE);
+  useEffect(() => {
+    loadLanguage().then(setLanguage);
+  }, []);
+  // `t` lê o idioma guardado no módulo de tradução. Trocar esse idioma no meio do desenho
+  // da tela não é permitido no React, então a troca acontece num efeito de layout, e mudar
+  // `appliedLocale` desenha a tela de novo (já no idioma certo) antes de ela aparecer.
+  const locale = resolveLocale(language, deviceLocales);
+  const [, setAppliedLocale] = useState(getLocale);
+  useLayoutEffect(() => {
+    setLocale(locale);
+    setAppliedLocale(locale);
+  }, [locale]);
+
   // --- Estados do Componente: Onde Guardamos as Informações Atuais do App ---
   // `useState` são como "pequenas gavetas" onde armazenamos dados que podem mudar ao longo do tempo
   // e que, quando mudam, fazem com que a tela seja atualizada.
@@ -60,6 +110,10 @@ export default function App() {
   // Usamos isso para mostrar uma mensagem de "Carregando..." e evitar que o usuário interaja antes da playlist estar pronta.
   const [loading, setLoading] = useState(false);
 
+  // `reduceMotion`: Se o usuário pediu "reduzir movimento" nas configurações de acessibilidade do celular.
+  // Quando ligado, o modal de erro aparece sem animação.
+  const [reduceMotion, setReduceMotion] = useState(false);
+
   // --- Efeitos Colaterais (useEffect): Ações que Acontecem Automaticamente ---
   // `useEffect` é um Hook do React que nos permite executar funções em momentos específicos
   // do ciclo de vida do componente (quando ele aparece, quando ele é atualizado, quando ele sai da tela).
@@ -81,7 +135,7 @@ export default function App() {
       } catch (e) {
         // Se algo der errado na configuração, mostramos um erro e logamos para o desenvolvedor.
         console.error("Erro ao configurar o modo de áudio:", e);
-        showCustomAlert("Erro de Configuração", "Ops! Não conseguimos preparar o áudio. Tente reiniciar o aplicativo.");
+        showCustomAlert(t('player.errors.setup.title'), t('player.errors.setup.message'));
       }
     };
     setupAudioMode(); // Chamamos a função para configurar o modo de áudio.
@@ -120,7 +174,7 @@ export default function App() {
       } catch (error) {
         // Se der algum problema ao carregar, avisamos o usuário.
         console.error("Erro ao carregar a playlist:", error);
-        showCustomAlert("Erro de Carregamento", "Eita! Não conseguimos carregar sua playlist salva. Mas você pode adicionar músicas novas!");
+        showCustomAlert(t('player.errors.load.title'), t('player.errors.load.message'));
       } finally {
         setLoading(false); // Terminamos o carregamento, então o indicador some.
       }
@@ -141,7 +195,7 @@ export default function App() {
       } catch (error) {
         // Em caso de erro ao salvar, avisamos.
         console.error("Erro ao salvar a playlist:", error);
-        showCustomAlert("Erro ao Salvar", "Não foi possível salvar a playlist. Suas alterações podem não ser guardadas para a próxima vez.");
+        showCustomAlert(t('player.errors.save.title'), t('player.errors.save.message'));
       }
     };
     // IMPORTANTE: Só salvamos a playlist se não estivermos no meio do processo de carregamento inicial.
@@ -151,6 +205,16 @@ export default function App() {
     }
   }, [playlist, loading]); // Dependências: este efeito é "disparado" quando `playlist` ou `loading` mudam.
 
+  // 4. Preferência de "Reduzir Movimento":
+  // Lemos a preferência uma vez e ficamos escutando, caso o usuário mude com o app aberto.
+  useEffect(() => {
+    AccessibilityInfo.isReduceMotionEnabled()
+      .then(setReduceMotion)
+      .catch(error => console.error("Erro ao ler a preferência de movimento:", error));
+    const subscription = AccessibilityInfo.addEventListener('reduceMotionChanged', setReduceMotion);
+    return () => subscription.remove(); // Paramos de escutar quando o componente sai da tela.
+  }, []);
+
   // --- Funções de Controle de Reprodução de Áudio ---
   // São as funções que fazem o player funcionar: tocar, pausar, parar.
 
@@ -196,7 +260,7 @@ export default function App() {
     } catch (error) {
       // Se algo der errado ao tentar tocar, mostramos um erro amigável.
       console.error("Erro ao reproduzir áudio:", error);
-      showCustomAlert("Erro de Reprodução", "Poxa, não conseguimos tocar esta música. Ela pode estar com problemas ou o formato não é compatível.");
+      showCustomAlert(t('player.errors.play.title'), t('player.errors.play.message'));
       setIsPlaying(false);       // Garante que o estado de reprodução esteja correto (não tocando).
     }
   };
@@ -211,7 +275,7 @@ export default function App() {
         console.log("Música pausada.");
       } catch (error) {
         console.error("Erro ao pausar áudio:", error);
-        showCustomAlert("Erro ao Pausar", "Ih, não conseguimos pausar a música.");
+        showCustomAlert(t('player.errors.pause.title'), t('player.errors.pause.message'));
       }
     }
   };
@@ -229,7 +293,7 @@ export default function App() {
         console.log("Música parada e descarregada.");
       } catch (error) {
         console.error("Erro ao parar áudio:", error);
-        showCustomAlert("Erro ao Parar", "Ops, tivemos um problema ao parar a música.");
+        showCustomAlert(t('player.errors.stop.title'), t('player.errors.stop.message'));
       }
     }
   };
@@ -276,11 +340,11 @@ export default function App() {
         setPlaylist((prevPlaylist) => {
           // Antes de adicionar, verificamos se essa música já não está na playlist (para evitar duplicatas).
           if (!prevPlaylist.some(item => item.uri === destinationUri)) {
-            showCustomAlert("Sucesso!", `Oba! "${fileName}" adicionado com sucesso à playlist.`);
+            showCustomAlert(t('player.success'), t('player.added', { name: fileName }));
             // Se não for duplicata, adicionamos a nova música e retornamos a nova lista.
             return [...prevPlaylist, { name: fileName, uri: destinationUri }];
           }
-          showCustomAlert("Aviso", `A música "${fileName}" já está na sua playlist, chapa!`);
+          showCustomAlert(t('player.warning'), t('player.duplicate', { name: fileName }));
           return prevPlaylist; // Se for duplicata, retornamos a playlist original sem mudanças.
         });
         console.log(`Música "${fileName}" processada e adicionada.`);
@@ -290,7 +354,7 @@ export default function App() {
     } catch (error) {
       // Se der qualquer erro durante a seleção ou cópia, avisamos o usuário.
       console.error("Erro ao selecionar ou copiar arquivo:", error);
-      showCustomAlert("Erro ao Adicionar Música", "Que pena! Não conseguimos adicionar o MP3. Verifique as permissões ou tente outro arquivo.");
+      showCustomAlert(t('player.errors.add.title'), t('player.errors.add.message'));
     }
   };
 
@@ -312,11 +376,11 @@ export default function App() {
       setPlaylist((prevPlaylist) =>
         prevPlaylist.filter((item) => item.uri !== itemUri)
       );
-      showCustomAlert("Sucesso!", `Pronto! "${fileName}" foi removido da sua playlist e do celular.`);
+      showCustomAlert(t('player.success'), t('player.removed', { name: fileName }));
       console.log(`Música "${fileName}" removida com sucesso.`);
     } catch (error) {
       console.error("Erro ao remover arquivo:", error);
-      showCustomAlert("Erro ao Remover Música", "Vish! Não conseguimos remover o MP3. Tente novamente ou verifique as permissões.");
+      showCustomAlert(t('player.errors.remove.title'), t('player.errors.remove.message'));
     }
   };
 
@@ -350,31 +414,32 @@ export default function App() {
     // `View`: É como uma `div` do HTML, um container básico para organizar elementos.
     <View style={styles.container}>
       {/* StatusBar: Controla como a barra de status do celular (hora, bateria, sinal) aparece. */}
-      {/* `barStyle="light-content"`: faz os ícones na barra de status ficarem claros, bom para fundo escuro. */}
-      {/* `backgroundColor="#1A1C2C"`: Cor de fundo da barra de status, combinando com o nosso app. */}
-      <StatusBar barStyle="light-content" backgroundColor="#1A1C2C" />
+      {/* `barStyle`: ícones claros no fundo escuro, ou escuros no fundo claro. */}
+      {/* `backgroundColor`: Cor de fundo da barra de status, combinando com o nosso app. */}
+      <StatusBar barStyle={colors.statusBar} backgroundColor={colors.background} />
 
       {/* headerContainer: Um container para o título, para centralizar melhor. */}
       <View style={styles.headerContainer}>
         {/* Feather: Ícone de fone de ouvido para o título, um charme a mais! */}
         {/* `name="headphones"`: O nome do ícone. */}
         {/* `size={32}`: O tamanho do ícone. */}
-        {/* `color="#F0F2F7"`: A cor do ícone. */}
-        <Feather name="headphones" size={32} color="#F0F2F7" style={styles.headerIcon} />
-        {/* Text: O título do nosso player. */}
-        <Text style={styles.header}>Meu Player MP3</Text>
+        {/* `color={colors.text}`: A cor do ícone, a mesma do texto. */}
+        {/* O ícone é só enfeite, então escondemos ele do leitor de tela. */}
+        <Feather name="headphones" size={32} color={colors.text} style={styles.headerIcon} accessibilityElementsHidden importantForAccessibility="no" />
+        {/* Text: O título do nosso player. `accessibilityRole="header"` avisa o leitor de tela que é um título. */}
+        <Text style={styles.header} accessibilityRole="header">{t('player.title')}</Text>
       </View>
 
       {/* Botão para Adicionar Músicas: */}
       {/* `TouchableOpacity`: Um botão que "some" um pouco quando tocado, dando feedback visual. */}
-      <TouchableOpacity style={styles.addButton} onPress={pickAudioFile}>
+      <TouchableOpacity style={styles.addButton} onPress={pickAudioFile} accessibilityRole="button">
         {/* AntDesign: Ícone de adição (o "mais" dentro de um círculo). */}
-        <AntDesign name="pluscircle" size={24} color="#F0F2F7" style={styles.buttonIcon} />
-        <Text style={styles.addButtonText}>Adicionar Música</Text>
+        <AntDesign name="pluscircle" size={24} color={colors.onAccent} style={styles.buttonIcon} />
+        <Text style={styles.addButtonText}>{t('player.addMusic')}</Text>
       </TouchableOpacity>
 
       {/* Indicador de Carregamento: Mostrado apenas quando o `loading` é `true`. */}
-      {loading && <Text style={styles.loadingText}>Carregando playlist, segura a emoção...</Text>}
+      {loading && <Text style={styles.loadingText}>{t('player.loading')}</Text>}
 
       {/* FlatList: Componente otimizado para exibir listas grandes de itens. */}
       {/* É como uma `ul` (lista não ordenada) super inteligente para mobile. */}
@@ -384,7 +449,7 @@ export default function App() {
         // `ListEmptyComponent`: O que mostrar se a lista de músicas estiver vazia.
         ListEmptyComponent={
           <Text style={styles.emptyListText}>
-            Eita! Nenhuma música na playlist ainda. Toque em "Adicionar Música" para começar a festa!
+            {t('player.emptyList')}
           </Text>
         }
         // `renderItem`: Uma função que diz como cada item da `playlist` deve ser desenhado na tela.
@@ -407,20 +472,27 @@ export default function App() {
                 style={styles.controlButton}
                 // O `onPress` verifica se a música atual é esta. Se for, pausa. Se não, toca.
                 onPress={() => (isPlaying && currentSound && currentSound._uri === item.uri ? pauseAudio() : playAudio(item.uri))}
+                // Botões só com ícone precisam de um rótulo para o leitor de tela (TalkBack/VoiceOver).
+                // O rótulo e o estado `selected` dizem se esta música está tocando.
+                accessibilityRole="button"
+                accessibilityLabel={isPlaying && currentSound && currentSound._uri === item.uri ? t('player.pause', { name: item.name }) : t('player.play', { name: item.name })}
+                accessibilityState={{ selected: !!(isPlaying && currentSound && currentSound._uri === item.uri) }}
               >
                 {/* Lógica para mostrar o ícone de pausa ou play. */}
                 {isPlaying && currentSound && currentSound._uri === item.uri ? (
-                  <AntDesign name="pausecircle" size={24} color="#F0F2F7" /> // Ícone de pausa.
+                  <AntDesign name="pausecircle" size={24} color={colors.text} /> // Ícone de pausa.
                 ) : (
-                  <AntDesign name="playcircleo" size={24} color="#F0F2F7" /> // Ícone de play.
+                  <AntDesign name="playcircleo" size={24} color={colors.text} /> // Ícone de play.
                 )}
               </TouchableOpacity>
               {/* Botão Remover: */}
               <TouchableOpacity
                 style={[styles.controlButton, styles.removeButton]} // Aplica estilos de controle e de remoção.
                 onPress={() => removeAudio(item.uri, item.name)} // Chama a função para remover.
+                accessibilityRole="button"
+                accessibilityLabel={t('player.remove', { name: item.name })}
               >
-                <AntDesign name="delete" size={24} color="#F0F2F7" /> {/* Ícone de lixeira. */}
+                <AntDesign name="delete" size={24} color={colors.onAccent} /> {/* Ícone de lixeira. */}
               </TouchableOpacity>
             </View>
           </View>
@@ -433,8 +505,9 @@ export default function App() {
       {currentSound && (
         <View style={styles.playerControls}>
           {/* Nome da música que está tocando agora. */}
-          <Text style={styles.nowPlayingText} numberOfLines={1}>
-            Tocando Agora: {playlist.find(item => item.uri === currentSound._uri)?.name || 'Música Desconhecida'}
+          {/* `accessibilityLiveRegion`: no Android, o leitor de tela fala quando a música muda. */}
+          <Text style={styles.nowPlayingText} numberOfLines={1} accessibilityLiveRegion="polite">
+            {t('player.nowPlaying')} {playlist.find(item => item.uri === currentSound._uri)?.name || t('player.unknownTrack')}
           </Text>
           {/* Tempo de reprodução atual e duração total. */}
           {playbackStatus && (
@@ -443,16 +516,16 @@ export default function App() {
             </Text>
           )}
           {/* Botão Parar Tudo: Para qualquer música que esteja tocando. */}
-          <TouchableOpacity style={styles.stopButton} onPress={stopAudio}>
-            <AntDesign name="stopcircleo" size={24} color="#F0F2F7" style={styles.buttonIcon} />
-            <Text style={styles.stopButtonText}>Parar Tudo</Text>
+          <TouchableOpacity style={styles.stopButton} onPress={stopAudio} accessibilityRole="button">
+            <AntDesign name="stopcircleo" size={24} color={colors.onAccent} style={styles.buttonIcon} />
+            <Text style={styles.stopButtonText}>{t('player.stopAll')}</Text>
           </TouchableOpacity>
         </View>
       )}
 
       {/* Modal de Erro Personalizado: Nosso "pop-up" de aviso bonitinho. */}
       <Modal
-        animationType="fade" // A animação quando o modal aparece/desaparece.
+        animationType={reduceMotion ? 'none' : 'fade'} // A animação quando o modal aparece/desaparece (nenhuma se o usuário pediu menos movimento).
         transparent={true}   // Deixa o fundo transparente para ver o app por trás (escurecido).
         visible={showErrorModal} // Controla a visibilidade com base no estado `showErrorModal`.
         onRequestClose={closeErrorModal} // Função para fechar o modal (ex: clicando fora ou no botão de voltar do Android).
@@ -460,14 +533,14 @@ export default function App() {
         <View style={styles.centeredView}>
           <View style={styles.modalView}>
             {/* Ícone de aviso/perigo. */}
-            <AntDesign name="warning" size={40} color="#FF6347" style={styles.modalIcon} /> {/* Cor "Tomato" para o ícone de aviso, bem vibrante! */}
+            <AntDesign name="warning" size={40} color={colors.warning} style={styles.modalIcon} accessibilityElementsHidden importantForAccessibility="no" /> {/* Cor de alerta do tema para o ícone de aviso, bem vibrante! */}
             {/* Título do erro. */}
             <Text style={styles.modalTitle}>{errorMessage.title}</Text>
             {/* Mensagem detalhada do erro. */}
             <Text style={styles.modalText}>{errorMessage.message}</Text>
             {/* Botão para fechar o modal. */}
-            <TouchableOpacity style={styles.modalButton} onPress={closeErrorModal}>
-              <Text style={styles.modalButtonText}>Entendi</Text>
+            <TouchableOpacity style={styles.modalButton} onPress={closeErrorModal} accessibilityRole="button">
+              <Text style={styles.modalButtonText}>{t('player.understood')}</Text>
             </TouchableOpacity>
           </View>
         </View>
@@ -479,11 +552,12 @@ export default function App() {
 // --- Estilos da Aplicação (Onde a Mágica Visual Acontece!) ---
 // `StyleSheet.create` é a forma padrão e mais performática de definir estilos no React Native.
 // As cores e tamanhos foram escolhidos para combinar com a imagem que você enviou.
-const styles = StyleSheet.create({
+// As cores vêm do tema em uso (`getPlayerColors`), por isso os estilos são criados a partir delas.
+const createStyles = (colors) => StyleSheet.create({
   // `container`: O estilo do nosso "fundo" principal do aplicativo.
   container: {
     flex: 1, // Faz com que o container ocupe todo o espaço disponível na tela.
-    backgroundColor: '#1A1C2C', // Cor de fundo escura, como na imagem.
+    backgroundColor: colors.background, // Cor de fundo do tema (escura, como na imagem, ou clara).
     paddingTop: StatusBar.currentHeight + 20, // Garante que o conteúdo não fique escondido atrás da barra de status.
     paddingHorizontal: 20, // Espaçamento nas laterais.
     alignItems: 'center', // Centraliza os itens horizontalmente dentro do container.
@@ -498,7 +572,7 @@ const styles = StyleSheet.create({
   header: {
     fontSize: 32, // Tamanho da fonte grande.
     fontWeight: 'bold', // Negrito.
-    color: '#F0F2F7', // Cor de texto clara, para contrastar com o fundo escuro.
+    color: colors.text, // Cor de texto que contrasta com o fundo.
     textAlign: 'center', // Alinhamento central do texto.
     // Abaixo, estilos para alinhar o ícone com o texto, se o ícone for parte do `Text`
     // (no nosso caso, o ícone é irmão do texto, então esses estilos não são estritamente necessários para ele,
@@ -513,7 +587,7 @@ const styles = StyleSheet.create({
   },
   // `addButton`: Estilo do botão "Adicionar Música".
   addButton: {
-    backgroundColor: '#7D4CDB', // Um roxo vibrante, parecido com os botões da imagem.
+    backgroundColor: colors.accent, // A cor de destaque do tema, como nos botões do cronômetro.
     flexDirection: 'row', // Organiza o ícone e o texto lado a lado.
     alignItems: 'center', // Centraliza verticalmente ícone e texto.
     paddingVertical: 16, // Espaçamento interno vertical.
@@ -528,7 +602,7 @@ const styles = StyleSheet.create({
   },
   // `addButtonText`: Estilo do texto dentro do botão "Adicionar Música".
   addButtonText: {
-    color: '#F0F2F7', // Cor do texto clara.
+    color: colors.onAccent, // Texto legível em cima do destaque.
     fontSize: 19, // Tamanho da fonte.
     fontWeight: '600', // Peso da fonte (um pouco mais negrito).
     marginLeft: 10, // Margem à esquerda do texto (distância do ícone).
@@ -540,13 +614,13 @@ const styles = StyleSheet.create({
   // `loadingText`: Estilo para a mensagem "Carregando playlist...".
   loadingText: {
     fontSize: 16,
-    color: '#9BB8D2', // Azul acinzentado claro.
+    color: colors.textMuted, // Azul acinzentado, para textos secundários.
     marginBottom: 15,
   },
   // `emptyListText`: Estilo para a mensagem que aparece quando a playlist está vazia.
   emptyListText: {
     fontSize: 17,
-    color: '#9BB8D2',
+    color: colors.textMuted,
     textAlign: 'center',
     marginTop: 60,
     fontStyle: 'italic', // Texto em itálico.
@@ -565,7 +639,7 @@ const styles = StyleSheet.create({
     flexDirection: 'row', // Organiza o nome da música e os botões lado a lado.
     justifyContent: 'space-between', // Distribui o espaço entre os itens.
     alignItems: 'center', // Alinha verticalmente no centro.
-    backgroundColor: '#272A3D', // Um tom mais claro de azul escuro, para os cards.
+    backgroundColor: colors.card, // Cor dos cards, um pouco destacada do fundo.
     padding: 18, // Espaçamento interno.
     borderRadius: 20, // Cantos arredondados, como nos cards da imagem.
     marginBottom: 12, // Espaçamento entre os cards.
@@ -580,7 +654,7 @@ const styles = StyleSheet.create({
   // `currentTrackPlaying`: Estilo EXTRA para o card da música que está tocando.
   // Será aplicado EM CIMA do `trackItem`.
   currentTrackPlaying: {
-    borderColor: '#7FFFD4', // Borda verde água, bem chamativa!
+    borderColor: colors.highlight, // Borda de destaque, bem chamativa!
     borderWidth: 2,
     shadowOpacity: 0.5,
     shadowRadius: 8,
@@ -590,7 +664,7 @@ const styles = StyleSheet.create({
   trackName: {
     flex: 1, // Faz o texto ocupar o máximo de espaço possível.
     fontSize: 17,
-    color: '#F0F2F7',
+    color: colors.text,
     marginRight: 10,
     fontWeight: '500', // Meio-termo entre normal e negrito.
   },
@@ -603,17 +677,17 @@ const styles = StyleSheet.create({
   controlButton: {
     padding: 8, // Espaçamento interno.
     borderRadius: 20, // Deixa os botões redondos.
-    backgroundColor: 'rgba(255, 255, 255, 0.1)', // Um fundo semi-transparente branco.
+    backgroundColor: colors.control, // Um fundo semi-transparente.
     marginLeft: 12, // Margem entre os botões de controle.
   },
   // `removeButton`: Estilo específico para o botão de remover (sobrepõe o `controlButton`).
   removeButton: {
-    backgroundColor: '#DC143C', // Um vermelho forte (Carmesim), para indicar "perigo" ou remoção.
+    backgroundColor: colors.danger, // Um vermelho forte (Carmesim), para indicar "perigo" ou remoção.
   },
   // `playerControls`: Estilo para a barra de controle global do player (nome da música, tempo, botão "Parar Tudo").
   playerControls: {
     width: '100%',
-    backgroundColor: '#272A3D', // Mesma cor dos cards da playlist.
+    backgroundColor: colors.card, // Mesma cor dos cards da playlist.
     padding: 25,
     borderRadius: 20, // Cantos arredondados.
     marginTop: 30, // Espaçamento acima.
@@ -627,7 +701,7 @@ const styles = StyleSheet.create({
   },
   // `nowPlayingText`: Estilo do texto "Tocando Agora: [Nome da Música]".
   nowPlayingText: {
-    color: '#F0F2F7',
+    color: colors.text,
     fontSize: 20,
     fontWeight: 'bold',
     marginBottom: 8,
@@ -635,13 +709,13 @@ const styles = StyleSheet.create({
   },
   // `playbackTime`: Estilo do texto que mostra o tempo da música (00:00 / 03:45).
   playbackTime: {
-    color: '#9BB8D2',
+    color: colors.textMuted,
     fontSize: 17,
     marginBottom: 15,
   },
   // `stopButton`: Estilo do botão "Parar Tudo".
   stopButton: {
-    backgroundColor: '#7D4CDB', // Mesmo roxo vibrante do botão "Adicionar Música".
+    backgroundColor: colors.accent, // Mesmo destaque do botão "Adicionar Música".
     flexDirection: 'row',
     alignItems: 'center',
     paddingVertical: 14,
@@ -655,7 +729,7 @@ const styles = StyleSheet.create({
   },
   // `stopButtonText`: Estilo do texto dentro do botão "Parar Tudo".
   stopButtonText: {
-    color: '#F0F2F7',
+    color: colors.onAccent,
     fontSize: 19,
     fontWeight: '600',
     marginLeft: 10,
@@ -666,12 +740,12 @@ const styles = StyleSheet.create({
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: 'rgba(0, 0, 0, 0.7)', // Fundo preto semi-transparente para o efeito "overlay".
+    backgroundColor: colors.overlay, // Fundo preto semi-transparente para o efeito "overlay".
   },
   // `modalView`: O "card" principal do modal de erro.
   modalView: {
     margin: 25,
-    backgroundColor: '#272A3D', // Fundo escuro para o modal, combinando com o tema.
+    backgroundColor: colors.card, // Fundo do modal, combinando com os cards.
     borderRadius: 25, // Cantos arredondados.
     padding: 40, // Espaçamento interno.
     alignItems: 'center', // Centraliza o conteúdo.
@@ -690,7 +764,7 @@ const styles = StyleSheet.create({
     fontSize: 24,
     fontWeight: 'bold',
     marginBottom: 18,
-    color: '#FF6347', // Cor de texto laranja-avermelhada para o título do erro, bem evidente!
+    color: colors.warning, // Cor de texto laranja-avermelhada para o título do erro, bem evidente!
     textAlign: 'center',
   },
   // `modalText`: Estilo para a mensagem detalhada do erro.
@@ -698,12 +772,12 @@ const styles = StyleSheet.create({
     marginBottom: 25,
     textAlign: 'center',
     fontSize: 17,
-    color: '#F0F2F7', // Texto claro para a mensagem.
+    color: colors.text, // Texto da mensagem.
     lineHeight: 24, // Altura da linha para melhor legibilidade.
   },
   // `modalButton`: Estilo para o botão "Entendi" do modal.
   modalButton: {
-    backgroundColor: '#7D4CDB', // Roxo vibrante, para combinar e ser clicável.
+    backgroundColor: colors.accent, // Roxo vibrante, para combinar e ser clicável.
     borderRadius: 15,
     paddingVertical: 12,
     paddingHorizontal: 30,
@@ -715,7 +789,7 @@ const styles = StyleSheet.create({
   },
   // `modalButtonText`: Estilo do texto dentro do botão do modal.
   modalButtonText: {
-    color: 'white',
+    color: colors.onAccent,
     fontWeight: 'bold',
     textAlign: 'center',
     fontSize: 18,
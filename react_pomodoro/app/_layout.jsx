@@ -0,0 +1,35 @@
+import { Stack } from 'expo-router';
+import { StatusBar } from 'expo-status-bar';
+import I18nProvider from '../components/I18nProvider';
+import ThemeProvider from '../components/ThemeProvider';
+import { useTheme } from '../hooks/useTheme';
+
+// Layout raiz: todas as telas, inclusive o cabeçalho e a barra de status,
+// seguem o tema escolhido (veja lib/theme.js) e o idioma (veja lib/i18n.js).
+export default function RootLayout() {
+  return (
+    <I18nProvider>
+      <ThemeProvider>
+        <ThemedStack />
+      </ThemeProvider>
+    </I18nProvider>
+  );
+}
+
+function ThemedStack() {
+  const { dark, colors } = useTheme();
+
+  return (
+    <>
+      <StatusBar style={dark ? 'light' : 'dark'} />
+      <Stack
+        screenOptions={{
+          headerStyle: { backgroundColor: colors.background },
+          headerTintColor: colors.text,
+          headerShadowVisible: false,
+          contentStyle: { backgroundColor: colors.background },
+        }}
+      />
+    </>
+  );
+}
@@ -0,0 +1,267 @@
+import { useEffect, useState } from 'react';
+import { Alert, Pressable, ScrollView, StyleSheet, Switch, Text, TouchableOpacity, View } from 'react-native';
+import { Stack, useRouter } from 'expo-router';
+import { Feather } from '@expo/vector-icons';
+import {
+  ALARM_VOLUMES,
+  DEFAULT_ALARM_SETTINGS,
+  FADE_IN_SECONDS,
+  VIBRATION_PATTERNS,
+  getAlarmSoundOptions,
+  loadAlarmSettings,
+  saveAlarmSettings,
+  vibrate
+} from '../lib/alarm';
+import { loadPlaylist } from '../lib/playlist';
+import { useAlarm } from '../hooks/useAlarm';
+import { useTheme, useThemedStyles } from '../hooks/useTheme';
+import { useI18n } from '../hooks/useI18n';
+
+const soundFields = ['focusEndSound', 'breakEndSound'];
+
+function PreviewButton({ ringing, onPress, label }) {
+  const styles = useThemedStyles(createStyles);
+  const { colors } = useTheme();
+  const { t } = useI18n();
+
+  return (
+    <TouchableOpacity
+      style={styles.previewButton}
+      onPress={onPress}
+      accessibilityRole="button"
+      accessibilityLabel={ringing ? t('alarm.stopPreview') : label ?? t('alarm.preview')}
+      accessibilityState={{ selected: ringing }}
+    >
+      <Feather name={ringing ? 'square' : 'play'} size={18} color={colors.text} />
+    </TouchableOpacity>
+  );
+}
+
+export default function AlarmSettings() {
+  const styles = useThemedStyles(createStyles);
+  const { colors } = useTheme();
+  const { t, formatNumber } = useI18n();
+  const router = useRouter();
+  const [alarmSettings, setAlarmSettings] = useState(DEFAULT_ALARM_SETTINGS);
+  const [soundOptions, setSoundOptions] = useState(getAlarmSoundOptions([]));
+  // Qual prévia está tocando, para o botão dela virar "parar".
+  const [previewing, setPreviewing] = useState(null);
+  const { isRinging, ring, stop } = useAlarm();
+
+  useEffect(() => {
+    Promise.all([loadAlarmSettings(), loadPlaylist()]).then(([storedSettings, playlist]) => {
+      setAlarmSettings(storedSettings);
+      setSoundOptions(getAlarmSoundOptions(playlist));
+    });
+  }, []);
+
+  const update = (changes) => setAlarmSettings(prev => ({ ...prev, ...changes }));
+
+  // Cada prévia toca só o que a opção muda: as outras opções ficam neutras.
+  const preview = (key, overrides, soundId = alarmSettings.focusEndSound) => {
+    if (isRinging && previewing === key) {
+      stop();
+      return;
+    }
+    setPreviewing(key);
+    ring({ ...alarmSettings, repeat: false, fadeInSeconds: 0, vibration: 'none', ...overrides }, soundId);
+  };
+
+  const previewProps = (key, overrides, soundId) => ({
+    ringing: isRinging && previewing === key,
+    onPress: () => preview(key, overrides, soundId),
+  });
+
+  const handleSave = async () => {
+    try {
+      await stop();
+      await saveAlarmSettings(alarmSettings);
+      router.back();
+    } catch (error) {
+      console.log('Erro salvando configurações do alarme:', error);
+      Alert.alert(t('common.error'), t('alarm.saveError'));
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Stack.Screen options={{ title: t('alarm.title') }} />
+
+      {soundFields.map(field => (
+        <View key={field} style={styles.card}>
+          <View style={styles.row}>
+            <Text style={styles.sectionTitle}>{t(`alarm.fields.${field}`)}</Text>
+            <PreviewButton {...previewProps(field, {}, alarmSettings[field])} />
+          </View>
+          <View style={styles.chips}>
+            {soundOptions.map(option => (
+              <Pressable
+                key={option.id}
+                style={[styles.chip, alarmSettings[field] === option.id && styles.chipActive]}
+                onPress={() => update({ [field]: option.id })}
+                accessibilityRole="button"
+                accessibilityState={{ selected: alarmSettings[field] === option.id }}
+              >
+                <Text style={styles.chipText} numberOfLines={1}>{option.label}</Text>
+              </Pressable>
+            ))}
+          </View>
+        </View>
+      ))}
+      <Text style={styles.hint}>{t('alarm.libraryHint')}</Text>
+
+      <View style={styles.card}>
+        <View style={styles.row}>
+          <Text style={styles.sectionTitle}>{t('alarm.volume')}</Text>
+          <PreviewButton {...previewProps('volume', {})} />
+        </View>
+        <View style={styles.chips}>
+          {ALARM_VOLUMES.map(volume => (
+            <Pressable
+              key={volume}
+              style={[styles.chip, alarmSettings.volume === volume && styles.chipActive]}
+              onPress={() => update({ volume })}
+              accessibilityRole="button"
+              accessibilityState={{ selected: alarmSettings.volume === volume }}
+            >
+              <Text style={styles.chipText}>{formatNumber(volume, { style: 'percent' })}</Text>
+            </Pressable>
+          ))}
+        </View>
+      </View>
+
+      <View style={styles.card}>
+        <View style={styles.row}>
+          <Text style={styles.label}>{t('alarm.repeat')}</Text>
+          <Switch
+            accessibilityLabel={t('alarm.repeat')}
+            value={alarmSettings.repeat}
+            onValueChange={repeat => update({ repeat })}
+            trackColor={{ true: colors.accent }}
+          />
+          <PreviewButton {...previewProps('repeat', { repeat: alarmSettings.repeat })} />
+        </View>
+      </View>
+
+      <View style={styles.card}>
+        <View style={styles.row}>
+          <Text style={styles.sectionTitle}>{t('alarm.fadeIn')}</Text>
+          <PreviewButton {...previewProps('fade', { fadeInSeconds: alarmSettings.fadeInSeconds })} />
+        </View>
+        <View style={styles.chips}>
+          {FADE_IN_SECONDS.map(seconds => (
+            <Pressable
+              key={seconds}
+              style={[styles.chip, alarmSettings.fadeInSeconds === seconds && styles.chipActive]}
+              onPress={() => update({ fadeInSeconds: seconds })}
+              accessibilityRole="button"
+              accessibilityState={{ selected: alarmSettings.fadeInSeconds === seconds }}
+            >
+              <Text style={styles.chipText}>{seconds === 0 ? t('alarm.noFade') : t('common.secondsShort', { seconds })}</Text>
+            </Pressable>
+          ))}
+        </View>
+      </View>
+
+      <View style={styles.card}>
+        <View style={styles.row}>
+          <Text style={styles.sectionTitle}>{t('alarm.vibration')}</Text>
+          <PreviewButton ringing={false} onPress={() => vibrate(alarmSettings.vibration)} label={t('alarm.testVibration')} />
+        </View>
+        <View style={styles.chips}>
+          {Object.keys(VIBRATION_PATTERNS).map(patternId => (
+            <Pressable
+              key={patternId}
+              style={[styles.chip, alarmSettings.vibration === patternId && styles.chipActive]}
+              onPress={() => update({ vibration: patternId })}
+              accessibilityRole="button"
+              accessibilityState={{ selected: alarmSettings.vibration === patternId }}
+            >
+              <Text style={styles.chipText}>{t(`alarm.vibrations.${patternId}`)}</Text>
+            </Pressable>
+          ))}
+        </View>
+      </View>
+
+      <Pressable style={styles.button} onPress={handleSave}>
+        <Text style={styles.buttonText}>{t('common.save')}</Text>
+      </Pressable>
+    </ScrollView>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: 24,
+    gap: 16,
+  },
+  card: {
+    padding: 16,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    gap: 12,
+  },
+  sectionTitle: {
+    flex: 1,
+    color: colors.text,
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 16,
+  },
+  label: {
+    flex: 1,
+    color: colors.text,
+    fontSize: 15,
+  },
+  hint: {
+    color: colors.textMuted,
+    fontSize: 14,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chip: {
+    maxWidth: '100%',
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+  },
+  chipActive: {
+    backgroundColor: colors.border,
+  },
+  chipText: {
+    color: colors.text,
+    fontSize: 14,
+  },
+  previewButton: {
+    padding: 6,
+    borderRadius: 8,
+    backgroundColor: colors.control,
+  },
+  button: {
+    marginTop: 16,
+    backgroundColor: colors.accent,
+    borderRadius: 32,
+    padding: 12,
+  },
+  buttonText: {
+    textAlign: 'center',
+    color: colors.onAccent,
+    fontSize: 18,
+  },
+});
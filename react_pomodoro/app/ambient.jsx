@@ -0,0 +1,267 @@
+import { useCallback, useState } from 'react';
+import { Alert, Pressable, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { Stack, useFocusEffect } from 'expo-router';
+import { Feather } from '@expo/vector-icons';
+import Slider from '@react-native-community/slider';
+import {
+  AMBIENT_LAYERS,
+  EMPTY_MIX,
+  deleteAmbientPreset,
+  loadAmbientMix,
+  loadAmbientPresets,
+  saveAmbientMix,
+  saveAmbientPreset
+} from '../lib/ambient';
+import { useAmbient } from '../hooks/useAmbient';
+import { useTheme, useThemedStyles } from '../hooks/useTheme';
+import { useI18n } from '../hooks/useI18n';
+
+export default function AmbientMixer() {
+  const styles = useThemedStyles(createStyles);
+  const { colors } = useTheme();
+  const { t, formatNumber } = useI18n();
+  const [mix, setMix] = useState(EMPTY_MIX);
+  const [presets, setPresets] = useState([]);
+  const [presetName, setPresetName] = useState('');
+  const [listening, setListening] = useState(false);
+
+  useAmbient({ mix, playing: listening });
+
+  const refresh = useCallback(async () => {
+    const [storedMix, loadedPresets] = await Promise.all([loadAmbientMix(), loadAmbientPresets()]);
+    setMix(storedMix);
+    setPresets(loadedPresets);
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      refresh();
+      return () => setListening(false);
+    }, [refresh])
+  );
+
+  // A mixagem atual é gravada a cada ajuste, sem botão de salvar.
+  const persistMix = (updated) => {
+    saveAmbientMix(updated).catch(error => console.log('Erro salvando som ambiente:', error));
+  };
+
+  const setLayerVolume = (layerId, volume) => {
+    setMix(prev => ({ ...prev, [layerId]: Math.round(volume * 100) / 100 }));
+  };
+
+  const applyPreset = (preset) => {
+    setMix(preset.mix);
+    persistMix(preset.mix);
+  };
+
+  const handleSavePreset = async () => {
+    const name = presetName.trim();
+    if (!name) {
+      Alert.alert(t('common.invalidValue'), t('ambient.nameRequired'));
+      return;
+    }
+
+    try {
+      await saveAmbientPreset(name, mix);
+      setPresetName('');
+      await refresh();
+    } catch (error) {
+      console.log('Erro salvando predefinição de som ambiente:', error);
+      Alert.alert(t('common.error'), t('ambient.saveError'));
+    }
+  };
+
+  const confirmDelete = (preset) => {
+    Alert.alert(t('ambient.delete.title'), t('ambient.delete.message', { name: preset.name }), [
+      { text: t('common.cancel'), style: 'cancel' },
+      {
+        text: t('common.delete'),
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await deleteAmbientPreset(preset.id);
+            await refresh();
+          } catch (error) {
+            console.log('Erro excluindo predefinição de som ambiente:', error);
+            Alert.alert(t('common.error'), t('ambient.deleteError'));
+          }
+        },
+      },
+    ]);
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Stack.Screen options={{ title: t('ambient.title') }} />
+
+      <Text style={styles.hint}>{t('ambient.hint')}</Text>
+
+      <View style={styles.card}>
+        {AMBIENT_LAYERS.map(layer => (
+          <View key={layer.id} style={styles.layer}>
+            <View style={styles.row}>
+              <Text style={styles.label}>{t(`ambient.layers.${layer.id}`)}</Text>
+              <Text style={styles.volumeText}>{formatNumber(mix[layer.id] ?? 0, { style: 'percent' })}</Text>
+            </View>
+            <Slider
+              accessibilityLabel={t(`ambient.layers.${layer.id}`)}
+              minimumValue={0}
+              maximumValue={1}
+              step={0.05}
+              value={mix[layer.id] ?? 0}
+              onValueChange={volume => setLayerVolume(layer.id, volume)}
+              onSlidingComplete={volume => persistMix({ ...mix, [layer.id]: Math.round(volume * 100) / 100 })}
+              minimumTrackTintColor={colors.accent}
+              maximumTrackTintColor={colors.border}
+              thumbTintColor={colors.accent}
+            />
+          </View>
+        ))}
+
+        <Pressable
+          style={styles.listenButton}
+          onPress={() => setListening(!listening)}
+          accessibilityRole="button"
+          accessibilityState={{ selected: listening }}
+        >
+          <Feather name={listening ? 'pause' : 'play'} size={18} color={colors.onAccent} />
+          <Text style={styles.listenButtonText}>{t(listening ? 'ambient.stop' : 'ambient.listen')}</Text>
+        </Pressable>
+      </View>
+
+      <Text style={styles.sectionTitle}>{t('ambient.presetsTitle')}</Text>
+      {presets.map(preset => (
+        <Pressable key={preset.id} style={styles.preset} onPress={() => applyPreset(preset)} accessibilityRole="button">
+          <Text style={styles.presetName} numberOfLines={1}>
+            {preset.builtIn ? t('ambient.builtInName', { name: preset.name }) : preset.name}
+          </Text>
+          {!preset.builtIn && (
+            <TouchableOpacity
+              style={styles.controlButton}
+              onPress={() => confirmDelete(preset)}
+              accessibilityRole="button"
+              accessibilityLabel={t('ambient.deleteLabel', { name: preset.name })}
+            >
+              <Feather name="trash-2" size={18} color={colors.text} />
+            </TouchableOpacity>
+          )}
+        </Pressable>
+      ))}
+
+      <View style={styles.row}>
+        <TextInput
+          style={styles.nameInput}
+          placeholder={t('ambient.namePlaceholder')}
+          placeholderTextColor={colors.textMuted}
+          value={presetName}
+          onChangeText={setPresetName}
+        />
+        <Pressable style={styles.saveButton} onPress={handleSavePreset}>
+          <Text style={styles.saveButtonText}>{t('common.save')}</Text>
+        </Pressable>
+      </View>
+    </ScrollView>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: 24,
+    gap: 16,
+  },
+  hint: {
+    color: colors.textMuted,
+    fontSize: 14,
+  },
+  card: {
+    padding: 16,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    gap: 12,
+  },
+  layer: {
+    gap: 4,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 12,
+  },
+  label: {
+    flex: 1,
+    color: colors.text,
+    fontSize: 15,
+  },
+  volumeText: {
+    color: colors.textMuted,
+    fontSize: 14,
+  },
+  listenButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    marginTop: 8,
+    backgroundColor: colors.accent,
+    borderRadius: 32,
+    padding: 10,
+  },
+  listenButtonText: {
+    color: colors.onAccent,
+    fontSize: 16,
+  },
+  sectionTitle: {
+    color: colors.text,
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginTop: 8,
+  },
+  preset: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    gap: 10,
+  },
+  presetName: {
+    flex: 1,
+    color: colors.text,
+    fontSize: 16,
+  },
+  controlButton: {
+    padding: 6,
+    borderRadius: 8,
+    backgroundColor: colors.control,
+  },
+  nameInput: {
+    flex: 1,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    color: colors.text,
+    fontSize: 16,
+  },
+  saveButton: {
+    backgroundColor: colors.accent,
+    borderRadius: 32,
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+  },
+  saveButtonText: {
+    color: colors.onAccent,
+    fontSize: 16,
+  },
+});
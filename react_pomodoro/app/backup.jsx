@@ -0,0 +1,152 @@
+import { useState } from 'react';
+import { ActivityIndicator, Alert, Pressable, ScrollView, StyleSheet, Switch, Text, View } from 'react-native';
+import { Stack } from 'expo-router';
+import * as DocumentPicker from 'expo-document-picker';
+import {
+  RESTORE_MODES,
+  readBackupFile,
+  restoreBackup,
+  shareBackup,
+  summarizeBackup,
+  validateBackup
+} from '../lib/backup';
+import { useTheme, useThemeSettings, useThemedStyles } from '../hooks/useTheme';
+import { useI18n, useLanguage } from '../hooks/useI18n';
+
+export default function Backup() {
+  const styles = useThemedStyles(createStyles);
+  const { colors } = useTheme();
+  const { reloadThemeSettings } = useThemeSettings();
+  const { reloadLanguage } = useLanguage();
+  const { t, formatDateTime } = useI18n();
+  const [includeAudio, setIncludeAudio] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const handleCreate = async () => {
+    setBusy(true);
+    try {
+      await shareBackup({ includeAudio });
+    } catch (error) {
+      console.log('Erro criando backup:', error);
+      Alert.alert(t('common.error'), t('backup.createError'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const runRestore = async (backup, mode) => {
+    setBusy(true);
+    try {
+      await restoreBackup(backup, mode);
+      // O tema e o idioma restaurados já valem, sem precisar reabrir o app.
+      reloadThemeSettings();
+      reloadLanguage();
+      Alert.alert(t('backup.restored.title'), t('backup.restored.message'));
+    } catch (error) {
+      console.log('Erro restaurando backup:', error);
+      Alert.alert(t('common.error'), t('backup.restoreError'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    const result = await DocumentPicker.getDocumentAsync({ type: '*/*', copyToCacheDirectory: true });
+    if (result.canceled || !result.assets?.length) return;
+
+    setBusy(true);
+    const backup = await readBackupFile(result.assets[0].uri);
+    setBusy(false);
+
+    const problem = validateBackup(backup);
+    if (problem) {
+      Alert.alert(t('backup.invalidTitle'), problem);
+      return;
+    }
+
+    const summary = summarizeBackup(backup);
+    Alert.alert(
+      t('backup.restoreTitle'),
+      `${t('backup.summary', { date: formatDateTime(summary.createdAt), ...summary })}\n\n${t('backup.modesHint')}`,
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('backup.merge'), onPress: () => runRestore(backup, RESTORE_MODES.merge) },
+        { text: t('backup.replace'), style: 'destructive', onPress: () => runRestore(backup, RESTORE_MODES.replace) },
+      ]
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Stack.Screen options={{ title: t('backup.title') }} />
+
+      <Text style={styles.sectionTitle}>{t('backup.createTitle')}</Text>
+      <Text style={styles.text}>{t('backup.createHint')}</Text>
+      <View style={styles.row}>
+        <Text style={styles.label}>{t('backup.includeAudioHint')}</Text>
+        <Switch
+          accessibilityLabel={t('backup.includeAudio')}
+          value={includeAudio}
+          onValueChange={setIncludeAudio}
+          trackColor={{ true: colors.accent }}
+        />
+      </View>
+      <Pressable style={[styles.button, busy && styles.buttonDisabled]} onPress={handleCreate} disabled={busy}>
+        <Text style={styles.buttonText}>{t('backup.create')}</Text>
+      </Pressable>
+
+      <Text style={styles.sectionTitle}>{t('backup.restoreSection')}</Text>
+      <Text style={styles.text}>{t('backup.restoreHint')}</Text>
+      <Pressable style={[styles.button, busy && styles.buttonDisabled]} onPress={handleRestore} disabled={busy}>
+        <Text style={styles.buttonText}>{t('backup.restoreTitle')}</Text>
+      </Pressable>
+
+      {busy && <ActivityIndicator color={colors.accent} size="large" />}
+    </ScrollView>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: 24,
+    gap: 16,
+  },
+  sectionTitle: {
+    color: colors.text,
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginTop: 8,
+  },
+  text: {
+    color: colors.textMuted,
+    fontSize: 15,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 16,
+  },
+  label: {
+    flex: 1,
+    color: colors.text,
+    fontSize: 15,
+  },
+  button: {
+    backgroundColor: colors.accent,
+    borderRadius: 32,
+    padding: 12,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  buttonText: {
+    textAlign: 'center',
+    color: colors.onAccent,
+    fontSize: 18,
+  },
+});
@@ -0,0 +1,204 @@
+import { useCallback, useMemo, useState } from 'react';
+import { Alert, Pressable, StyleSheet, Text, View } from 'react-native';
+import { Stack, useFocusEffect, useRouter } from 'expo-router';
+import { Calendar, LocaleConfig } from 'react-native-calendars';
+import { getDailyFocusTotals } from '../lib/sessions';
+import { getMonthRange, toDateKey } from '../lib/dates';
+import { getSubjects } from '../lib/subjects';
+import SubjectFilter from '../components/SubjectFilter';
+import { useTheme, useThemedStyles } from '../hooks/useTheme';
+import { useI18n } from '../hooks/useI18n';
+
+// Limites de cada nível de intensidade: quanto mais foco no dia, mais forte a cor.
+const metrics = {
+  sessions: { levels: [1, 3, 5, 8] },
+  minutes: { levels: [1, 50, 100, 200] },
+};
+
+// Do mais fraco ao mais forte: o destaque do tema com cada vez menos transparência.
+const getLevelColors = (accent) => [`${accent}40`, `${accent}80`, `${accent}C0`, accent];
+
+// O react-native-calendars tem a sua própria tabela de nomes de meses e dias.
+// Montamos uma por idioma com o Intl (formatDate usa o idioma atual).
+function useCalendarLocale(locale, t, formatDate) {
+  if (!LocaleConfig.locales[locale]) {
+    const months = Array.from({ length: 12 }, (_, month) => new Date(2024, month, 1));
+    // 7 de janeiro de 2024 foi um domingo, o primeiro dia da semana no calendário.
+    const days = Array.from({ length: 7 }, (_, day) => new Date(2024, 0, 7 + day));
+    LocaleConfig.locales[locale] = {
+      monthNames: months.map(date => formatDate(date, { month: 'long' })),
+      monthNamesShort: months.map(date => formatDate(date, { month: 'short' })),
+      dayNames: days.map(date => formatDate(date, { weekday: 'long' })),
+      dayNamesShort: days.map(date => formatDate(date, { weekday: 'short' })),
+      today: t('calendar.today'),
+    };
+  }
+  LocaleConfig.defaultLocale = locale;
+}
+
+function getLevel(value, levels) {
+  let level = -1;
+  levels.forEach((threshold, index) => {
+    if (value >= threshold) level = index;
+  });
+  return level;
+}
+
+export default function CalendarScreen() {
+  const styles = useThemedStyles(createStyles);
+  const theme = useTheme();
+  const { colors } = theme;
+  const { t, locale, formatDate, formatNumber } = useI18n();
+  useCalendarLocale(locale, t, formatDate);
+  const levelColors = getLevelColors(colors.accent);
+  const router = useRouter();
+  const today = new Date();
+  const [visibleMonth, setVisibleMonth] = useState({ year: today.getFullYear(), month: today.getMonth() + 1 });
+  const [metric, setMetric] = useState('sessions');
+  const [totals, setTotals] = useState({});
+  const [subjects, setSubjects] = useState([]);
+  const [subjectId, setSubjectId] = useState(null);
+
+  // Recarrega ao voltar para a tela, já que novas sessões podem ter sido gravadas.
+  useFocusEffect(
+    useCallback(() => {
+      const [from, to] = getMonthRange(visibleMonth.year, visibleMonth.month);
+      Promise.all([getDailyFocusTotals(from, to, subjectId), getSubjects({ includeArchived: true })])
+        .then(([loadedTotals, loadedSubjects]) => {
+          setTotals(loadedTotals);
+          setSubjects(loadedSubjects);
+        })
+        .catch(error => {
+          console.log('Erro carregando calendário:', error);
+          Alert.alert(t('common.error'), t('calendar.loadError'));
+        });
+    }, [visibleMonth, subjectId])
+  );
+
+  const markedDates = useMemo(() => {
+    const marks = {};
+    for (const [day, dayTotals] of Object.entries(totals)) {
+      const level = getLevel(dayTotals[metric], metrics[metric].levels);
+      if (level < 0) continue;
+      marks[day] = {
+        customStyles: {
+          container: { backgroundColor: levelColors[level], borderRadius: 8 },
+          text: { color: level >= 2 ? colors.onAccent : colors.text, fontWeight: 'bold' },
+        },
+      };
+    }
+    return marks;
+  }, [totals, metric, colors]);
+
+  const monthTotal = Object.values(totals).reduce((sum, dayTotals) => sum + dayTotals[metric], 0);
+
+  return (
+    <View style={styles.container}>
+      <Stack.Screen options={{ title: t('calendar.title') }} />
+
+      <View style={styles.metricToggle} accessibilityRole="tablist">
+        {Object.keys(metrics).map(key => (
+          <Pressable
+            key={key}
+            style={metric === key ? styles.metricButtonActive : styles.metricButton}
+            onPress={() => setMetric(key)}
+            accessibilityRole="tab"
+            accessibilityState={{ selected: metric === key }}
+          >
+            <Text style={styles.metricButtonText}>{t(`calendar.metrics.${key}`)}</Text>
+          </Pressable>
+        ))}
+      </View>
+
+      {subjects.length > 0 && (
+        <SubjectFilter subjects={subjects} value={subjectId} onChange={setSubjectId} />
+      )}
+
+      {/* O calendário só lê o tema e o idioma ao ser criado; a chave recria ele (no mesmo mês) quando um deles muda. */}
+      <Calendar
+        key={`${theme.id}-${theme.dark}-${locale}`}
+        initialDate={toDateKey(new Date(visibleMonth.year, visibleMonth.month - 1, 1))}
+        markingType="custom"
+        markedDates={markedDates}
+        maxDate={toDateKey(today)}
+        onMonthChange={({ year, month }) => setVisibleMonth({ year, month })}
+        onDayPress={({ dateString }) => router.push(`/day/${dateString}`)}
+        theme={{
+          calendarBackground: colors.background,
+          dayTextColor: colors.text,
+          monthTextColor: colors.text,
+          textDisabledColor: colors.textMuted,
+          todayTextColor: colors.accent,
+          arrowColor: colors.accent,
+          textSectionTitleColor: colors.textMuted,
+        }}
+      />
+
+      <Text style={styles.summary}>
+        {t(metric === 'sessions' ? 'calendar.monthSessions' : 'calendar.monthMinutes', {
+          count: monthTotal,
+          total: formatNumber(monthTotal),
+        })}
+      </Text>
+
+      <View style={styles.legend}>
+        <Text style={styles.legendText}>{t('calendar.less')}</Text>
+        {levelColors.map(color => (
+          <View key={color} style={[styles.legendBox, { backgroundColor: color }]} />
+        ))}
+        <Text style={styles.legendText}>{t('calendar.more')}</Text>
+      </View>
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+    padding: 16,
+    gap: 16,
+  },
+  metricToggle: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 8,
+  },
+  metricButton: {
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+  },
+  metricButtonActive: {
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.border,
+  },
+  metricButtonText: {
+    color: colors.text,
+    fontSize: 14,
+    paddingVertical: 6,
+    paddingHorizontal: 16,
+  },
+  summary: {
+    color: colors.text,
+    fontSize: 16,
+    textAlign: 'center',
+  },
+  legend: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+  },
+  legendBox: {
+    width: 16,
+    height: 16,
+    borderRadius: 4,
+  },
+  legendText: {
+    color: colors.textMuted,
+    fontSize: 12.5,
+  },
+});
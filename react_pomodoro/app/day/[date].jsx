@@ -0,0 +1,176 @@
+import { useEffect, useState } from 'react';
+import { Alert, FlatList, StyleSheet, Text, View } from 'react-native';
+import { Stack, useLocalSearchParams } from 'expo-router';
+import { getInterruptionsBetween, getSessionsBetween } from '../../lib/sessions';
+import { getDayRange, parseDateKey } from '../../lib/dates';
+import { getPhaseLabel } from '../../lib/phases';
+import { formatTime } from '../../lib/timer';
+import { getSubjects } from '../../lib/subjects';
+import SubjectFilter from '../../components/SubjectFilter';
+import { useThemedStyles } from '../../hooks/useTheme';
+import { useI18n } from '../../hooks/useI18n';
+
+export default function DayScreen() {
+  const styles = useThemedStyles(createStyles);
+  const { t, formatDate, formatClock } = useI18n();
+  const { date } = useLocalSearchParams();
+  const [sessions, setSessions] = useState([]);
+  const [interruptions, setInterruptions] = useState([]);
+  // Inclui as arquivadas, que ainda identificam as sessões antigas.
+  const [subjects, setSubjects] = useState([]);
+  const [subjectId, setSubjectId] = useState(null);
+
+  useEffect(() => {
+    const [from, to] = getDayRange(date);
+    Promise.all([
+      getSessionsBetween(from, to),
+      getInterruptionsBetween(from, to),
+      getSubjects({ includeArchived: true }),
+    ])
+      .then(([loadedSessions, loadedInterruptions, loadedSubjects]) => {
+        setSessions(loadedSessions);
+        setInterruptions(loadedInterruptions);
+        setSubjects(loadedSubjects);
+      })
+      .catch(error => {
+        console.log('Erro carregando sessões do dia:', error);
+        Alert.alert(t('common.error'), t('day.loadError'));
+      });
+  }, [date]);
+
+  const visibleSessions = subjectId === null ? sessions : sessions.filter(session => session.subjectId === subjectId);
+  const usedSubjects = subjects.filter(subject => sessions.some(session => session.subjectId === subject.id));
+
+  const title = formatDate(parseDateKey(date), { day: '2-digit', month: 'long', year: 'numeric' });
+
+  return (
+    <View style={styles.container}>
+      <Stack.Screen options={{ title }} />
+
+      {usedSubjects.length > 0 && (
+        <View style={styles.filter}>
+          <SubjectFilter subjects={usedSubjects} value={subjectId} onChange={setSubjectId} />
+        </View>
+      )}
+
+      <FlatList
+        data={visibleSessions}
+        keyExtractor={item => String(item.id)}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>{t('day.empty')}</Text>
+        }
+        renderItem={({ item }) => (
+          <View style={[styles.item, item.phase === 'focus' && styles.focusItem]}>
+            <View style={styles.itemHeader}>
+              <Text style={styles.phaseText}>{getPhaseLabel(item.phase)}</Text>
+              <Text style={styles.statusText}>{t(`sessionStatus.${item.status}`)}</Text>
+            </View>
+            {item.subjectId !== null && subjects.some(subject => subject.id === item.subjectId) && (
+              <SubjectTag subject={subjects.find(subject => subject.id === item.subjectId)} />
+            )}
+            <Text style={styles.detailText}>
+              {formatClock(item.startedAt)} – {formatClock(item.endedAt)}
+            </Text>
+            <Text style={styles.detailText}>
+              {t('day.duration', { actual: formatTime(item.actualSeconds), planned: formatTime(item.plannedSeconds) })}
+              {' · '}{t('day.pauses', { count: item.pauseCount })}
+              {item.pauseSeconds > 0 ? ` ${t('day.paused', { time: formatTime(item.pauseSeconds) })}` : ''}
+            </Text>
+            {item.overtimeSeconds > 0 && (
+              <Text style={styles.detailText}>{t('day.overtime', { time: formatTime(item.overtimeSeconds) })}</Text>
+            )}
+            {item.interruptionCount > 0 && (
+              <Text style={styles.detailText}>{t('day.interruptions', { count: item.interruptionCount })}</Text>
+            )}
+            {interruptions.filter(interruption => interruption.sessionId === item.id).map(interruption => (
+              <Text key={interruption.id} style={styles.interruptionText}>
+                {formatClock(interruption.occurredAt)} · {t(`interruptions.kinds.${interruption.kind}`)}
+                {interruption.note ? `: ${interruption.note}` : ''}
+              </Text>
+            ))}
+          </View>
+        )}
+      />
+    </View>
+  );
+}
+
+function SubjectTag({ subject }) {
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <View style={styles.subjectTag}>
+      <View style={[styles.colorDot, { backgroundColor: subject.color }]} />
+      <Text style={styles.subjectText}>{subject.name}</Text>
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  filter: {
+    paddingHorizontal: 16,
+    paddingTop: 16,
+  },
+  list: {
+    padding: 16,
+    gap: 12,
+  },
+  item: {
+    padding: 16,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    gap: 4,
+  },
+  focusItem: {
+    borderColor: colors.accent,
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  phaseText: {
+    color: colors.text,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  statusText: {
+    color: colors.accent,
+    fontSize: 14,
+  },
+  subjectTag: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  colorDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+  },
+  subjectText: {
+    color: colors.text,
+    fontSize: 14,
+  },
+  detailText: {
+    color: colors.textMuted,
+    fontSize: 14,
+  },
+  interruptionText: {
+    color: colors.text,
+    fontSize: 13,
+    marginLeft: 8,
+  },
+  emptyText: {
+    color: colors.textMuted,
+    fontSize: 16,
+    textAlign: 'center',
+    marginTop: 32,
+  },
+});
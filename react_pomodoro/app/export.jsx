@@ -0,0 +1,187 @@
+import { useCallback, useState } from 'react';
+import { Alert, Pressable, ScrollView, StyleSheet, Text, TextInput, View } from 'react-native';
+import { Stack, useFocusEffect } from 'expo-router';
+import { EXPORT_FORMATS, exportSessions } from '../lib/export';
+import { getSubjects } from '../lib/subjects';
+import { getDayRange, parseDateKey, toDateKey } from '../lib/dates';
+import SubjectFilter from '../components/SubjectFilter';
+import { useTheme, useThemedStyles } from '../hooks/useTheme';
+import { useI18n } from '../hooks/useI18n';
+
+// Aceita só datas 'AAAA-MM-DD' que existem de verdade (nada de 2024-02-31).
+function isValidDateKey(text) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(text) && toDateKey(parseDateKey(text)) === text;
+}
+
+export default function Export() {
+  const styles = useThemedStyles(createStyles);
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const [format, setFormat] = useState('csv');
+  const [fromText, setFromText] = useState('');
+  const [toText, setToText] = useState('');
+  const [subjects, setSubjects] = useState([]);
+  const [subjectId, setSubjectId] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  useFocusEffect(
+    useCallback(() => {
+      getSubjects({ includeArchived: true })
+        .then(setSubjects)
+        .catch(error => console.log('Erro carregando matérias:', error));
+    }, [])
+  );
+
+  const handleExport = async () => {
+    const fromKey = fromText.trim();
+    const toKey = toText.trim();
+
+    for (const [field, key] of [['from', fromKey], ['to', toKey]]) {
+      if (key && !isValidDateKey(key)) {
+        Alert.alert(t('export.invalidDate'), t(`export.invalidFormat.${field}`));
+        return;
+      }
+    }
+    if (fromKey && toKey && fromKey > toKey) {
+      Alert.alert(t('export.invalidDate'), t('export.invalidRange'));
+      return;
+    }
+
+    // Sem datas, o intervalo cobre todo o histórico (as datas valem o dia inteiro).
+    const from = fromKey ? getDayRange(fromKey)[0] : 0;
+    const to = toKey ? getDayRange(toKey)[1] : Date.now() + 1;
+
+    setExporting(true);
+    try {
+      const count = await exportSessions({ format, from, to, subjectId });
+      if (count === 0) {
+        Alert.alert(t('export.empty.title'), t('export.empty.message'));
+      }
+    } catch (error) {
+      console.log('Erro exportando histórico:', error);
+      Alert.alert(t('common.error'), t('export.error'));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Stack.Screen options={{ title: t('export.title') }} />
+
+      <Text style={styles.label}>{t('export.format')}</Text>
+      <View style={styles.chips}>
+        {Object.keys(EXPORT_FORMATS).map(id => (
+          <Pressable
+            key={id}
+            style={[styles.chip, format === id && styles.chipActive]}
+            onPress={() => setFormat(id)}
+            accessibilityRole="button"
+            accessibilityState={{ selected: format === id }}
+          >
+            <Text style={styles.chipText}>{t(`export.formats.${id}`)}</Text>
+          </Pressable>
+        ))}
+      </View>
+      <Text style={styles.hint}>{t(`export.formatHints.${format}`)}</Text>
+
+      <Text style={styles.label}>{t('export.period')}</Text>
+      <View style={styles.row}>
+        <TextInput
+          style={styles.input}
+          placeholder={t('export.from')}
+          placeholderTextColor={colors.textMuted}
+          value={fromText}
+          onChangeText={setFromText}
+        />
+        <TextInput
+          style={styles.input}
+          placeholder={t('export.to')}
+          placeholderTextColor={colors.textMuted}
+          value={toText}
+          onChangeText={setToText}
+        />
+      </View>
+
+      {subjects.length > 0 && (
+        <>
+          <Text style={styles.label}>{t('export.subject')}</Text>
+          <SubjectFilter subjects={subjects} value={subjectId} onChange={setSubjectId} />
+        </>
+      )}
+
+      <Pressable style={[styles.button, exporting && styles.buttonDisabled]} onPress={handleExport} disabled={exporting}>
+        <Text style={styles.buttonText}>{t(exporting ? 'export.exporting' : 'export.export')}</Text>
+      </Pressable>
+    </ScrollView>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: 24,
+    gap: 12,
+  },
+  label: {
+    color: colors.text,
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 8,
+  },
+  hint: {
+    color: colors.textMuted,
+    fontSize: 14,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chip: {
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+  },
+  chipActive: {
+    backgroundColor: colors.border,
+  },
+  chipText: {
+    color: colors.text,
+    fontSize: 14,
+  },
+  row: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  input: {
+    flex: 1,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    color: colors.text,
+    fontSize: 16,
+  },
+  button: {
+    marginTop: 16,
+    backgroundColor: colors.accent,
+    borderRadius: 32,
+    padding: 12,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  buttonText: {
+    textAlign: 'center',
+    color: colors.onAccent,
+    fontSize: 18,
+  },
+});
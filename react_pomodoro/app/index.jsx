@@ -1,144 +1,449 @@
-import { Image, StyleSheet, Text, View, Pressable } from "react-native";
+import { Alert, AppState, Image, Platform, ScrollView, StyleSheet, Text, View, Pressable } from "react-native";
 import { Audio } from 'expo-av';
-import { useEffect, useRef, useState } from "react";
-import { Link } from 'expo-router'; // Importação essencial para o botão de navegação
-
-const pomodoro = [
-  {
-    id: 'focus',
-    initialValue: 25 * 60,
-    image: require('./image1.png'), // Certifique-se de que 'image1.png' existe na mesma pasta
-    display: 'Foco'
-  },
-  {
-    id: 'short',
-    initialValue: 5,
-    image: require('./image2.png'), // Certifique-se de que 'image2.png' existe na mesma pasta
-    display: 'Pausa curta'
-  },
-  {
-    id: 'long',
-    initialValue: 15 * 60,
-    image: require('./image3.png'), // Certifique-se de que 'image3.png' existe na mesma pasta
-    display: 'Pausa longa'
-  }
-];
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Link, useFocusEffect, useLocalSearchParams, useRouter } from 'expo-router'; // Importação essencial para o botão de navegação
+import { addInterruption, formatTime, loadTimer, saveTimer } from '../lib/timer';
+import { loadCycle, planPhaseEnds, saveCycle } from '../lib/cycle';
+import { DEFAULT_SETTINGS, loadSettings } from '../lib/settings';
+import { SESSION_STATUS, recordSession, sessionFromTimer } from '../lib/sessions';
+import {
+  applyProfile,
+  getActiveProfile,
+  getBuiltInProfiles,
+  getPhaseTypes,
+  getProfile,
+  loadProfiles,
+  setActiveProfileId
+} from '../lib/profiles';
+import {
+  cancelPhaseNotifications,
+  requestBrowserNotificationPermission,
+  schedulePhaseNotifications,
+  setupNotifications,
+} from '../lib/notifications';
+import { getActiveTask } from '../lib/tasks';
+import { GOAL_TYPES, getGoalStatus, markGoalMet } from '../lib/goals';
+import { getSelectedSubjectId, getSubjects, setSelectedSubjectId } from '../lib/subjects';
+import InterruptionModal from '../components/InterruptionModal';
+import SubjectFilter from '../components/SubjectFilter';
+import { usePomodoroTimer } from '../hooks/usePomodoroTimer';
+import { useAlarm } from '../hooks/useAlarm';
+import { DEFAULT_MUSIC_SETTINGS, SILENCE, getPhaseMusic, loadMusicSettings } from '../lib/music';
+import { useMusic } from '../hooks/useMusic';
+import { EMPTY_MIX, getProfileAmbientMix } from '../lib/ambient';
+import { getPhaseLabel } from '../lib/phases';
+import { useAmbient } from '../hooks/useAmbient';
+import { describeDuration, describeRemaining, getAnnouncementMark } from '../lib/accessibility';
+import { useAccessibility } from '../hooks/useAccessibility';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useI18n } from '../hooks/useI18n';
+import { useWebTimer } from '../hooks/useWebTimer';
 
 export default function Index() {
-  const sound = useRef(null);
-  const alarmSound = useRef(null);
-  const [isPlaying, setIsPlaying] = useState(true);
+  const router = useRouter();
+  const { t, formatNumber } = useI18n();
+  // Comando vindo de um link myapp://timer, já validado pela rota app/timer.jsx.
+  const { link } = useLocalSearchParams();
+  const [linkStart, setLinkStart] = useState(null);
+  const [musicSettings, setMusicSettings] = useState(DEFAULT_MUSIC_SETTINGS);
+  // Se a música deveria estar tocando; qual música é decidido pela fase atual.
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [ambientMix, setAmbientMix] = useState(EMPTY_MIX);
+  const { isRinging: isAlarmRinging, play: playAlarm, stop: stopAlarm } = useAlarm();
+  const { announce } = useAccessibility();
+  // Último tempo restante visto, para anunciar as marcas cruzadas (lib/accessibility.js).
+  const lastTickRef = useRef({ phaseId: null, seconds: null });
 
-  const [timerType, setTimerType] = useState(pomodoro[0]);
-  const [timeLeft, setTimeLeft] = useState(timerType.initialValue);
-  const [isRunning, setIsRunning] = useState(false);
+  const [profiles, setProfiles] = useState(getBuiltInProfiles);
+  const [profile, setProfile] = useState(() => profiles[0]);
+  // Configurações já com as durações e regras do ciclo do perfil ativo.
+  const [settings, setSettings] = useState(() => applyProfile(DEFAULT_SETTINGS, profile));
+  const [activeTask, setActiveTask] = useState(null);
+  const [goalStatus, setGoalStatus] = useState(null);
+  const [subjects, setSubjects] = useState([]);
+  const [selectedSubjectId, setSelectedSubject] = useState(null);
+  const [showInterruptionModal, setShowInterruptionModal] = useState(false);
+  const [hydrated, setHydrated] = useState(false);
 
-  useEffect(() => {
-    async function loadSounds() {
-      try {
-        await Audio.setAudioModeAsync({
-          playsInSilentModeIOS: true,
-          staysActiveInBackground: true,
-          shouldDuckAndroid: true,
+  const {
+    timer,
+    cycle,
+    isRunning,
+    isOvertime,
+    overtimeSeconds,
+    remainingSeconds: timeLeft,
+    start,
+    pause,
+    skip,
+    reset,
+    selectPhase,
+    restore,
+    updateTimer,
+    sync,
+  } = usePomodoroTimer({
+    settings,
+    // A matéria e a tarefa escolhidas são gravadas na sessão de foco no momento
+    // em que ela começa; trocar de tarefa no meio não muda o crédito do pomodoro.
+    getSessionFields: phaseId => (phaseId === 'focus' ? { subjectId: selectedSubjectId, taskId: activeTask?.id ?? null } : {}),
+    onTick: ({ phaseId, remainingMs }) => {
+      const seconds = Math.ceil(remainingMs / 1000);
+      const last = lastTickRef.current;
+      const mark = getAnnouncementMark(last.phaseId === phaseId ? last.seconds : null, seconds);
+      lastTickRef.current = { phaseId, seconds };
+      if (mark !== null) announce(describeRemaining(mark));
+    },
+    // No modo fluxo o alarme toca quando o foco entra em tempo extra, e não de novo ao encerrar.
+    onOvertimeStart: ({ phaseId }) => {
+      playAlarm(phaseId);
+      announce(t('timer.announce.overtime', { phase: phaseLabel(phaseId) }));
+    },
+    onPhaseStart: () => {
+      if (musicSettings.autoStart) setIsPlaying(true);
+    },
+    onPhaseEnd: ({ phaseId, status, timer: endedTimer, endedAt, nextPhaseId, autoStarted }) => {
+      savePhase(endedTimer, status, endedAt);
+      if (nextPhaseId) {
+        const ended = t(status === SESSION_STATUS.completed ? 'timer.announce.ended' : 'timer.announce.skipped', {
+          phase: phaseLabel(phaseId),
         });
+        const next = t(autoStarted ? 'timer.announce.nextStarted' : 'timer.announce.nextPhase', {
+          phase: phaseLabel(nextPhaseId),
+        });
+        announce(`${ended} ${next}`);
+      }
+      if (status !== SESSION_STATUS.completed) return;
 
-        const { sound: bgSound } = await Audio.Sound.createAsync(
-          require('./assets/lofi.mp3'), // Certifique-se de que 'assets/lofi.mp3' existe
-          {
-            shouldPlay: true,
-            isLooping: true,
-            volume: 1.0,
-          }
-        );
-        sound.current = bgSound;
-        await sound.current.playAsync();
+      if (!endedTimer.overtime) playAlarm(phaseId);
+      // Sem fase nova rodando, a música some aos poucos.
+      if (!autoStarted) setIsPlaying(false);
+    },
+  });
 
-        const { sound: loadedAlarm } = await Audio.Sound.createAsync(
-          require('./assets/alarm.mp3'), // Certifique-se de que 'assets/alarm.mp3' existe
-          { shouldPlay: false }
-        );
-        alarmSound.current = loadedAlarm;
+  // As fases vêm do perfil ativo; a fase atual é sempre a do cronômetro.
+  const pomodoro = useMemo(() => getPhaseTypes(profile), [profile]);
+  const timerType = pomodoro.find(p => p.id === timer.phaseId) ?? pomodoro[0];
+  const styles = useThemedStyles(createStyles, timer.phaseId);
+  const phaseLabel = (phaseId) => pomodoro.find(p => p.id === phaseId)?.display ?? getPhaseLabel(phaseId);
+
+  // A música de cada fase segue as regras da tela de música e abaixa enquanto o alarme toca.
+  const phaseMusic = getPhaseMusic(musicSettings, timer.phaseId);
+  const { trackName } = useMusic({
+    music: phaseMusic,
+    playing: isPlaying,
+    ducked: musicSettings.duckDuringAlarm && isAlarmRinging,
+    fadeSeconds: musicSettings.fadeSeconds,
+    soundtrack: { trackIds: musicSettings.soundtrackTracks, shuffle: musicSettings.shuffle },
+  });
+
+  // O som ambiente do perfil toca enquanto o cronômetro roda.
+  useAmbient({ mix: ambientMix, playing: isRunning });
 
+  useEffect(() => {
+    Audio.setAudioModeAsync({
+      playsInSilentModeIOS: true,
+      staysActiveInBackground: true,
+      shouldDuckAndroid: true,
+    }).catch(error => console.log('Erro configurando áudio:', error));
+  }, []);
+
+  // Recupera a sessão salva: se o app foi fechado com o cronômetro rodando,
+  // o tempo restante continua sendo calculado a partir do horário de término.
+  useEffect(() => {
+    // Mesmo se algo falhar ao carregar, a tela sai do carregamento com o que tiver.
+    async function restoreTimer() {
+      try {
+        const [storedTimer, storedCycle, storedSettings, activeProfile, storedMusicSettings] = await Promise.all([
+          loadTimer(),
+          loadCycle(),
+          loadSettings(),
+          getActiveProfile(),
+          loadMusicSettings(),
+        ]);
+        setMusicSettings(storedMusicSettings);
+        setIsPlaying(storedMusicSettings.autoStart);
+        setProfile(activeProfile);
+        setAmbientMix(await getProfileAmbientMix(activeProfile));
+        setSettings(applyProfile(storedSettings, activeProfile));
+        restore({ timer: storedTimer, cycle: storedCycle });
       } catch (error) {
-        console.log('Erro carregando áudio:', error);
+        console.log('Erro recuperando cronômetro:', error);
+      } finally {
+        setHydrated(true);
       }
     }
 
-    loadSounds();
+    restoreTimer();
+  }, []);
+
+  // Ao voltar das configurações ou dos perfis, relemos as durações. Uma fase que
+  // ainda não começou passa a usar a nova duração; uma em andamento não muda.
+  useFocusEffect(
+    useCallback(() => {
+      if (!hydrated) return;
 
-    return () => {
-      if (sound.current) sound.current.unloadAsync();
-      if (alarmSound.current) alarmSound.current.unloadAsync();
-    };
+      Promise.all([
+        loadSettings(),
+        loadProfiles(),
+        getActiveProfile(),
+        loadMusicSettings(),
+      ]).then(async ([storedSettings, loadedProfiles, activeProfile, storedMusicSettings]) => {
+        setMusicSettings(storedMusicSettings);
+        setAmbientMix(await getProfileAmbientMix(activeProfile));
+        const profileSettings = applyProfile(storedSettings, activeProfile);
+        setProfiles(loadedProfiles);
+        setProfile(activeProfile);
+        setSettings(profileSettings);
+        refreshGoal(profileSettings);
+      }).catch(error => console.log('Erro recarregando configurações:', error));
+    }, [hydrated])
+  );
+
+  // Atualiza o progresso da meta do dia. Na primeira vez que a meta é
+  // cumprida no dia, mostramos um resumo.
+  const refreshGoal = async (currentSettings) => {
+    try {
+      const status = await getGoalStatus(currentSettings);
+      setGoalStatus(status);
+
+      if (status.met && !status.metAt && await markGoalMet(status.dateKey)) {
+        Alert.alert(
+          t('timer.goalMet.title'),
+          `${t('timer.goalMet.sessions', { count: status.sessions, minutes: formatNumber(status.minutes) })}\n` +
+          t('timer.goalMet.streak', { count: status.streak })
+        );
+      }
+    } catch (error) {
+      console.log('Erro carregando meta diária:', error);
+    }
+  };
+
+  const refreshActiveTask = useCallback(() => {
+    getActiveTask()
+      .then(setActiveTask)
+      .catch(error => console.log('Erro carregando tarefa ativa:', error));
   }, []);
 
+  useFocusEffect(refreshActiveTask);
+
+  useFocusEffect(
+    useCallback(() => {
+      Promise.all([getSubjects(), getSelectedSubjectId()])
+        .then(([loadedSubjects, storedId]) => {
+          setSubjects(loadedSubjects);
+          // Uma matéria arquivada deixa de ser a escolhida.
+          setSelectedSubject(loadedSubjects.some(subject => subject.id === storedId) ? storedId : null);
+        })
+        .catch(error => console.log('Erro carregando matérias:', error));
+    }, [])
+  );
+
+  // Só salvamos depois de carregar, para não sobrescrever a sessão guardada.
   useEffect(() => {
-    setTimeLeft(timerType.initialValue);
-    setIsRunning(false);
-  }, [timerType]);
+    if (hydrated) {
+      saveTimer(timer);
+    }
+  }, [timer, hydrated]);
 
   useEffect(() => {
-    let interval = null;
-
-    if (isRunning && timeLeft > 0) {
-      interval = setInterval(() => {
-        setTimeLeft(prev => prev - 1);
-      }, 1000);
-    } else if (timeLeft === 0) {
-      if (alarmSound.current) {
-        alarmSound.current.replayAsync();
-      }
-      if (sound.current) {
-        sound.current.pauseAsync();
-        setIsPlaying(false);
-      }
-      setIsRunning(false);
+    if (hydrated) {
+      saveCycle(cycle);
     }
+  }, [cycle, hydrated]);
 
-    return () => clearInterval(interval);
-  }, [isRunning, timeLeft]);
+  useEffect(() => {
+    setupNotifications();
+  }, []);
 
-  const toggleSound = async () => {
-    if (sound.current) {
-      if (isPlaying) {
-        await sound.current.pauseAsync();
-      } else {
-        await sound.current.playAsync();
+  // Mantém as notificações de fim de fase em sincronia com o cronômetro:
+  // iniciar, retomar, pausar, pular ou trocar de fase reagenda ou cancela tudo.
+  useEffect(() => {
+    if (!hydrated) return;
+
+    if (timer.isRunning) {
+      schedulePhaseNotifications(planPhaseEnds(cycle, timer.phaseId, timer.endsAt, settings));
+    } else {
+      cancelPhaseNotifications();
+    }
+  }, [hydrated, timer.isRunning, timer.endsAt, timer.phaseId, cycle, settings]);
+
+  // Ao voltar do segundo plano o intervalo pode ter ficado congelado. No
+  // navegador isso vale para a aba, que avisa quando volta a ficar visível.
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', state => {
+      if (state === 'active') {
+        sync();
       }
-      setIsPlaying(!isPlaying);
+    });
+    return () => subscription.remove();
+  }, []);
+
+  // Grava uma fase que terminou no histórico sem travar a interface.
+  // Sessões de foco ficam ligadas à tarefa que estava ativa quando começaram.
+  const savePhase = (phaseTimer, status, endedAt) => {
+    const session = sessionFromTimer(phaseTimer, status, endedAt);
+    recordSession(session)
+      .then(() => {
+        if (session.taskId !== null) refreshActiveTask();
+        if (phaseTimer.phaseId === 'focus') refreshGoal(settings);
+      })
+      .catch(error => console.log('Erro salvando sessão:', error));
+  };
+
+  // Trocar de perfil recomeça o ciclo no foco, já com as durações do novo perfil.
+  const selectProfile = (selected) => {
+    setProfile(selected);
+    setSettings(applyProfile(settings, selected));
+    getProfileAmbientMix(selected)
+      .then(setAmbientMix)
+      .catch(error => console.log('Erro carregando som ambiente do perfil:', error));
+    reset();
+    setActiveProfileId(selected.id).catch(error => console.log('Erro salvando perfil ativo:', error));
+  };
+
+  const selectSubject = (id) => {
+    setSelectedSubject(id);
+    setSelectedSubjectId(id).catch(error => console.log('Erro salvando matéria escolhida:', error));
+  };
+
+  const logInterruption = (kind, note) => {
+    updateTimer(current => addInterruption(current, kind, note));
+  };
+
+  // Executa o comando de um link depois que a sessão salva foi recuperada.
+  useEffect(() => {
+    if (!hydrated || !link) return;
+
+    router.setParams({ link: undefined });
+    try {
+      runLinkCommand(JSON.parse(link));
+    } catch (error) {
+      console.log('Erro executando link do cronômetro:', error);
+    }
+  }, [link, hydrated]);
+
+  // Começar pelo link acontece num segundo passo, para a fase já pegar o perfil
+  // e a matéria escolhidos pelo link.
+  useEffect(() => {
+    if (!linkStart) return;
+
+    selectPhase(linkStart.phase, linkStart.seconds ?? undefined);
+    runTimer();
+    setLinkStart(null);
+  }, [linkStart]);
+
+  const runLinkCommand = (command) => {
+    switch (command.action) {
+      case 'pause':
+        pause();
+        break;
+      case 'resume':
+        if (!isRunning) runTimer();
+        break;
+      case 'skip':
+        skip();
+        break;
+      default:
+        confirmLinkStart(command);
     }
   };
 
-  const toggleTimer = async () => {
-    if (!isRunning) {
-      // Início do cronômetro: parar alarme e retomar música, se necessário
-      if (alarmSound.current) {
-        try {
-          await alarmSound.current.stopAsync();
-        } catch (e) {
-          // Alarme já parado
-        }
+  const confirmLinkStart = (command) => {
+    const startFromLink = async () => {
+      if (command.profileId) {
+        const linkProfile = await getProfile(command.profileId);
+        if (linkProfile) selectProfile(linkProfile);
       }
+      if (command.subjectId !== null) selectSubject(command.subjectId);
+      setLinkStart({ phase: command.phase, seconds: command.seconds });
+    };
 
-      if (sound.current && !isPlaying) {
-        await sound.current.playAsync();
-        setIsPlaying(true);
-      }
+    if (timer.startedAt === null) {
+      startFromLink();
+      return;
     }
-    setIsRunning(prev => !prev);
+
+    Alert.alert(
+      t('timer.replaceSession.title'),
+      t('timer.replaceSession.message', { phase: phaseLabel(command.phase) }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('timer.replaceSession.confirm'), style: 'destructive', onPress: startFromLink },
+      ]
+    );
+  };
+
+  const toggleSound = () => {
+    setIsPlaying(!isPlaying);
   };
 
+  // Início do cronômetro: parar alarme e retomar música, se ela começa sozinha
+  const runTimer = () => {
+    start();
+    stopAlarm();
+    if (musicSettings.autoStart) setIsPlaying(true);
+  };
+
+  const toggleTimer = () => {
+    if (!isRunning) {
+      requestBrowserNotificationPermission();
+      runTimer();
+    } else {
+      pause();
+    }
+  };
+
+  const timeText = isOvertime ? `+${formatTime(overtimeSeconds)}` : formatTime(timeLeft);
+
+  // No navegador: atalhos de teclado, tempo restante no título da aba e o fim
+  // da fase na hora certa mesmo com a aba em segundo plano.
+  useWebTimer({
+    shortcuts: showInterruptionModal ? {} : {
+      ' ': toggleTimer,
+      s: skip,
+      ...Object.fromEntries(pomodoro.map((p, index) => [String(index + 1), () => selectPhase(p.id)])),
+    },
+    title: t('timer.documentTitle', { time: timeText, phase: phaseLabel(timer.phaseId) }),
+    endsAt: isRunning && !isOvertime ? timer.endsAt : null,
+    onWake: sync,
+  });
+
+  const currentSubjectId = timer.startedAt !== null ? timer.subjectId : selectedSubjectId;
+  const currentSubject = timerType.id === 'focus' ? subjects.find(subject => subject.id === currentSubjectId) : null;
+
   return (
     <View style={styles.container}>
-      <Image source={timerType.image} />
+      <Image source={timerType.image} accessibilityIgnoresInvertColors />
+
+      {timer.startedAt === null && (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.profiles} contentContainerStyle={styles.profileChips}>
+          {profiles.map(p => (
+            <Pressable
+              key={p.id}
+              style={[styles.profileChip, profile.id === p.id && styles.profileChipActive]}
+              onPress={() => selectProfile(p)}
+              accessibilityRole="button"
+              accessibilityLabel={t('timer.profileLabel', { name: p.name })}
+              accessibilityState={{ selected: profile.id === p.id }}
+            >
+              <Text style={styles.contextButtonText}>{p.name}</Text>
+            </Pressable>
+          ))}
+        </ScrollView>
+      )}
 
-      <View style={styles.actions}>
-        <View style={styles.context}>
+      <View style={[
+        styles.actions,
+        // A cor da matéria tinge o cartão do cronômetro durante o foco.
+        currentSubject && { borderColor: currentSubject.color, backgroundColor: `${currentSubject.color}40` }
+      ]}>
+        <View style={styles.context} accessibilityRole="tablist">
           {pomodoro.map(p => (
             <Pressable
               key={p.id}
               style={timerType.id === p.id ? styles.contextButtonActive : null}
-              onPress={() => setTimerType(p)}
+              onPress={() => selectPhase(p.id)}
+              accessibilityRole="tab"
+              accessibilityState={{ selected: timerType.id === p.id }}
             >
               <Text style={styles.contextButtonText}>
                 {p.display}
@@ -147,49 +452,167 @@ export default function Index() {
           ))}
         </View>
 
-        <Text style={styles.timer}>
-          {new Date(timeLeft * 1000).toLocaleTimeString('pt-BR', {
-            minute: '2-digit',
-            second: '2-digit'
-          })}
+        {/* O tamanho de fonte do sistema vale, mas sem quebrar o tempo em duas linhas. */}
+        <Text
+          style={[styles.timer, isOvertime && styles.overtimeTimer]}
+          numberOfLines={1}
+          adjustsFontSizeToFit
+          maxFontSizeMultiplier={2}
+          accessibilityRole="timer"
+          accessibilityLabel={isOvertime
+            ? t('timer.overtimeLabel', { phase: phaseLabel(timer.phaseId), duration: describeDuration(overtimeSeconds) })
+            : `${phaseLabel(timer.phaseId)}, ${describeRemaining(timeLeft).toLowerCase()}`}
+        >
+          {timeText}
+        </Text>
+
+        {isOvertime && (
+          <Text style={styles.overtimeText}>{t('timer.overtimeHint')}</Text>
+        )}
+
+        {timerType.id === 'focus' && timer.startedAt === null && (
+          <View style={styles.subjectPicker}>
+            <SubjectFilter
+              subjects={subjects}
+              value={selectedSubjectId}
+              onChange={selectSubject}
+              emptyLabel={t('timer.noSubject')}
+            />
+            <Link href="/subjects" style={styles.link}>
+              <Text style={styles.linkText}>{t('timer.manageSubjects')}</Text>
+            </Link>
+          </View>
+        )}
+
+        {currentSubject && timer.startedAt !== null && (
+          <Text style={styles.roundText}>{currentSubject.name}</Text>
+        )}
+
+        <Text style={styles.roundText}>
+          {t('timer.round', { round: Math.min(cycle.round, settings.longBreakInterval), total: settings.longBreakInterval })}
         </Text>
 
-        <Pressable style={styles.button} onPress={toggleTimer}>
+        {goalStatus && (
+          <Text style={styles.goalText}>
+            {t(goalStatus.goalType === GOAL_TYPES.minutes ? 'timer.goalMinutes' : 'timer.goalPomodoros', {
+              progress: formatNumber(goalStatus.progress),
+              target: formatNumber(goalStatus.target),
+            })}
+            {goalStatus.streak > 0 ? ` · ${t('goals.streak', { count: goalStatus.streak })}` : ''}
+          </Text>
+        )}
+
+        <Link href="/tasks" style={styles.taskLink}>
+          <Text style={styles.taskText} numberOfLines={1}>
+            {activeTask
+              ? `${activeTask.title} · ${t('tasks.pomodoroCount', { actual: activeTask.actualPomodoros, estimated: activeTask.estimatedPomodoros })}`
+              : t('timer.chooseTask')}
+          </Text>
+        </Link>
+
+        <Pressable style={styles.button} onPress={toggleTimer} accessibilityRole="button">
           <Text style={styles.buttonText}>
-            {isRunning ? 'Pausar' : 'Começar'}
+            {t(isOvertime ? 'timer.endFocus' : isRunning ? 'timer.pause' : 'timer.start')}
           </Text>
         </Pressable>
+
+        {isAlarmRinging && (
+          <Pressable style={styles.interruptionButton} onPress={stopAlarm} accessibilityRole="button">
+            <Text style={styles.interruptionButtonText}>{t('timer.stopAlarm')}</Text>
+          </Pressable>
+        )}
+
+        {timerType.id === 'focus' && timer.startedAt !== null && (
+          <Pressable
+            style={styles.interruptionButton}
+            onPress={() => setShowInterruptionModal(true)}
+            accessibilityRole="button"
+          >
+            <Text style={styles.interruptionButtonText}>
+              {t('timer.logInterruption')}{timer.interruptions?.length ? ` (${timer.interruptions.length})` : ''}
+            </Text>
+          </Pressable>
+        )}
+
+        <View style={styles.cycleActions}>
+          <Pressable style={styles.cycleButton} onPress={skip} accessibilityRole="button">
+            <Text style={styles.cycleButtonText}>{t('timer.skip')}</Text>
+          </Pressable>
+          <Pressable style={styles.cycleButton} onPress={reset} accessibilityRole="button">
+            <Text style={styles.cycleButtonText}>{t('timer.resetCycle')}</Text>
+          </Pressable>
+        </View>
+
+        {Platform.OS === 'web' && (
+          <Text style={styles.roundText}>{t('timer.shortcutsHint')}</Text>
+        )}
       </View>
 
-      <Pressable style={styles.muteButton} onPress={toggleSound}>
+      <Pressable
+        style={styles.muteButton}
+        onPress={toggleSound}
+        disabled={phaseMusic === SILENCE}
+        accessibilityRole="switch"
+        accessibilityLabel={trackName ? t('timer.music.labelWithTrack', { track: trackName }) : t('timer.music.label')}
+        accessibilityHint={phaseMusic === SILENCE ? t('timer.music.silentHint') : undefined}
+        accessibilityState={{ checked: isPlaying && phaseMusic !== SILENCE, disabled: phaseMusic === SILENCE }}
+      >
         <Text style={styles.muteButtonText}>
-          {isPlaying ? "Mutar Música" : "Tocar Música"}
+          {t(phaseMusic === SILENCE ? 'timer.music.silent' : isPlaying ? 'timer.music.mute' : 'timer.music.play')}
         </Text>
+        {trackName && (
+          <Text style={styles.muteButtonTrack} numberOfLines={1}>{trackName}</Text>
+        )}
       </Pressable>
 
       {/* ESTE É O BOTÃO PARA O REPRODUTOR DE MP3 */}
       <Link href="/mp3player" style={styles.mp3Button}>
-        <Text style={styles.mp3ButtonText}>Ir para Reprodutor de MP3</Text>
+        <Text style={styles.mp3ButtonText}>{t('timer.links.mp3Player')}</Text>
       </Link>
 
+      <View style={styles.links}>
+        <Link href="/calendar" style={styles.link}>
+          <Text style={styles.linkText}>{t('timer.links.calendar')}</Text>
+        </Link>
+        <Link href="/stats" style={styles.link}>
+          <Text style={styles.linkText}>{t('timer.links.stats')}</Text>
+        </Link>
+        <Link href="/profiles" style={styles.link}>
+          <Text style={styles.linkText}>{t('timer.links.profiles')}</Text>
+        </Link>
+        <Link href="/ambient" style={styles.link}>
+          <Text style={styles.linkText}>{t('timer.links.ambient')}</Text>
+        </Link>
+        <Link href="/settings" style={styles.link}>
+          <Text style={styles.linkText}>{t('timer.links.settings')}</Text>
+        </Link>
+      </View>
+
+      <InterruptionModal
+        visible={showInterruptionModal}
+        onClose={() => setShowInterruptionModal(false)}
+        onSubmit={logInterruption}
+      />
+
       <View>
         <Text style={styles.footerText}>
-          Projeto fictício e sem fins comerciais.
+          {t('timer.footer.disclaimer')}
         </Text>
         <Text style={styles.footerText}>
-          Desenvolvido por Acriative.
+          {t('timer.footer.credits')}
         </Text>
       </View>
     </View>
   );
 }
 
-const styles = StyleSheet.create({
+// As cores do destaque, da borda e do cartão são as da fase atual.
+const createStyles = (colors) => StyleSheet.create({
   // ESTILOS DO BOTÃO MP3 PLAYER
   mp3Button: {
     marginTop: 20,
     padding: 15,
-    backgroundColor: '#B872FF', // Cor do botão do Pomodoro, para manter a consistência
+    backgroundColor: colors.accent, // Cor do botão do Pomodoro, para manter a consistência
     borderRadius: 8,
     alignItems: 'center',
     justifyContent: 'center',
@@ -197,25 +620,39 @@ const styles = StyleSheet.create({
     alignSelf: 'center',
   },
   mp3ButtonText: {
-    color: '#021123',
+    color: colors.onAccent,
     fontSize: 18,
     fontWeight: 'bold',
   },
+  links: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 24,
+  },
+  link: {
+    alignSelf: 'center',
+  },
+  linkText: {
+    color: colors.accent,
+    fontSize: 16,
+    textDecorationLine: 'underline',
+  },
   container: {
     flex: 1,
     justifyContent: "center",
     alignItems: "center",
-    backgroundColor: '#021123',
+    backgroundColor: colors.background,
     gap: 40
   },
   actions: {
     paddingVertical: 24,
     paddingHorizontal: 24,
-    backgroundColor: '#14448080',
+    backgroundColor: colors.surface,
     width: '80%',
     borderRadius: 32,
     borderWidth: 2,
-    borderColor: '#144480',
+    borderColor: colors.border,
     gap: 32
   },
   context: {
@@ -223,44 +660,118 @@ const styles = StyleSheet.create({
     justifyContent: 'space-around',
     alignItems: 'center'
   },
+  profiles: {
+    flexGrow: 0,
+    width: '80%',
+  },
+  profileChips: {
+    gap: 8,
+  },
+  profileChip: {
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+  },
+  profileChipActive: {
+    backgroundColor: colors.border,
+  },
   contextButtonActive: {
-    backgroundColor: '#144480',
+    backgroundColor: colors.border,
     borderRadius: 8
   },
   contextButtonText: {
     fontSize: 12.5,
-    color: '#FFF',
+    color: colors.text,
     padding: 8
   },
   timer: {
     fontSize: 54,
-    color: '#FFF',
+    color: colors.text,
     fontWeight: 'bold',
     textAlign: 'center'
   },
+  subjectPicker: {
+    gap: 8
+  },
+  roundText: {
+    textAlign: 'center',
+    color: colors.textMuted,
+    fontSize: 14
+  },
+  overtimeTimer: {
+    color: colors.accent,
+  },
+  overtimeText: {
+    textAlign: 'center',
+    color: colors.accent,
+    fontSize: 14
+  },
+  goalText: {
+    textAlign: 'center',
+    color: colors.text,
+    fontSize: 14
+  },
+  taskLink: {
+    alignSelf: 'center',
+  },
+  taskText: {
+    color: colors.text,
+    fontSize: 15,
+    textAlign: 'center',
+  },
   button: {
-    backgroundColor: '#B872FF',
+    backgroundColor: colors.accent,
     borderRadius: 32,
     padding: 8
   },
   buttonText: {
     textAlign: 'center',
-    color: '#021123',
+    color: colors.onAccent,
     fontSize: 18
   },
+  interruptionButton: {
+    alignSelf: 'center',
+  },
+  interruptionButtonText: {
+    color: colors.textMuted,
+    fontSize: 14,
+    textDecorationLine: 'underline',
+  },
+  cycleActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-around'
+  },
+  cycleButton: {
+    borderWidth: 1,
+    borderColor: colors.accent,
+    borderRadius: 32,
+    paddingVertical: 6,
+    paddingHorizontal: 12
+  },
+  cycleButtonText: {
+    color: colors.accent,
+    fontSize: 14
+  },
   muteButton: {
     marginTop: 10,
     padding: 10,
-    backgroundColor: '#B872FF',
+    backgroundColor: colors.accent,
     borderRadius: 20,
+    alignItems: 'center',
   },
   muteButtonText: {
-    color: '#021123',
+    color: colors.onAccent,
     fontWeight: 'bold'
   },
+  muteButtonTrack: {
+    maxWidth: 220,
+    color: colors.onAccent,
+    fontSize: 12,
+    textAlign: 'center'
+  },
   footerText: {
     textAlign: 'center',
-    color: '#98A0A8',
+    color: colors.textMuted,
     fontSize: 12.5
   }
 });
@@ -0,0 +1,73 @@
+import { Pressable, ScrollView, StyleSheet, Text, View } from 'react-native';
+import { Stack } from 'expo-router';
+import { LOCALES, SYSTEM_LANGUAGE } from '../lib/i18n';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useI18n, useLanguage } from '../hooks/useI18n';
+
+// Escolha do idioma do app. A mudança vale na hora, sem botão de salvar.
+export default function LanguageSettings() {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useI18n();
+  const { language, setLanguage } = useLanguage();
+
+  const options = [
+    { id: SYSTEM_LANGUAGE, label: t('language.system') },
+    ...Object.entries(LOCALES).map(([id, label]) => ({ id, label })),
+  ];
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Stack.Screen options={{ title: t('language.title') }} />
+
+      <View style={styles.card}>
+        {options.map(option => (
+          <Pressable
+            key={option.id}
+            style={[styles.option, language === option.id && styles.optionActive]}
+            onPress={() => setLanguage(option.id)}
+            accessibilityRole="radio"
+            accessibilityState={{ checked: language === option.id }}
+          >
+            <Text style={styles.optionText}>{option.label}</Text>
+          </Pressable>
+        ))}
+      </View>
+      <Text style={styles.hint}>{t('language.hint')}</Text>
+    </ScrollView>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: 24,
+    gap: 16,
+  },
+  card: {
+    padding: 8,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    gap: 4,
+  },
+  option: {
+    paddingVertical: 12,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+  },
+  optionActive: {
+    backgroundColor: colors.border,
+  },
+  optionText: {
+    color: colors.text,
+    fontSize: 16,
+  },
+  hint: {
+    color: colors.textMuted,
+    fontSize: 14,
+  },
+});
@@ -2,8 +2,13 @@ import React, { useState, useEffect, useRef } from 'react';
 import { StyleSheet, View, Text, TextInput, Button, FlatList, TouchableOpacity, Alert } from 'react-native';
 import { Audio } from 'expo-av';
 import { Stack } from 'expo-router'; // Para o título da tela com Expo Router
+import { useTheme, useThemedStyles } from '../hooks/useTheme'; // Cores do tema escolhido
+import { useI18n } from '../hooks/useI18n'; // Textos no idioma escolhido
 
 const MP3Player = () => {
+  const styles = useThemedStyles(createStyles);
+  const { colors } = useTheme();
+  const { t } = useI18n();
   const [currentSound, setCurrentSound] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentPlayingUri, setCurrentPlayingUri] = useState(null); // URI da música atualmente tocando
@@ -31,7 +36,7 @@ const MP3Player = () => {
       });
       setNewMp3Uri(''); // Limpa o input após adicionar
     } else {
-      Alert.alert("Erro", "Por favor, insira um URL de MP3 válido.");
+      Alert.alert(t('common.error'), t('mp3Player.invalidUrl'));
     }
   };
 
@@ -64,7 +69,7 @@ const MP3Player = () => {
       console.log('Tocando Som');
     } catch (error) {
       console.error('Erro ao tocar som', error);
-      Alert.alert("Erro ao tocar MP3", "Verifique o URL e sua conexão com a internet.");
+      Alert.alert(t('mp3Player.playError.title'), t('mp3Player.playError.message'));
       setIsPlaying(false);
       setCurrentPlayingUri(null);
     }
@@ -107,19 +112,21 @@ const MP3Player = () => {
   return (
     <View style={styles.container}>
       {/* Configura o título da tela usando Expo Router Stack */}
-      <Stack.Screen options={{ title: 'Meu Reprodutor de MP3' }} />
+      <Stack.Screen options={{ title: t('mp3Player.screenTitle') }} />
 
-      <Text style={styles.title}>Reprodutor de MP3</Text>
+      <Text style={styles.title} accessibilityRole="header">{t('mp3Player.title')}</Text>
 
       <View style={styles.inputContainer}>
         <TextInput
           style={styles.input}
-          placeholder="URL do MP3 (ex: http://exemplo.com/musica.mp3)"
+          placeholder={t('mp3Player.urlPlaceholder')}
+          placeholderTextColor={colors.textMuted}
           value={newMp3Uri}
           onChangeText={setNewMp3Uri}
           autoCapitalize="none" // Para URLs, não capitalizar a primeira letra
+          accessibilityLabel={t('mp3Player.urlLabel')}
         />
-        <Button title="Adicionar" onPress={handleAddMp3} />
+        <Button title={t('mp3Player.add')} onPress={handleAddMp3} color={colors.accent} />
       </View>
 
       {/* Lista de MP3s adicionados */}
@@ -133,12 +140,17 @@ const MP3Player = () => {
             <TouchableOpacity
               style={styles.playButton}
               onPress={() => playSound(item.uri)}
+              accessibilityRole="button"
+              accessibilityLabel={t(currentPlayingUri === item.uri && isPlaying ? 'mp3Player.pause' : 'mp3Player.play')}
+              accessibilityState={{ selected: currentPlayingUri === item.uri && isPlaying }}
             >
               <Text style={styles.buttonText}>{currentPlayingUri === item.uri && isPlaying ? '❚❚' : '▶'}</Text>
             </TouchableOpacity>
             <TouchableOpacity
               style={styles.removeButton}
               onPress={() => handleRemoveMp3(item.id)}
+              accessibilityRole="button"
+              accessibilityLabel={t('mp3Player.remove')}
             >
               <Text style={styles.buttonText}>X</Text>
             </TouchableOpacity>
@@ -149,10 +161,10 @@ const MP3Player = () => {
       {/* Controles de reprodução para a música atual */}
       {currentPlayingUri && (
         <View style={styles.controls}>
-          <Text style={styles.playingText}>Tocando: {currentPlayingUri.length > 40 ? currentPlayingUri.substring(0, 37) + '...' : currentPlayingUri}</Text>
+          <Text style={styles.playingText}>{t('mp3Player.playing', { uri: currentPlayingUri.length > 40 ? currentPlayingUri.substring(0, 37) + '...' : currentPlayingUri })}</Text>
           <View style={styles.controlButtons}>
-            <Button title={isPlaying ? "Pausar" : "Continuar"} onPress={isPlaying ? pauseSound : () => playSound(currentPlayingUri)} />
-            <Button title="Parar" onPress={stopSound} />
+            <Button title={t(isPlaying ? 'mp3Player.pause' : 'mp3Player.resume')} onPress={isPlaying ? pauseSound : () => playSound(currentPlayingUri)} color={colors.accent} />
+            <Button title={t('mp3Player.stop')} onPress={stopSound} color={colors.accent} />
           </View>
         </View>
       )}
@@ -160,24 +172,24 @@ const MP3Player = () => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
     paddingTop: 50, // Espaço para a barra de status
     paddingHorizontal: 15,
-    backgroundColor: '#f0f4f7',
+    backgroundColor: colors.background,
   },
   title: {
     fontSize: 28,
     fontWeight: 'bold',
-    color: '#333',
+    color: colors.text,
     marginBottom: 25,
     textAlign: 'center',
   },
   inputContainer: {
     flexDirection: 'row',
     marginBottom: 20,
-    backgroundColor: '#fff',
+    backgroundColor: colors.surface,
     borderRadius: 8,
     shadowColor: '#000',
     shadowOffset: { width: 0, height: 1 },
@@ -189,8 +201,9 @@ const styles = StyleSheet.create({
     flex: 1,
     padding: 12,
     fontSize: 16,
+    color: colors.text,
     borderRightWidth: 1,
-    borderColor: '#eee',
+    borderColor: colors.border,
     borderRadius: 8,
   },
   mp3List: {
@@ -200,7 +213,7 @@ const styles = StyleSheet.create({
   mp3Item: {
     flexDirection: 'row',
     alignItems: 'center',
-    backgroundColor: '#fff',
+    backgroundColor: colors.surface,
     padding: 15,
     borderRadius: 10,
     marginBottom: 10,
@@ -214,30 +227,30 @@ const styles = StyleSheet.create({
     flex: 1,
     marginRight: 10,
     fontSize: 15,
-    color: '#555',
+    color: colors.textMuted,
   },
   playButton: {
-    backgroundColor: '#28a745', // Verde
+    backgroundColor: colors.accent,
     paddingVertical: 8,
     paddingHorizontal: 12,
     borderRadius: 5,
     marginRight: 8,
   },
   removeButton: {
-    backgroundColor: '#dc3545', // Vermelho
+    backgroundColor: colors.danger,
     paddingVertical: 8,
     paddingHorizontal: 12,
     borderRadius: 5,
   },
   buttonText: {
-    color: '#fff',
+    color: colors.onAccent,
     fontWeight: 'bold',
     fontSize: 16,
   },
   controls: {
     marginTop: 20,
     padding: 20,
-    backgroundColor: '#e9ecef',
+    backgroundColor: colors.surface,
     borderRadius: 10,
     alignItems: 'center',
     shadowColor: '#000',
@@ -251,7 +264,7 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginBottom: 15,
     textAlign: 'center',
-    color: '#343a40',
+    color: colors.text,
   },
   controlButtons: {
     flexDirection: 'row',
@@ -0,0 +1,222 @@
+import { useEffect, useState } from 'react';
+import { Alert, Pressable, ScrollView, StyleSheet, Switch, Text, View } from 'react-native';
+import { Stack, useRouter } from 'expo-router';
+import {
+  DEFAULT_MUSIC_SETTINGS,
+  LIBRARY,
+  MUSIC_FADE_SECONDS,
+  getMusicOptions,
+  loadMusicSettings,
+  saveMusicSettings
+} from '../lib/music';
+import { getTrackId, loadPlaylist } from '../lib/playlist';
+import { useTheme, useThemedStyles } from '../hooks/useTheme';
+import { useI18n } from '../hooks/useI18n';
+
+const musicFields = ['focusMusic', 'breakMusic'];
+
+const switchFields = ['autoStart', 'duckDuringAlarm'];
+
+export default function MusicSettings() {
+  const styles = useThemedStyles(createStyles);
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const router = useRouter();
+  const [musicSettings, setMusicSettings] = useState(DEFAULT_MUSIC_SETTINGS);
+  const [options, setOptions] = useState(getMusicOptions([]));
+  const [playlist, setPlaylist] = useState([]);
+
+  useEffect(() => {
+    Promise.all([loadMusicSettings(), loadPlaylist()]).then(([storedSettings, loadedPlaylist]) => {
+      setMusicSettings(storedSettings);
+      setPlaylist(loadedPlaylist);
+      setOptions(getMusicOptions(loadedPlaylist));
+    });
+  }, []);
+
+  const update = (changes) => setMusicSettings(prev => ({ ...prev, ...changes }));
+
+  const toggleSoundtrackTrack = (trackId) => {
+    setMusicSettings(prev => ({
+      ...prev,
+      soundtrackTracks: prev.soundtrackTracks.includes(trackId)
+        ? prev.soundtrackTracks.filter(id => id !== trackId)
+        : [...prev.soundtrackTracks, trackId],
+    }));
+  };
+
+  const usesLibrary = musicFields.some(field => musicSettings[field] === LIBRARY);
+
+  const handleSave = async () => {
+    try {
+      await saveMusicSettings(musicSettings);
+      router.back();
+    } catch (error) {
+      console.log('Erro salvando configurações da música:', error);
+      Alert.alert(t('common.error'), t('music.saveError'));
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Stack.Screen options={{ title: t('music.title') }} />
+
+      {musicFields.map(field => (
+        <View key={field} style={styles.card}>
+          <Text style={styles.sectionTitle}>{t(`music.fields.${field}`)}</Text>
+          <View style={styles.chips}>
+            {options.map(option => (
+              <Pressable
+                key={option.id}
+                style={[styles.chip, musicSettings[field] === option.id && styles.chipActive]}
+                onPress={() => update({ [field]: option.id })}
+                accessibilityRole="button"
+                accessibilityState={{ selected: musicSettings[field] === option.id }}
+              >
+                <Text style={styles.chipText} numberOfLines={1}>{option.label}</Text>
+              </Pressable>
+            ))}
+          </View>
+        </View>
+      ))}
+      <Text style={styles.hint}>{t('music.libraryHint')}</Text>
+
+      {usesLibrary && (
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{t('music.library')}</Text>
+          {playlist.length === 0 ? (
+            <Text style={styles.hint}>{t('music.emptyLibrary')}</Text>
+          ) : (
+            <>
+              <Text style={styles.hint}>{t('music.playlistHint')}</Text>
+              <View style={styles.chips}>
+                {playlist.map(track => (
+                  <Pressable
+                    key={getTrackId(track)}
+                    style={[styles.chip, musicSettings.soundtrackTracks.includes(getTrackId(track)) && styles.chipActive]}
+                    onPress={() => toggleSoundtrackTrack(getTrackId(track))}
+                    accessibilityRole="checkbox"
+                    accessibilityState={{ checked: musicSettings.soundtrackTracks.includes(getTrackId(track)) }}
+                  >
+                    <Text style={styles.chipText} numberOfLines={1}>{track.name}</Text>
+                  </Pressable>
+                ))}
+              </View>
+              <View style={styles.row}>
+                <Text style={styles.label}>{t('music.shuffle')}</Text>
+                <Switch
+                  accessibilityLabel={t('music.shuffle')}
+                  value={musicSettings.shuffle}
+                  onValueChange={shuffle => update({ shuffle })}
+                  trackColor={{ true: colors.accent }}
+                />
+              </View>
+            </>
+          )}
+        </View>
+      )}
+
+      <View style={styles.card}>
+        {switchFields.map(field => (
+          <View key={field} style={styles.row}>
+            <Text style={styles.label}>{t(`music.fields.${field}`)}</Text>
+            <Switch
+              accessibilityLabel={t(`music.fields.${field}`)}
+              value={musicSettings[field]}
+              onValueChange={value => update({ [field]: value })}
+              trackColor={{ true: colors.accent }}
+            />
+          </View>
+        ))}
+        <Text style={styles.label}>{t('music.fade')}</Text>
+        <View style={styles.chips}>
+          {MUSIC_FADE_SECONDS.map(seconds => (
+            <Pressable
+              key={seconds}
+              style={[styles.chip, musicSettings.fadeSeconds === seconds && styles.chipActive]}
+              onPress={() => update({ fadeSeconds: seconds })}
+              accessibilityRole="button"
+              accessibilityState={{ selected: musicSettings.fadeSeconds === seconds }}
+            >
+              <Text style={styles.chipText}>{seconds === 0 ? t('music.noFade') : t('common.secondsShort', { seconds })}</Text>
+            </Pressable>
+          ))}
+        </View>
+      </View>
+
+      <Pressable style={styles.button} onPress={handleSave}>
+        <Text style={styles.buttonText}>{t('common.save')}</Text>
+      </Pressable>
+    </ScrollView>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: 24,
+    gap: 16,
+  },
+  card: {
+    padding: 16,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    gap: 12,
+  },
+  sectionTitle: {
+    color: colors.text,
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 16,
+  },
+  label: {
+    flex: 1,
+    color: colors.text,
+    fontSize: 15,
+  },
+  hint: {
+    color: colors.textMuted,
+    fontSize: 14,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chip: {
+    maxWidth: '100%',
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+  },
+  chipActive: {
+    backgroundColor: colors.border,
+  },
+  chipText: {
+    color: colors.text,
+    fontSize: 14,
+  },
+  button: {
+    marginTop: 16,
+    backgroundColor: colors.accent,
+    borderRadius: 32,
+    padding: 12,
+  },
+  buttonText: {
+    textAlign: 'center',
+    color: colors.onAccent,
+    fontSize: 18,
+  },
+});
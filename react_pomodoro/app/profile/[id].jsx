@@ -0,0 +1,294 @@
+import { useEffect, useState } from 'react';
+import { Alert, Image, Pressable, ScrollView, StyleSheet, Switch, Text, TextInput, View } from 'react-native';
+import { Stack, useLocalSearchParams, useRouter } from 'expo-router';
+import { PHASE_IDS, getProfile, saveProfile } from '../../lib/profiles';
+import { PHASE_IMAGES, getPhaseLabel } from '../../lib/phases';
+import { loadAmbientPresets } from '../../lib/ambient';
+import { useTheme, useThemedStyles } from '../../hooks/useTheme';
+import { useI18n } from '../../hooks/useI18n';
+
+const switchFields = [
+  { key: 'autoStartBreaks' },
+  { key: 'autoStartFocus' },
+  { key: 'flowMode' },
+  { key: 'scaleBreaksWithOvertime', requires: 'flowMode' },
+];
+
+export default function ProfileEditor() {
+  const styles = useThemedStyles(createStyles);
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const { id } = useLocalSearchParams();
+  const router = useRouter();
+  const [profile, setProfile] = useState(null);
+  // Os números são editados como texto e só convertidos ao salvar.
+  const [minutes, setMinutes] = useState({});
+  const [intervalText, setIntervalText] = useState('');
+  const [ambientPresets, setAmbientPresets] = useState([]);
+
+  useEffect(() => {
+    getProfile(id).then(loadedProfile => {
+      if (!loadedProfile || loadedProfile.builtIn) {
+        Alert.alert(t('common.error'), t('profileEditor.notEditable'));
+        router.back();
+        return;
+      }
+      setProfile(loadedProfile);
+      setMinutes(Object.fromEntries(PHASE_IDS.map(phaseId => [phaseId, String(loadedProfile.phases[phaseId].minutes)])));
+      setIntervalText(String(loadedProfile.longBreakInterval));
+    });
+    loadAmbientPresets().then(setAmbientPresets);
+  }, [id]);
+
+  if (!profile) return <View style={styles.container} />;
+
+  const updatePhase = (phaseId, changes) => {
+    setProfile(prev => ({
+      ...prev,
+      phases: { ...prev.phases, [phaseId]: { ...prev.phases[phaseId], ...changes } },
+    }));
+  };
+
+  const handleSave = async () => {
+    const name = profile.name.trim();
+    if (!name) {
+      Alert.alert(t('common.invalidValue'), t('profileEditor.nameRequired'));
+      return;
+    }
+
+    const phases = {};
+    for (const phaseId of PHASE_IDS) {
+      const value = Number(minutes[phaseId]);
+      if (!Number.isInteger(value) || value < 1 || value > 600) {
+        Alert.alert(t('common.invalidValue'), t('profileEditor.invalidMinutes', { phase: getPhaseLabel(phaseId) }));
+        return;
+      }
+      phases[phaseId] = {
+        ...profile.phases[phaseId],
+        label: profile.phases[phaseId].label.trim() || getPhaseLabel(phaseId),
+        minutes: value,
+      };
+    }
+
+    const longBreakInterval = Number(intervalText);
+    if (!Number.isInteger(longBreakInterval) || longBreakInterval < 1 || longBreakInterval > 12) {
+      Alert.alert(t('common.invalidValue'), t('profileEditor.invalidInterval'));
+      return;
+    }
+
+    try {
+      await saveProfile({ ...profile, name, phases, longBreakInterval });
+      router.back();
+    } catch (error) {
+      console.log('Erro salvando perfil:', error);
+      Alert.alert(t('common.error'), t('profileEditor.saveError'));
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Stack.Screen options={{ title: t('profileEditor.title') }} />
+
+      <TextInput
+        style={styles.nameInput}
+        placeholder={t('profileEditor.namePlaceholder')}
+        placeholderTextColor={colors.textMuted}
+        value={profile.name}
+        onChangeText={name => setProfile(prev => ({ ...prev, name }))}
+      />
+
+      {PHASE_IDS.map(phaseId => (
+        <View key={phaseId} style={styles.card}>
+          <Text style={styles.sectionTitle}>{getPhaseLabel(phaseId)}</Text>
+          <View style={styles.row}>
+            <Text style={styles.label}>{t('profileEditor.phaseLabel')}</Text>
+            <TextInput
+              style={styles.textInput}
+              value={profile.phases[phaseId].label}
+              onChangeText={label => updatePhase(phaseId, { label })}
+            />
+          </View>
+          <View style={styles.row}>
+            <Text style={styles.label}>{t('profileEditor.minutes')}</Text>
+            <TextInput
+              style={styles.numberInput}
+              keyboardType="number-pad"
+              value={minutes[phaseId] ?? ''}
+              onChangeText={text => setMinutes(prev => ({ ...prev, [phaseId]: text }))}
+            />
+          </View>
+          <View style={styles.images}>
+            {Object.entries(PHASE_IMAGES).map(([imageId, source], index) => (
+              <Pressable
+                key={imageId}
+                style={[styles.imageOption, profile.phases[phaseId].image === imageId && styles.imageOptionActive]}
+                onPress={() => updatePhase(phaseId, { image: imageId })}
+                accessibilityRole="button"
+                accessibilityLabel={t('profileEditor.image', { number: index + 1 })}
+                accessibilityState={{ selected: profile.phases[phaseId].image === imageId }}
+              >
+                <Image source={source} style={styles.imagePreview} />
+              </Pressable>
+            ))}
+          </View>
+        </View>
+      ))}
+
+      <Text style={styles.sectionTitle}>{t('profileEditor.cycle')}</Text>
+      <View style={styles.row}>
+        <Text style={styles.label}>{t('profileEditor.longBreakInterval')}</Text>
+        <TextInput
+          style={styles.numberInput}
+          keyboardType="number-pad"
+          value={intervalText}
+          onChangeText={setIntervalText}
+        />
+      </View>
+      {switchFields.filter(field => !field.requires || profile[field.requires]).map(field => (
+        <View key={field.key} style={styles.row}>
+          <Text style={styles.label}>{t(`profileEditor.switches.${field.key}`)}</Text>
+          <Switch
+            accessibilityLabel={t(`profileEditor.switches.${field.key}`)}
+            value={profile[field.key] ?? false}
+            onValueChange={value => setProfile(prev => ({ ...prev, [field.key]: value }))}
+            trackColor={{ true: colors.accent }}
+          />
+        </View>
+      ))}
+
+      <Text style={styles.sectionTitle}>{t('profileEditor.ambient')}</Text>
+      <View style={styles.chips}>
+        {[{ id: null, name: t('profileEditor.currentMix') }, ...ambientPresets].map(preset => (
+          <Pressable
+            key={preset.id ?? 'current'}
+            style={[styles.chip, (profile.ambientPresetId ?? null) === preset.id && styles.chipActive]}
+            onPress={() => setProfile(prev => ({ ...prev, ambientPresetId: preset.id }))}
+            accessibilityRole="button"
+            accessibilityState={{ selected: (profile.ambientPresetId ?? null) === preset.id }}
+          >
+            <Text style={styles.chipText}>{preset.name}</Text>
+          </Pressable>
+        ))}
+      </View>
+
+      <Pressable style={styles.button} onPress={handleSave}>
+        <Text style={styles.buttonText}>{t('common.save')}</Text>
+      </Pressable>
+    </ScrollView>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: 24,
+    gap: 16,
+  },
+  nameInput: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    color: colors.text,
+    fontSize: 18,
+  },
+  card: {
+    padding: 16,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    gap: 12,
+  },
+  sectionTitle: {
+    color: colors.text,
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 16,
+  },
+  label: {
+    flex: 1,
+    color: colors.text,
+    fontSize: 15,
+  },
+  textInput: {
+    width: 140,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    color: colors.text,
+    fontSize: 16,
+  },
+  numberInput: {
+    width: 72,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    color: colors.text,
+    fontSize: 16,
+    textAlign: 'center',
+  },
+  images: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  imageOption: {
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: 'transparent',
+    padding: 2,
+  },
+  imageOptionActive: {
+    borderColor: colors.accent,
+  },
+  imagePreview: {
+    width: 56,
+    height: 56,
+    resizeMode: 'contain',
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chip: {
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+  },
+  chipActive: {
+    backgroundColor: colors.border,
+  },
+  chipText: {
+    color: colors.text,
+    fontSize: 14,
+  },
+  button: {
+    marginTop: 16,
+    backgroundColor: colors.accent,
+    borderRadius: 32,
+    padding: 12,
+  },
+  buttonText: {
+    textAlign: 'center',
+    color: colors.onAccent,
+    fontSize: 18,
+  },
+});
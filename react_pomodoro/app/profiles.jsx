@@ -0,0 +1,173 @@
+import { useCallback, useState } from 'react';
+import { Alert, FlatList, Pressable, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { Stack, useFocusEffect, useRouter } from 'expo-router';
+import { Feather } from '@expo/vector-icons';
+import {
+  deleteProfile,
+  describeProfile,
+  duplicateProfile,
+  getActiveProfileId,
+  loadProfiles,
+  setActiveProfileId
+} from '../lib/profiles';
+import { useTheme, useThemedStyles } from '../hooks/useTheme';
+import { useI18n } from '../hooks/useI18n';
+
+export default function Profiles() {
+  const styles = useThemedStyles(createStyles);
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const router = useRouter();
+  const [profiles, setProfiles] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+
+  const refresh = useCallback(async () => {
+    const [loadedProfiles, loadedActiveId] = await Promise.all([loadProfiles(), getActiveProfileId()]);
+    setProfiles(loadedProfiles);
+    setActiveId(loadedActiveId);
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      refresh();
+    }, [refresh])
+  );
+
+  const activate = async (profile) => {
+    try {
+      await setActiveProfileId(profile.id);
+      setActiveId(profile.id);
+    } catch (error) {
+      console.log('Erro salvando perfil ativo:', error);
+      Alert.alert(t('common.error'), t('profiles.activateError'));
+    }
+  };
+
+  const duplicate = async (profile) => {
+    try {
+      const copy = await duplicateProfile(profile);
+      router.push(`/profile/${copy.id}`);
+    } catch (error) {
+      console.log('Erro duplicando perfil:', error);
+      Alert.alert(t('common.error'), t('profiles.duplicateError'));
+    }
+  };
+
+  const confirmDelete = (profile) => {
+    Alert.alert(t('profiles.delete.title'), t('profiles.delete.message', { name: profile.name }), [
+      { text: t('common.cancel'), style: 'cancel' },
+      {
+        text: t('common.delete'),
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await deleteProfile(profile.id);
+            await refresh();
+          } catch (error) {
+            console.log('Erro excluindo perfil:', error);
+            Alert.alert(t('common.error'), t('profiles.deleteError'));
+          }
+        },
+      },
+    ]);
+  };
+
+  return (
+    <View style={styles.container}>
+      <Stack.Screen options={{ title: t('profiles.title') }} />
+
+      <Text style={styles.hint}>{t('profiles.hint')}</Text>
+
+      <FlatList
+        data={profiles}
+        keyExtractor={item => item.id}
+        contentContainerStyle={styles.list}
+        renderItem={({ item }) => (
+          <Pressable style={[styles.profile, item.id === activeId && styles.activeProfile]} onPress={() => activate(item)}>
+            <View style={styles.profileInfo}>
+              <Text style={styles.profileName} numberOfLines={1}>
+                {item.builtIn ? t('profiles.builtInName', { name: item.name }) : item.name}
+              </Text>
+              <Text style={styles.profileDetails}>{describeProfile(item)}</Text>
+            </View>
+            {item.id === activeId && <Feather name="check" size={20} color={colors.accent} />}
+            <TouchableOpacity
+              style={styles.controlButton}
+              onPress={() => duplicate(item)}
+              accessibilityRole="button"
+              accessibilityLabel={t('profiles.duplicateLabel', { name: item.name })}
+            >
+              <Feather name="copy" size={18} color={colors.text} />
+            </TouchableOpacity>
+            {!item.builtIn && (
+              <>
+                <TouchableOpacity
+                  style={styles.controlButton}
+                  onPress={() => router.push(`/profile/${item.id}`)}
+                  accessibilityRole="button"
+                  accessibilityLabel={t('profiles.editLabel', { name: item.name })}
+                >
+                  <Feather name="edit-2" size={18} color={colors.text} />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.controlButton}
+                  onPress={() => confirmDelete(item)}
+                  accessibilityRole="button"
+                  accessibilityLabel={t('profiles.deleteLabel', { name: item.name })}
+                >
+                  <Feather name="trash-2" size={18} color={colors.text} />
+                </TouchableOpacity>
+              </>
+            )}
+          </Pressable>
+        )}
+      />
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+    padding: 16,
+    gap: 12,
+  },
+  hint: {
+    color: colors.textMuted,
+    fontSize: 14,
+  },
+  list: {
+    gap: 10,
+  },
+  profile: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    gap: 10,
+  },
+  activeProfile: {
+    borderColor: colors.accent,
+  },
+  profileInfo: {
+    flex: 1,
+    gap: 2,
+  },
+  profileName: {
+    color: colors.text,
+    fontSize: 16,
+  },
+  profileDetails: {
+    color: colors.textMuted,
+    fontSize: 13,
+  },
+  controlButton: {
+    padding: 6,
+    borderRadius: 8,
+    backgroundColor: colors.control,
+  },
+});
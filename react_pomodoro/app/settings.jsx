@@ -0,0 +1,225 @@
+import { useEffect, useState } from 'react';
+import { Alert, Pressable, ScrollView, StyleSheet, Text, TextInput, View } from 'react-native';
+import { Link, Stack, useRouter } from 'expo-router';
+import { DEFAULT_SETTINGS, loadSettings, saveSettings } from '../lib/settings';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useI18n } from '../hooks/useI18n';
+
+// Campos numéricos da tela, com os limites aceitos para cada um.
+// As durações das fases e as regras do ciclo ficam nos perfis (tela de perfis).
+const numberFields = [
+  { key: 'dailyGoalTarget', min: 1, max: 1440 },
+];
+
+const goalTypes = ['pomodoros', 'minutes'];
+
+// Os dias de descanso são guardados de 0 (domingo) a 6 (sábado), como no Date.
+// 7 de janeiro de 2024 foi um domingo.
+const weekDayDates = Array.from({ length: 7 }, (_, day) => new Date(2024, 0, 7 + day));
+
+export default function Settings() {
+  const styles = useThemedStyles(createStyles);
+  const { t, formatDate } = useI18n();
+  const router = useRouter();
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  // Os campos numéricos são editados como texto e só convertidos ao salvar.
+  const [inputs, setInputs] = useState({});
+
+  useEffect(() => {
+    loadSettings().then(storedSettings => {
+      setSettings(storedSettings);
+      setInputs(Object.fromEntries(numberFields.map(f => [f.key, String(storedSettings[f.key])])));
+    });
+  }, []);
+
+  const toggleRestDay = (day) => {
+    setSettings(prev => ({
+      ...prev,
+      restDays: prev.restDays.includes(day)
+        ? prev.restDays.filter(restDay => restDay !== day)
+        : [...prev.restDays, day].sort((a, b) => a - b),
+    }));
+  };
+
+  const handleSave = async () => {
+    const updated = { ...settings };
+
+    for (const field of numberFields) {
+      const value = Number(inputs[field.key]);
+      if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        Alert.alert(t('common.invalidValue'), t('settings.invalidNumber', {
+          field: t(`settings.fields.${field.key}`),
+          min: field.min,
+          max: field.max,
+        }));
+        return;
+      }
+      updated[field.key] = value;
+    }
+
+    try {
+      await saveSettings(updated);
+      router.back();
+    } catch (error) {
+      console.log('Erro salvando configurações:', error);
+      Alert.alert(t('common.error'), t('settings.saveError'));
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Stack.Screen options={{ title: t('settings.title') }} />
+
+      <Link href="/profiles" style={styles.profilesLink}>
+        <Text style={styles.linkText}>{t('settings.links.profiles')}</Text>
+      </Link>
+      <Link href="/alarm" style={styles.profilesLink}>
+        <Text style={styles.linkText}>{t('settings.links.alarm')}</Text>
+      </Link>
+      <Link href="/music" style={styles.profilesLink}>
+        <Text style={styles.linkText}>{t('settings.links.music')}</Text>
+      </Link>
+      <Link href="/theme" style={styles.profilesLink}>
+        <Text style={styles.linkText}>{t('settings.links.theme')}</Text>
+      </Link>
+      <Link href="/language" style={styles.profilesLink}>
+        <Text style={styles.linkText}>{t('settings.links.language')}</Text>
+      </Link>
+
+      <Text style={styles.sectionTitle}>{t('settings.dailyGoal')}</Text>
+      {numberFields.map(field => (
+        <View key={field.key} style={styles.row}>
+          <Text style={styles.label}>{t(`settings.fields.${field.key}`)}</Text>
+          <TextInput
+            style={styles.input}
+            keyboardType="number-pad"
+            value={inputs[field.key] ?? ''}
+            onChangeText={text => setInputs(prev => ({ ...prev, [field.key]: text }))}
+          />
+        </View>
+      ))}
+
+      <View style={styles.row}>
+        <Text style={styles.label}>{t('settings.goalType')}</Text>
+        <View style={styles.chips}>
+          {goalTypes.map(type => (
+            <Pressable
+              key={type}
+              style={[styles.chip, settings.dailyGoalType === type && styles.chipActive]}
+              onPress={() => setSettings(prev => ({ ...prev, dailyGoalType: type }))}
+              accessibilityRole="button"
+              accessibilityState={{ selected: settings.dailyGoalType === type }}
+            >
+              <Text style={styles.chipText}>{t(`settings.goalTypes.${type}`)}</Text>
+            </Pressable>
+          ))}
+        </View>
+      </View>
+
+      <Text style={styles.label}>{t('settings.restDays')}</Text>
+      <View style={styles.chips}>
+        {weekDayDates.map((date, index) => (
+          <Pressable
+            key={index}
+            style={[styles.chip, settings.restDays.includes(index) && styles.chipActive]}
+            onPress={() => toggleRestDay(index)}
+            accessibilityRole="checkbox"
+            accessibilityLabel={formatDate(date, { weekday: 'long' })}
+            accessibilityState={{ checked: settings.restDays.includes(index) }}
+          >
+            <Text style={styles.chipText}>{formatDate(date, { weekday: 'short' }).replace('.', '')}</Text>
+          </Pressable>
+        ))}
+      </View>
+
+      <Pressable style={styles.button} onPress={handleSave}>
+        <Text style={styles.buttonText}>{t('common.save')}</Text>
+      </Pressable>
+
+      <Link href="/backup" style={styles.link}>
+        <Text style={styles.linkText}>{t('settings.links.backup')}</Text>
+      </Link>
+    </ScrollView>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: 24,
+    gap: 16,
+  },
+  sectionTitle: {
+    color: colors.text,
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginTop: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 16,
+  },
+  label: {
+    flex: 1,
+    color: colors.text,
+    fontSize: 15,
+  },
+  input: {
+    width: 72,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    color: colors.text,
+    fontSize: 16,
+    textAlign: 'center',
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chip: {
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+  },
+  chipActive: {
+    backgroundColor: colors.border,
+  },
+  chipText: {
+    color: colors.text,
+    fontSize: 14,
+  },
+  button: {
+    marginTop: 16,
+    backgroundColor: colors.accent,
+    borderRadius: 32,
+    padding: 12,
+  },
+  buttonText: {
+    textAlign: 'center',
+    color: colors.onAccent,
+    fontSize: 18,
+  },
+  link: {
+    alignSelf: 'center',
+    padding: 8,
+  },
+  profilesLink: {
+    paddingVertical: 8,
+  },
+  linkText: {
+    color: colors.accent,
+    fontSize: 16,
+  },
+});
@@ -0,0 +1,351 @@
+import { useCallback, useState } from 'react';
+import { Alert, Pressable, ScrollView, StyleSheet, Text, View } from 'react-native';
+import { Link, Stack, useFocusEffect } from 'expo-router';
+import { Feather } from '@expo/vector-icons';
+import BarChart from '../components/BarChart';
+import { getInterruptionsBetween, getSessionsBetween } from '../lib/sessions';
+import { getTasks } from '../lib/tasks';
+import { getSubjects } from '../lib/subjects';
+import SubjectFilter from '../components/SubjectFilter';
+import {
+  RANGES,
+  getChange,
+  getFocusMinutesBy,
+  getFocusMinutesByBucket,
+  getPeriod,
+  summarizeFocus,
+  summarizeInterruptions
+} from '../lib/stats';
+import { useTheme, useThemedStyles } from '../hooks/useTheme';
+import { useI18n } from '../hooks/useI18n';
+
+function formatChange(change, { t, formatNumber }) {
+  if (change === null) return t('stats.noPreviousData');
+  const percent = formatNumber(change, { style: 'percent' });
+  return t('stats.change', { percent: change > 0 ? `+${percent}` : percent });
+}
+
+function filterBySubject(sessions, subjectId) {
+  return subjectId === null ? sessions : sessions.filter(session => session.subjectId === subjectId);
+}
+
+// Minutos de foco e interrupções por tarefa ou matéria, com uma barra proporcional.
+// Rótulos podem se repetir (duas tarefas com o mesmo título, várias removidas),
+// então cada linha é identificada pelo id, que é `null` no grupo "sem tarefa".
+function Breakdown({ title, entries }) {
+  const styles = useThemedStyles(createStyles);
+  const { t, formatNumber } = useI18n();
+  const maxMinutes = Math.max(1, ...entries.map(entry => entry.minutes));
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>{title}</Text>
+      {entries.length === 0 && (
+        <Text style={styles.cardText}>{t('stats.emptyBreakdown')}</Text>
+      )}
+      {entries.map(entry => (
+        <View key={entry.id ?? 'none'} style={styles.breakdownRow}>
+          <View style={styles.breakdownHeader}>
+            <Text style={styles.breakdownLabel} numberOfLines={1}>{entry.label}</Text>
+            <Text style={styles.cardText}>
+              {t('common.minutesShort', { minutes: formatNumber(entry.minutes) })}
+              {entry.interruptions > 0 ? ` · ${t('stats.interruptionsShort', { count: entry.interruptions })}` : ''}
+            </Text>
+          </View>
+          <View
+            style={[
+              styles.breakdownBar,
+              { width: `${(entry.minutes / maxMinutes) * 100}%` },
+              entry.color && { backgroundColor: entry.color },
+            ]}
+          />
+        </View>
+      ))}
+    </View>
+  );
+}
+
+export default function Stats() {
+  const styles = useThemedStyles(createStyles);
+  const { colors } = useTheme();
+  const i18n = useI18n();
+  const { t, formatNumber, formatClock } = i18n;
+  const [rangeId, setRangeId] = useState('week');
+  const [offset, setOffset] = useState(0);
+  const [data, setData] = useState(null);
+  const [subjects, setSubjects] = useState([]);
+  const [subjectId, setSubjectId] = useState(null);
+
+  const period = getPeriod(rangeId, offset);
+
+  useFocusEffect(
+    useCallback(() => {
+      async function loadStats() {
+        try {
+          const current = getPeriod(rangeId, offset);
+          const previous = getPeriod(rangeId, offset - 1);
+          const [allSessions, allPreviousSessions, allInterruptions, tasks, loadedSubjects] = await Promise.all([
+            getSessionsBetween(current.from, current.to),
+            getSessionsBetween(previous.from, previous.to),
+            getInterruptionsBetween(current.from, current.to),
+            getTasks({ includeArchived: true }),
+            getSubjects({ includeArchived: true }),
+          ]);
+
+          const sessions = filterBySubject(allSessions, subjectId);
+          const previousSessions = filterBySubject(allPreviousSessions, subjectId);
+          const sessionIds = new Set(sessions.map(session => session.id));
+          const interruptions = allInterruptions.filter(interruption => sessionIds.has(interruption.sessionId));
+
+          const summary = summarizeFocus(sessions);
+          const previousSummary = summarizeFocus(previousSessions);
+          const taskTitles = new Map(tasks.map(task => [task.id, task.title]));
+          const subjectsById = new Map(loadedSubjects.map(subject => [subject.id, subject]));
+
+          // O filtro só mostra matérias com sessões no período (inclusive arquivadas).
+          setSubjects(loadedSubjects.filter(subject => subject.id === subjectId
+            || allSessions.some(session => session.subjectId === subject.id)));
+
+          setData({
+            summary,
+            change: getChange(summary.totalMinutes, previousSummary.totalMinutes),
+            bars: getFocusMinutesByBucket(sessions, current.buckets)
+              .map((value, index) => ({ label: current.buckets[index].label, value })),
+            byTask: getFocusMinutesBy(sessions, 'taskId').map(entry => ({
+              id: entry.taskId,
+              label: entry.taskId === null ? t('stats.noTask') : taskTitles.get(entry.taskId) ?? t('stats.removedTask'),
+              minutes: entry.minutes,
+              interruptions: entry.interruptions,
+            })),
+            bySubject: getFocusMinutesBy(sessions, 'subjectId').map(entry => ({
+              id: entry.subjectId,
+              label: entry.subjectId === null
+                ? t('stats.noSubject')
+                : subjectsById.get(entry.subjectId)?.name ?? t('stats.removedSubject'),
+              color: subjectsById.get(entry.subjectId)?.color,
+              minutes: entry.minutes,
+              interruptions: entry.interruptions,
+            })),
+            interruptions: summarizeInterruptions(interruptions, current.buckets),
+          });
+        } catch (error) {
+          console.log('Erro carregando estatísticas:', error);
+          Alert.alert(t('common.error'), t('stats.loadError'));
+        }
+      }
+
+      loadStats();
+    }, [rangeId, offset, subjectId])
+  );
+
+  const selectRange = (id) => {
+    setRangeId(id);
+    setOffset(0);
+  };
+
+  const summary = data?.summary;
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Stack.Screen options={{ title: t('stats.title') }} />
+
+      <View style={styles.rangeToggle} accessibilityRole="tablist">
+        {RANGES.map(id => (
+          <Pressable
+            key={id}
+            style={rangeId === id ? styles.rangeButtonActive : styles.rangeButton}
+            onPress={() => selectRange(id)}
+            accessibilityRole="tab"
+            accessibilityState={{ selected: rangeId === id }}
+          >
+            <Text style={styles.rangeButtonText}>{t(`stats.ranges.${id}`)}</Text>
+          </Pressable>
+        ))}
+      </View>
+
+      <View style={styles.periodNav}>
+        <Pressable onPress={() => setOffset(offset - 1)} accessibilityRole="button" accessibilityLabel={t('stats.previousPeriod')}>
+          <Feather name="chevron-left" size={24} color={colors.accent} />
+        </Pressable>
+        <Text style={styles.periodTitle}>{period.title}</Text>
+        <Pressable
+          onPress={() => setOffset(offset + 1)}
+          disabled={offset >= 0}
+          accessibilityRole="button"
+          accessibilityLabel={t('stats.nextPeriod')}
+          accessibilityState={{ disabled: offset >= 0 }}
+        >
+          <Feather name="chevron-right" size={24} color={offset >= 0 ? colors.border : colors.accent} />
+        </Pressable>
+      </View>
+
+      {subjects.length > 0 && (
+        <SubjectFilter subjects={subjects} value={subjectId} onChange={setSubjectId} />
+      )}
+
+      {summary && (
+        <>
+          <View style={styles.card}>
+            <Text style={styles.bigNumber}>{t('common.minutesShort', { minutes: formatNumber(summary.totalMinutes) })}</Text>
+            <Text style={styles.cardText}>{t('stats.ofFocus')} · {formatChange(data.change, i18n)}</Text>
+            <BarChart data={data.bars} />
+          </View>
+
+          <View style={styles.grid}>
+            <View style={styles.gridItem}>
+              <Text style={styles.gridValue}>
+                {summary.completionRate === null ? '–' : formatNumber(summary.completionRate, { style: 'percent' })}
+              </Text>
+              <Text style={styles.gridLabel}>
+                {t('stats.completion', { completed: summary.completed, total: summary.completed + summary.unfinished })}
+              </Text>
+            </View>
+            <View style={styles.gridItem}>
+              <Text style={styles.gridValue}>
+                {summary.averageMinutes === null ? '–' : t('common.minutesShort', { minutes: formatNumber(summary.averageMinutes) })}
+              </Text>
+              <Text style={styles.gridLabel}>{t('stats.averageDuration')}</Text>
+            </View>
+            <View style={styles.gridItem}>
+              <Text style={styles.gridValue}>
+                {summary.bestHour === null ? '–' : formatClock(new Date(2024, 0, 1, summary.bestHour))}
+              </Text>
+              <Text style={styles.gridLabel}>{t('stats.bestHour')}</Text>
+            </View>
+          </View>
+
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>{t('stats.interruptions')}</Text>
+            <Text style={styles.cardText}>{t('stats.interruptionsSummary', data.interruptions)}</Text>
+            {data.interruptions.busiestBucket && (
+              <Text style={styles.cardText}>{t('stats.busiest', { bucket: data.interruptions.busiestBucket })}</Text>
+            )}
+          </View>
+
+          {subjectId === null && <Breakdown title={t('stats.bySubject')} entries={data.bySubject} />}
+
+          <Breakdown title={t('stats.byTask')} entries={data.byTask} />
+
+          <Link href="/export" style={styles.exportLink}>
+            <Text style={styles.exportLinkText}>{t('stats.export')}</Text>
+          </Link>
+        </>
+      )}
+    </ScrollView>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: 16,
+    gap: 16,
+  },
+  rangeToggle: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 8,
+  },
+  rangeButton: {
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+  },
+  rangeButtonActive: {
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.border,
+  },
+  rangeButtonText: {
+    color: colors.text,
+    fontSize: 14,
+    paddingVertical: 6,
+    paddingHorizontal: 16,
+  },
+  periodNav: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  periodTitle: {
+    color: colors.text,
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  card: {
+    padding: 16,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    gap: 8,
+  },
+  cardTitle: {
+    color: colors.text,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  cardText: {
+    color: colors.textMuted,
+    fontSize: 14,
+  },
+  bigNumber: {
+    color: colors.text,
+    fontSize: 32,
+    fontWeight: 'bold',
+  },
+  grid: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  gridItem: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    alignItems: 'center',
+    gap: 4,
+  },
+  gridValue: {
+    color: colors.text,
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  gridLabel: {
+    color: colors.textMuted,
+    fontSize: 12,
+    textAlign: 'center',
+  },
+  breakdownRow: {
+    gap: 4,
+  },
+  breakdownHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    gap: 8,
+  },
+  breakdownLabel: {
+    flex: 1,
+    color: colors.text,
+    fontSize: 14,
+  },
+  breakdownBar: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: colors.accent,
+  },
+  exportLink: {
+    alignSelf: 'center',
+    padding: 8,
+  },
+  exportLinkText: {
+    color: colors.accent,
+    fontSize: 16,
+  },
+});
@@ -0,0 +1,269 @@
+import { useCallback, useState } from 'react';
+import { Alert, FlatList, Pressable, StyleSheet, Switch, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { Stack, useFocusEffect } from 'expo-router';
+import { Feather } from '@expo/vector-icons';
+import {
+  SUBJECT_COLORS,
+  createSubject,
+  getSubjects,
+  setSubjectArchived,
+  updateSubject
+} from '../lib/subjects';
+import { useTheme, useThemedStyles } from '../hooks/useTheme';
+import { useI18n } from '../hooks/useI18n';
+
+export default function Subjects() {
+  const styles = useThemedStyles(createStyles);
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const [subjects, setSubjects] = useState([]);
+  const [showArchived, setShowArchived] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [name, setName] = useState('');
+  const [color, setColor] = useState(SUBJECT_COLORS[0]);
+
+  const refresh = useCallback(async () => {
+    try {
+      setSubjects(await getSubjects({ includeArchived: showArchived }));
+    } catch (error) {
+      console.log('Erro carregando matérias:', error);
+      Alert.alert(t('common.error'), t('subjects.loadError'));
+    }
+  }, [showArchived]);
+
+  useFocusEffect(
+    useCallback(() => {
+      refresh();
+    }, [refresh])
+  );
+
+  const resetForm = () => {
+    setEditingId(null);
+    setName('');
+    setColor(SUBJECT_COLORS[0]);
+  };
+
+  const startEditing = (subject) => {
+    setEditingId(subject.id);
+    setName(subject.name);
+    setColor(subject.color);
+  };
+
+  const handleSave = async () => {
+    const trimmedName = name.trim();
+    if (!trimmedName) {
+      Alert.alert(t('common.error'), t('subjects.nameRequired'));
+      return;
+    }
+
+    try {
+      if (editingId === null) {
+        await createSubject(trimmedName, color);
+      } else {
+        await updateSubject(editingId, { name: trimmedName, color });
+      }
+      resetForm();
+      await refresh();
+    } catch (error) {
+      console.log('Erro salvando matéria:', error);
+      Alert.alert(t('common.error'), t('subjects.saveError'));
+    }
+  };
+
+  const toggleArchived = async (subject) => {
+    try {
+      await setSubjectArchived(subject.id, !subject.archivedAt);
+      await refresh();
+    } catch (error) {
+      console.log('Erro arquivando matéria:', error);
+      Alert.alert(t('common.error'), t('subjects.archiveError'));
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Stack.Screen options={{ title: t('subjects.title') }} />
+
+      <View style={styles.form}>
+        <TextInput
+          style={styles.input}
+          placeholder={t('subjects.namePlaceholder')}
+          placeholderTextColor={colors.textMuted}
+          value={name}
+          onChangeText={setName}
+        />
+        <View style={styles.palette}>
+          {SUBJECT_COLORS.map((option, index) => (
+            <Pressable
+              key={option}
+              style={[styles.colorOption, { backgroundColor: option }, color === option && styles.colorOptionActive]}
+              onPress={() => setColor(option)}
+              accessibilityRole="button"
+              accessibilityLabel={t('subjects.colorLabel', { number: index + 1, total: SUBJECT_COLORS.length })}
+              accessibilityState={{ selected: color === option }}
+            />
+          ))}
+        </View>
+        <View style={styles.formActions}>
+          {editingId !== null && (
+            <Pressable style={styles.cancelButton} onPress={resetForm}>
+              <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
+            </Pressable>
+          )}
+          <Pressable style={styles.saveButton} onPress={handleSave}>
+            <Text style={styles.saveButtonText}>{editingId === null ? t('subjects.add') : t('common.save')}</Text>
+          </Pressable>
+        </View>
+      </View>
+
+      <View style={styles.archivedToggle}>
+        <Text style={styles.archivedToggleText}>{t('subjects.showArchived')}</Text>
+        <Switch
+          accessibilityLabel={t('subjects.showArchived')}
+          value={showArchived}
+          onValueChange={setShowArchived}
+          trackColor={{ true: colors.accent }}
+        />
+      </View>
+
+      <FlatList
+        data={subjects}
+        keyExtractor={item => String(item.id)}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>{t('subjects.empty')}</Text>
+        }
+        renderItem={({ item }) => (
+          <View style={[styles.subject, item.archivedAt && styles.archivedSubject]}>
+            <View style={[styles.colorDot, { backgroundColor: item.color }]} />
+            <Text style={styles.subjectName} numberOfLines={1}>
+              {item.archivedAt ? t('subjects.archivedName', { name: item.name }) : item.name}
+            </Text>
+            <TouchableOpacity
+              style={styles.controlButton}
+              onPress={() => startEditing(item)}
+              accessibilityRole="button"
+              accessibilityLabel={t('subjects.editLabel', { name: item.name })}
+            >
+              <Feather name="edit-2" size={18} color={colors.text} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.controlButton}
+              onPress={() => toggleArchived(item)}
+              accessibilityRole="button"
+              accessibilityLabel={t(item.archivedAt ? 'subjects.unarchiveLabel' : 'subjects.archiveLabel', { name: item.name })}
+            >
+              <Feather name={item.archivedAt ? 'inbox' : 'archive'} size={18} color={colors.text} />
+            </TouchableOpacity>
+          </View>
+        )}
+      />
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+    padding: 16,
+    gap: 12,
+  },
+  form: {
+    gap: 12,
+  },
+  input: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    color: colors.text,
+    fontSize: 16,
+  },
+  palette: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 10,
+  },
+  colorOption: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+  },
+  colorOptionActive: {
+    borderWidth: 3,
+    borderColor: colors.text,
+  },
+  formActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 12,
+  },
+  cancelButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+  },
+  cancelButtonText: {
+    color: colors.textMuted,
+    fontSize: 16,
+  },
+  saveButton: {
+    backgroundColor: colors.accent,
+    borderRadius: 32,
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+  },
+  saveButtonText: {
+    color: colors.onAccent,
+    fontSize: 16,
+  },
+  archivedToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    gap: 8,
+  },
+  archivedToggleText: {
+    color: colors.textMuted,
+    fontSize: 14,
+  },
+  list: {
+    gap: 10,
+  },
+  subject: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    gap: 10,
+  },
+  archivedSubject: {
+    opacity: 0.6,
+  },
+  colorDot: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+  },
+  subjectName: {
+    flex: 1,
+    color: colors.text,
+    fontSize: 16,
+  },
+  controlButton: {
+    padding: 6,
+    borderRadius: 8,
+    backgroundColor: colors.control,
+  },
+  emptyText: {
+    color: colors.textMuted,
+    fontSize: 16,
+    textAlign: 'center',
+    marginTop: 32,
+  },
+});
@@ -0,0 +1,319 @@
+import { useCallback, useState } from 'react';
+import { Alert, FlatList, Pressable, StyleSheet, Switch, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { Stack, useFocusEffect } from 'expo-router';
+import { Feather } from '@expo/vector-icons';
+import {
+  createTask,
+  getActiveTaskId,
+  getTasks,
+  moveTask,
+  setActiveTaskId,
+  setTaskArchived,
+  setTaskCompleted
+} from '../lib/tasks';
+import { useTheme, useThemedStyles } from '../hooks/useTheme';
+import { useI18n } from '../hooks/useI18n';
+
+export default function Tasks() {
+  const styles = useThemedStyles(createStyles);
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const [tasks, setTasks] = useState([]);
+  const [activeTaskId, setActiveTask] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [newTitle, setNewTitle] = useState('');
+  const [newEstimate, setNewEstimate] = useState('1');
+
+  const refresh = useCallback(async () => {
+    try {
+      const [loadedTasks, loadedActiveId] = await Promise.all([
+        getTasks({ includeArchived: showArchived }),
+        getActiveTaskId(),
+      ]);
+      setTasks(loadedTasks);
+      setActiveTask(loadedActiveId);
+    } catch (error) {
+      console.log('Erro carregando tarefas:', error);
+      Alert.alert(t('common.error'), t('tasks.loadError'));
+    }
+  }, [showArchived]);
+
+  useFocusEffect(
+    useCallback(() => {
+      refresh();
+    }, [refresh])
+  );
+
+  // Executa uma alteração e recarrega a lista, avisando o usuário se algo falhar.
+  const update = async (action) => {
+    try {
+      await action();
+      await refresh();
+    } catch (error) {
+      console.log('Erro atualizando tarefa:', error);
+      Alert.alert(t('common.error'), t('tasks.updateError'));
+    }
+  };
+
+  const handleAdd = () => {
+    const title = newTitle.trim();
+    const estimate = Number(newEstimate);
+    if (!title) {
+      Alert.alert(t('common.error'), t('tasks.titleRequired'));
+      return;
+    }
+    if (!Number.isInteger(estimate) || estimate < 1 || estimate > 99) {
+      Alert.alert(t('common.error'), t('tasks.invalidEstimate'));
+      return;
+    }
+
+    update(async () => {
+      const id = await createTask(title, estimate);
+      if (activeTaskId === null) {
+        await setActiveTaskId(id);
+      }
+      setNewTitle('');
+      setNewEstimate('1');
+    });
+  };
+
+  const toggleActive = (task) => {
+    update(() => setActiveTaskId(task.id === activeTaskId ? null : task.id));
+  };
+
+  const toggleCompleted = (task) => {
+    update(async () => {
+      await setTaskCompleted(task.id, !task.completedAt);
+      if (task.id === activeTaskId && !task.completedAt) {
+        await setActiveTaskId(null);
+      }
+    });
+  };
+
+  const toggleArchived = (task) => {
+    update(async () => {
+      await setTaskArchived(task.id, !task.archivedAt);
+      if (task.id === activeTaskId && !task.archivedAt) {
+        await setActiveTaskId(null);
+      }
+    });
+  };
+
+  const renderTask = ({ item, index }) => {
+    const isActive = item.id === activeTaskId;
+    const isOpen = !item.completedAt && !item.archivedAt;
+
+    return (
+      <View style={[styles.task, isActive && styles.activeTask, !isOpen && styles.closedTask]}>
+        <View style={styles.taskInfo}>
+          <Text style={[styles.taskTitle, item.completedAt && styles.completedTitle]} numberOfLines={2}>
+            {item.title}
+          </Text>
+          <Text style={styles.taskProgress}>
+            {t('tasks.progress', { actual: item.actualPomodoros, estimated: item.estimatedPomodoros })}
+            {isActive ? ` · ${t('tasks.active')}` : ''}
+            {item.archivedAt ? ` · ${t('tasks.archived')}` : ''}
+          </Text>
+        </View>
+
+        <View style={styles.taskControls}>
+          {isOpen && (
+            <TouchableOpacity
+              style={styles.controlButton}
+              onPress={() => toggleActive(item)}
+              accessibilityRole="button"
+              accessibilityLabel={t('tasks.activeLabel', { name: item.title })}
+              accessibilityState={{ selected: isActive }}
+            >
+              <Feather name="target" size={20} color={isActive ? colors.accent : colors.text} />
+            </TouchableOpacity>
+          )}
+          {!item.archivedAt && (
+            <TouchableOpacity
+              style={styles.controlButton}
+              onPress={() => toggleCompleted(item)}
+              accessibilityRole="button"
+              accessibilityLabel={t(item.completedAt ? 'tasks.reopenLabel' : 'tasks.completeLabel', { name: item.title })}
+            >
+              <Feather name={item.completedAt ? 'rotate-ccw' : 'check'} size={20} color={colors.text} />
+            </TouchableOpacity>
+          )}
+          {!item.archivedAt && index > 0 && (
+            <TouchableOpacity
+              style={styles.controlButton}
+              onPress={() => update(() => moveTask(item.id, -1))}
+              accessibilityRole="button"
+              accessibilityLabel={t('tasks.moveUpLabel', { name: item.title })}
+            >
+              <Feather name="arrow-up" size={20} color={colors.text} />
+            </TouchableOpacity>
+          )}
+          {!item.archivedAt && tasks[index + 1] && !tasks[index + 1].archivedAt && (
+            <TouchableOpacity
+              style={styles.controlButton}
+              onPress={() => update(() => moveTask(item.id, 1))}
+              accessibilityRole="button"
+              accessibilityLabel={t('tasks.moveDownLabel', { name: item.title })}
+            >
+              <Feather name="arrow-down" size={20} color={colors.text} />
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity
+            style={styles.controlButton}
+            onPress={() => toggleArchived(item)}
+            accessibilityRole="button"
+            accessibilityLabel={t(item.archivedAt ? 'tasks.unarchiveLabel' : 'tasks.archiveLabel', { name: item.title })}
+          >
+            <Feather name={item.archivedAt ? 'inbox' : 'archive'} size={20} color={colors.text} />
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Stack.Screen options={{ title: t('tasks.title') }} />
+
+      <View style={styles.form}>
+        <TextInput
+          style={[styles.input, styles.titleInput]}
+          placeholder={t('tasks.newTask')}
+          placeholderTextColor={colors.textMuted}
+          value={newTitle}
+          onChangeText={setNewTitle}
+        />
+        <TextInput
+          style={[styles.input, styles.estimateInput]}
+          keyboardType="number-pad"
+          value={newEstimate}
+          onChangeText={setNewEstimate}
+        />
+        <Pressable
+          style={styles.addButton}
+          onPress={handleAdd}
+          accessibilityRole="button"
+          accessibilityLabel={t('tasks.addLabel')}
+        >
+          <Feather name="plus" size={22} color={colors.onAccent} />
+        </Pressable>
+      </View>
+
+      <View style={styles.archivedToggle}>
+        <Text style={styles.archivedToggleText}>{t('tasks.showArchived')}</Text>
+        <Switch
+          accessibilityLabel={t('tasks.showArchived')}
+          value={showArchived}
+          onValueChange={setShowArchived}
+          trackColor={{ true: colors.accent }}
+        />
+      </View>
+
+      <FlatList
+        data={tasks}
+        keyExtractor={item => String(item.id)}
+        renderItem={renderTask}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>{t('tasks.empty')}</Text>
+        }
+      />
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+    padding: 16,
+    gap: 12,
+  },
+  form: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  input: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    color: colors.text,
+    fontSize: 16,
+  },
+  titleInput: {
+    flex: 1,
+  },
+  estimateInput: {
+    width: 56,
+    textAlign: 'center',
+  },
+  addButton: {
+    backgroundColor: colors.accent,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    justifyContent: 'center',
+  },
+  archivedToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    gap: 8,
+  },
+  archivedToggleText: {
+    color: colors.textMuted,
+    fontSize: 14,
+  },
+  list: {
+    gap: 10,
+  },
+  task: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    gap: 8,
+  },
+  activeTask: {
+    borderColor: colors.accent,
+  },
+  closedTask: {
+    opacity: 0.6,
+  },
+  taskInfo: {
+    flex: 1,
+    gap: 4,
+  },
+  taskTitle: {
+    color: colors.text,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  completedTitle: {
+    textDecorationLine: 'line-through',
+  },
+  taskProgress: {
+    color: colors.textMuted,
+    fontSize: 13,
+  },
+  taskControls: {
+    flexDirection: 'row',
+    gap: 4,
+  },
+  controlButton: {
+    padding: 6,
+    borderRadius: 8,
+    backgroundColor: colors.control,
+  },
+  emptyText: {
+    color: colors.textMuted,
+    fontSize: 16,
+    textAlign: 'center',
+    marginTop: 32,
+  },
+});
@@ -0,0 +1,157 @@
+import { Pressable, ScrollView, StyleSheet, Text, View } from 'react-native';
+import { Stack } from 'expo-router';
+import { APPEARANCES, THEMES } from '../lib/theme';
+import { getPhaseLabel } from '../lib/phases';
+import { useTheme, useThemeSettings, useThemedStyles } from '../hooks/useTheme';
+import { useI18n } from '../hooks/useI18n';
+
+// Escolha do tema e da aparência. As mudanças valem na hora, sem botão de salvar.
+export default function ThemeSettings() {
+  const styles = useThemedStyles(createStyles);
+  const { dark } = useTheme();
+  const { themeSettings, setThemeSettings } = useThemeSettings();
+  const { t } = useI18n();
+
+  const update = (changes) => setThemeSettings({ ...themeSettings, ...changes });
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Stack.Screen options={{ title: t('theme.title') }} />
+
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>{t('theme.appearance')}</Text>
+        <View style={styles.chips}>
+          {APPEARANCES.map(appearance => (
+            <Pressable
+              key={appearance}
+              style={[styles.chip, themeSettings.appearance === appearance && styles.chipActive]}
+              onPress={() => update({ appearance })}
+              accessibilityRole="button"
+              accessibilityState={{ selected: themeSettings.appearance === appearance }}
+            >
+              <Text style={styles.chipText}>{t(`theme.appearances.${appearance}`)}</Text>
+            </Pressable>
+          ))}
+        </View>
+        <Text style={styles.hint}>{t('theme.appearanceHint')}</Text>
+      </View>
+
+      <Text style={styles.sectionTitle}>{t('theme.theme')}</Text>
+      <Text style={styles.hint}>{t('theme.themeHint')}</Text>
+      {THEMES.map(theme => {
+        // A prévia mostra a versão (clara ou escura) que está valendo agora.
+        const variant = theme[dark ? 'dark' : 'light'];
+        const selected = themeSettings.themeId === theme.id;
+
+        return (
+          <Pressable
+            key={theme.id}
+            style={[styles.theme, selected && styles.themeActive]}
+            onPress={() => update({ themeId: theme.id })}
+            accessibilityRole="button"
+            accessibilityState={{ selected }}
+          >
+            <Text style={styles.themeName}>{t(`theme.themes.${theme.id}`)}</Text>
+            <View style={[styles.preview, { backgroundColor: variant.colors.background }]}>
+              {Object.entries(variant.phases).map(([phaseId, phase]) => (
+                <View key={phaseId} style={[styles.swatch, { backgroundColor: phase.surface, borderColor: phase.border }]}>
+                  <View style={[styles.swatchDot, { backgroundColor: phase.accent }]} />
+                  <Text style={[styles.swatchText, { color: variant.colors.text }]} numberOfLines={1}>
+                    {getPhaseLabel(phaseId)}
+                  </Text>
+                </View>
+              ))}
+            </View>
+          </Pressable>
+        );
+      })}
+    </ScrollView>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: 24,
+    gap: 16,
+  },
+  card: {
+    padding: 16,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    gap: 12,
+  },
+  sectionTitle: {
+    color: colors.text,
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  hint: {
+    color: colors.textMuted,
+    fontSize: 14,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chip: {
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+  },
+  chipActive: {
+    backgroundColor: colors.border,
+  },
+  chipText: {
+    color: colors.text,
+    fontSize: 14,
+  },
+  theme: {
+    padding: 12,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    gap: 10,
+  },
+  themeActive: {
+    borderColor: colors.accent,
+  },
+  themeName: {
+    color: colors.text,
+    fontSize: 16,
+  },
+  preview: {
+    flexDirection: 'row',
+    gap: 6,
+    padding: 8,
+    borderRadius: 8,
+  },
+  swatch: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    borderRadius: 8,
+    borderWidth: 2,
+  },
+  swatchDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+  },
+  swatchText: {
+    flex: 1,
+    fontSize: 12,
+  },
+});
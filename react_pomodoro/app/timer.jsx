@@ -0,0 +1,55 @@
+import { useEffect } from 'react';
+import { ActivityIndicator, Alert, StyleSheet, View } from 'react-native';
+import { Stack, useLocalSearchParams, useRouter } from 'expo-router';
+import { parseTimerLink, returnToTimer } from '../lib/deeplinks';
+import { getSubjects } from '../lib/subjects';
+import { loadProfiles } from '../lib/profiles';
+import { useTheme, useThemedStyles } from '../hooks/useTheme';
+import { useI18n } from '../hooks/useI18n';
+
+// Destino dos links myapp://timer (veja lib/deeplinks.js). Valida o link e
+// volta para o cronômetro levando o comando, que é executado lá.
+export default function TimerLink() {
+  const styles = useThemedStyles(createStyles);
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const params = useLocalSearchParams();
+  const router = useRouter();
+
+  useEffect(() => {
+    async function handleLink() {
+      try {
+        const [subjects, profiles] = await Promise.all([getSubjects(), loadProfiles()]);
+        const { command, error } = parseTimerLink(params, { subjects, profiles });
+        if (error) {
+          Alert.alert(t('deepLinks.invalidTitle'), error);
+          returnToTimer(router);
+          return;
+        }
+        returnToTimer(router, command);
+      } catch (error) {
+        console.log('Erro abrindo link do cronômetro:', error);
+        Alert.alert(t('common.error'), t('deepLinks.openError'));
+        returnToTimer(router);
+      }
+    }
+
+    handleLink();
+  }, []);
+
+  return (
+    <View style={styles.container}>
+      <Stack.Screen options={{ title: t('deepLinks.title') }} />
+      <ActivityIndicator color={colors.accent} />
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: colors.background,
+  },
+});
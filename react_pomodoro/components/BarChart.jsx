@@ -0,0 +1,56 @@
+import { StyleSheet, Text, View } from 'react-native';
+import { useTheme, useThemedStyles } from '../hooks/useTheme';
+import { useI18n } from '../hooks/useI18n';
+
+// Gráfico de barras simples feito só com Views: uma barra por item,
+// com a altura proporcional ao maior valor. Sem `color`, usa o destaque do tema.
+export default function BarChart({ data, height = 140, color }) {
+  const styles = useThemedStyles(createStyles);
+  const { colors } = useTheme();
+  const { formatNumber } = useI18n();
+  const maxValue = Math.max(1, ...data.map(item => item.value));
+
+  return (
+    <View style={styles.chart}>
+      {data.map((item, index) => (
+        <View key={`${item.label}-${index}`} style={styles.column}>
+          <Text style={styles.value}>{item.value > 0 ? formatNumber(item.value) : ''}</Text>
+          <View style={[styles.track, { height }]}>
+            <View style={[styles.bar, { height: (item.value / maxValue) * height, backgroundColor: color ?? colors.accent }]} />
+          </View>
+          <Text style={styles.label} numberOfLines={1}>{item.label}</Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  chart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    gap: 4,
+  },
+  column: {
+    flex: 1,
+    alignItems: 'center',
+    gap: 4,
+  },
+  track: {
+    width: '100%',
+    justifyContent: 'flex-end',
+  },
+  bar: {
+    width: '100%',
+    borderTopLeftRadius: 4,
+    borderTopRightRadius: 4,
+  },
+  value: {
+    color: colors.textMuted,
+    fontSize: 10,
+  },
+  label: {
+    color: colors.textMuted,
+    fontSize: 11,
+  },
+});
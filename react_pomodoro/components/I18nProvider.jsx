@@ -0,0 +1,40 @@
+import { useCallback, useEffect, useLayoutEffect, useMemo, useState } from 'react';
+import { useLocales } from 'expo-localization';
+import { SYSTEM_LANGUAGE, getLocale, loadLanguage, resolveLocale, saveLanguage, setLocale } from '../lib/i18n';
+import { I18nContext } from '../hooks/useI18n';
+
+// Guarda a escolha de idioma e acompanha o idioma do aparelho. Fica no layout
+// raiz, para uma troca de idioma valer na hora em todas as telas.
+export default function I18nProvider({ children }) {
+  const deviceLocales = useLocales();
+  const [language, setLanguageState] = useState(SYSTEM_LANGUAGE);
+
+  const reloadLanguage = useCallback(() => {
+    loadLanguage().then(setLanguageState);
+  }, []);
+
+  useEffect(reloadLanguage, []);
+
+  const setLanguage = useCallback((updated) => {
+    setLanguageState(updated);
+    saveLanguage(updated).catch(error => console.log('Erro salvando idioma:', error));
+  }, []);
+
+  // `t` lê o idioma do módulo i18n, que não pode mudar durante o desenho. Ele é
+  // trocado num efeito de layout e só então o contexto anuncia o novo idioma,
+  // o que redesenha as telas antes de aparecerem na tela.
+  const locale = resolveLocale(language, deviceLocales);
+  const [appliedLocale, setAppliedLocale] = useState(getLocale);
+
+  useLayoutEffect(() => {
+    setLocale(locale);
+    setAppliedLocale(locale);
+  }, [locale]);
+
+  const value = useMemo(
+    () => ({ locale: appliedLocale, language, setLanguage, reloadLanguage }),
+    [appliedLocale, language]
+  );
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
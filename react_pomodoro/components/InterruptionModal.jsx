@@ -0,0 +1,145 @@
+import { useState } from 'react';
+import { Modal, Pressable, StyleSheet, Text, TextInput, View } from 'react-native';
+import { INTERRUPTION_KINDS } from '../lib/sessions';
+import { useAccessibility } from '../hooks/useAccessibility';
+import { useTheme, useThemedStyles } from '../hooks/useTheme';
+import { useI18n } from '../hooks/useI18n';
+
+// Pop-up para registrar uma interrupção durante o foco: o tipo e uma anotação opcional.
+export default function InterruptionModal({ visible, onClose, onSubmit }) {
+  const styles = useThemedStyles(createStyles);
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const [kind, setKind] = useState(INTERRUPTION_KINDS.internal);
+  const [note, setNote] = useState('');
+  const { reduceMotionEnabled } = useAccessibility();
+
+  const close = () => {
+    setKind(INTERRUPTION_KINDS.internal);
+    setNote('');
+    onClose();
+  };
+
+  const submit = () => {
+    onSubmit(kind, note.trim());
+    close();
+  };
+
+  return (
+    <Modal animationType={reduceMotionEnabled ? 'none' : 'fade'} transparent visible={visible} onRequestClose={close}>
+      <View style={styles.overlay}>
+        <View style={styles.modal}>
+          <Text style={styles.title} accessibilityRole="header">{t('interruptions.title')}</Text>
+
+          <View style={styles.kinds} accessibilityRole="radiogroup">
+            {Object.values(INTERRUPTION_KINDS).map(value => (
+              <Pressable
+                key={value}
+                style={[styles.kindButton, kind === value && styles.kindButtonActive]}
+                onPress={() => setKind(value)}
+                accessibilityRole="radio"
+                accessibilityState={{ checked: kind === value }}
+              >
+                <Text style={styles.kindButtonText}>{t(`interruptions.kinds.${value}`)}</Text>
+              </Pressable>
+            ))}
+          </View>
+
+          <TextInput
+            style={styles.input}
+            placeholder={t('interruptions.notePlaceholder')}
+            placeholderTextColor={colors.textMuted}
+            accessibilityLabel={t('interruptions.noteLabel')}
+            value={note}
+            onChangeText={setNote}
+          />
+
+          <View style={styles.actions}>
+            <Pressable style={styles.cancelButton} onPress={close} accessibilityRole="button">
+              <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
+            </Pressable>
+            <Pressable style={styles.submitButton} onPress={submit} accessibilityRole="button">
+              <Text style={styles.submitButtonText}>{t('interruptions.submit')}</Text>
+            </Pressable>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: colors.overlay,
+  },
+  modal: {
+    width: '85%',
+    padding: 24,
+    borderRadius: 24,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.background,
+    gap: 16,
+  },
+  title: {
+    color: colors.text,
+    fontSize: 20,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  kinds: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 8,
+  },
+  kindButton: {
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    paddingVertical: 6,
+    paddingHorizontal: 16,
+  },
+  kindButtonActive: {
+    backgroundColor: colors.border,
+  },
+  kindButtonText: {
+    color: colors.text,
+    fontSize: 14,
+  },
+  input: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    color: colors.text,
+    fontSize: 16,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 12,
+  },
+  cancelButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+  },
+  cancelButtonText: {
+    color: colors.textMuted,
+    fontSize: 16,
+  },
+  submitButton: {
+    backgroundColor: colors.accent,
+    borderRadius: 32,
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+  },
+  submitButtonText: {
+    color: colors.onAccent,
+    fontSize: 16,
+  },
+});
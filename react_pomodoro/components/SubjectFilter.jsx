@@ -0,0 +1,63 @@
+import { Pressable, ScrollView, StyleSheet, Text, View } from 'react-native';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useI18n } from '../hooks/useI18n';
+
+// Linha de "chips" para escolher uma matéria. `value` é o id escolhido ou null
+// (que aparece como `emptyLabel`; sem ele, "Todas", como num filtro).
+export default function SubjectFilter({ subjects, value, onChange, emptyLabel }) {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useI18n();
+
+  return (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chips}>
+      <Pressable
+        style={[styles.chip, value === null && styles.chipActive]}
+        onPress={() => onChange(null)}
+        accessibilityRole="button"
+        accessibilityState={{ selected: value === null }}
+      >
+        <Text style={styles.chipText}>{emptyLabel ?? t('subjects.all')}</Text>
+      </Pressable>
+      {subjects.map(subject => (
+        <Pressable
+          key={subject.id}
+          style={[styles.chip, value === subject.id && { backgroundColor: `${subject.color}60`, borderColor: subject.color }]}
+          onPress={() => onChange(subject.id)}
+          accessibilityRole="button"
+          accessibilityState={{ selected: value === subject.id }}
+        >
+          <View style={[styles.colorDot, { backgroundColor: subject.color }]} />
+          <Text style={styles.chipText}>{subject.name}</Text>
+        </Pressable>
+      ))}
+    </ScrollView>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  chips: {
+    gap: 6,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+  },
+  chipActive: {
+    backgroundColor: colors.border,
+  },
+  colorDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+  },
+  chipText: {
+    color: colors.text,
+    fontSize: 14,
+  },
+});
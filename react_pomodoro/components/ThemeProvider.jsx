@@ -0,0 +1,31 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useColorScheme } from 'react-native';
+import { DEFAULT_THEME_SETTINGS, loadThemeSettings, resolveTheme, saveThemeSettings } from '../lib/theme';
+import { ThemeContext } from '../hooks/useTheme';
+
+// Guarda a escolha de tema e acompanha a aparência do sistema. Fica no layout
+// raiz, para uma troca de tema valer na hora em todas as telas.
+export default function ThemeProvider({ children }) {
+  const systemScheme = useColorScheme();
+  const [themeSettings, setThemeSettingsState] = useState(DEFAULT_THEME_SETTINGS);
+
+  const reloadThemeSettings = useCallback(() => {
+    loadThemeSettings().then(setThemeSettingsState);
+  }, []);
+
+  useEffect(reloadThemeSettings, []);
+
+  const setThemeSettings = useCallback((updated) => {
+    setThemeSettingsState(updated);
+    saveThemeSettings(updated).catch(error => console.log('Erro salvando tema:', error));
+  }, []);
+
+  const value = useMemo(() => ({
+    theme: resolveTheme(themeSettings, systemScheme),
+    themeSettings,
+    setThemeSettings,
+    reloadThemeSettings,
+  }), [themeSettings, systemScheme]);
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+}
@@ -0,0 +1,343 @@
+import { act, create } from 'react-test-renderer';
+import { usePomodoroTimer } from '../usePomodoroTimer';
+import { DEFAULT_SETTINGS } from '../../lib/settings';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('expo-sqlite', () => ({ openDatabaseAsync: jest.fn() }));
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const MINUTE = 60 * 1000;
+
+const settings = {
+  ...DEFAULT_SETTINGS,
+  focusMinutes: 25,
+  shortBreakMinutes: 5,
+  longBreakMinutes: 15,
+  longBreakInterval: 2,
+  autoStartBreaks: false,
+  autoStartFocus: false,
+};
+
+// Relógio falso: o "agora" só anda quando o teste manda, disparando os intervalos no caminho.
+function createFakeClock(start = 1_000_000) {
+  let now = start;
+  let nextId = 1;
+  let intervals = [];
+
+  return {
+    now: () => now,
+    setInterval: (callback, ms) => {
+      const id = nextId++;
+      intervals.push({ id, callback, ms, next: now + ms });
+      return id;
+    },
+    clearInterval: (id) => {
+      intervals = intervals.filter(interval => interval.id !== id);
+    },
+    advance(ms) {
+      const target = now + ms;
+      for (;;) {
+        const due = intervals
+          .filter(interval => interval.next <= target)
+          .sort((a, b) => a.next - b.next)[0];
+        if (!due) break;
+        now = due.next;
+        due.next += due.ms;
+        due.callback();
+      }
+      now = target;
+    },
+  };
+}
+
+function renderTimer(options) {
+  const result = { current: null };
+  function Probe(props) {
+    result.current = usePomodoroTimer(props);
+    return null;
+  }
+
+  let renderer;
+  act(() => {
+    renderer = create(<Probe {...options} />);
+  });
+
+  return {
+    result,
+    rerender: (newOptions) => act(() => renderer.update(<Probe {...newOptions} />)),
+    unmount: () => act(() => renderer.unmount()),
+  };
+}
+
+describe('usePomodoroTimer', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = createFakeClock();
+  });
+
+  it('começa na primeira rodada de foco com a duração completa', () => {
+    const { result } = renderTimer({ settings, clock });
+
+    expect(result.current.phaseId).toBe('focus');
+    expect(result.current.round).toBe(1);
+    expect(result.current.isRunning).toBe(false);
+    expect(result.current.remainingSeconds).toBe(25 * 60);
+  });
+
+  it('conta o tempo pelo relógio e emite tiques enquanto roda', () => {
+    const onTick = jest.fn();
+    const { result } = renderTimer({ settings, clock, onTick });
+
+    act(() => result.current.start());
+    act(() => clock.advance(10 * 1000));
+
+    expect(result.current.isRunning).toBe(true);
+    expect(result.current.remainingSeconds).toBe(25 * 60 - 10);
+    expect(onTick).toHaveBeenLastCalledWith({ phaseId: 'focus', remainingMs: 25 * MINUTE - 10 * 1000 });
+  });
+
+  it('mantém o tempo restante enquanto está pausado', () => {
+    const { result } = renderTimer({ settings, clock });
+
+    act(() => result.current.start());
+    act(() => clock.advance(MINUTE));
+    act(() => result.current.pause());
+    act(() => clock.advance(5 * MINUTE));
+
+    expect(result.current.isRunning).toBe(false);
+    expect(result.current.remainingSeconds).toBe(24 * 60);
+    expect(result.current.timer.pauseCount).toBe(1);
+
+    act(() => result.current.toggle());
+    expect(result.current.isRunning).toBe(true);
+    expect(result.current.timer.pausedMs).toBe(5 * MINUTE);
+  });
+
+  it('conclui a fase no horário de término e vai para a pausa curta', () => {
+    const onPhaseEnd = jest.fn();
+    const { result } = renderTimer({ settings, clock, onPhaseEnd });
+
+    act(() => result.current.start());
+    const endsAt = result.current.timer.endsAt;
+    act(() => clock.advance(25 * MINUTE));
+
+    expect(onPhaseEnd).toHaveBeenCalledTimes(1);
+    expect(onPhaseEnd.mock.calls[0][0]).toMatchObject({
+      phaseId: 'focus',
+      status: 'completed',
+      endedAt: endsAt,
+      nextPhaseId: 'short',
+      autoStarted: false,
+    });
+    expect(result.current.phaseId).toBe('short');
+    expect(result.current.isRunning).toBe(false);
+    expect(result.current.remainingSeconds).toBe(5 * 60);
+  });
+
+  it('encadeia as fases automáticas que terminaram com o app fechado', () => {
+    const onPhaseEnd = jest.fn();
+    const { result } = renderTimer({
+      settings: { ...settings, autoStartBreaks: true, autoStartFocus: true },
+      clock,
+      onPhaseEnd,
+    });
+
+    act(() => result.current.start());
+    act(() => clock.advance(25 * MINUTE + 5 * MINUTE + 2 * MINUTE));
+
+    expect(onPhaseEnd.mock.calls.map(([event]) => event.phaseId)).toEqual(['focus', 'short']);
+    expect(result.current.phaseId).toBe('focus');
+    expect(result.current.round).toBe(2);
+    expect(result.current.isRunning).toBe(true);
+    expect(result.current.remainingSeconds).toBe(23 * 60);
+  });
+
+  it('faz a pausa longa depois do número de rodadas configurado', () => {
+    const { result } = renderTimer({ settings, clock });
+
+    act(() => result.current.skip()); // foco 1 → pausa curta
+    act(() => result.current.skip()); // pausa curta → foco 2
+    expect(result.current.round).toBe(2);
+
+    act(() => result.current.skip()); // foco 2 → pausa longa
+    expect(result.current.phaseId).toBe('long');
+
+    act(() => result.current.skip()); // pausa longa → foco 1
+    expect(result.current.phaseId).toBe('focus');
+    expect(result.current.round).toBe(1);
+  });
+
+  it('avisa sobre fases puladas e abandonadas', () => {
+    const onPhaseEnd = jest.fn();
+    const { result } = renderTimer({ settings, clock, onPhaseEnd });
+
+    act(() => result.current.start());
+    act(() => clock.advance(MINUTE));
+    act(() => result.current.skip());
+    expect(onPhaseEnd).toHaveBeenLastCalledWith(expect.objectContaining({ phaseId: 'focus', status: 'skipped' }));
+
+    act(() => result.current.start());
+    act(() => result.current.reset());
+    expect(onPhaseEnd).toHaveBeenLastCalledWith(expect.objectContaining({ phaseId: 'short', status: 'abandoned' }));
+    expect(result.current.phaseId).toBe('focus');
+    expect(result.current.round).toBe(1);
+
+    // Trocar de fase antes de começar não gera registro.
+    act(() => result.current.selectPhase('long'));
+    expect(onPhaseEnd).toHaveBeenCalledTimes(2);
+    expect(result.current.phaseId).toBe('long');
+  });
+
+  it('grava os campos da sessão quando a fase começa', () => {
+    const onPhaseStart = jest.fn();
+    const { result } = renderTimer({
+      settings,
+      clock,
+      onPhaseStart,
+      getSessionFields: phaseId => (phaseId === 'focus' ? { subjectId: 7 } : {}),
+    });
+
+    act(() => result.current.start());
+    expect(result.current.timer.subjectId).toBe(7);
+    expect(onPhaseStart).toHaveBeenCalledWith(expect.objectContaining({ phaseId: 'focus', startedAt: clock.now() }));
+
+    // Retomar depois de uma pausa não é um novo começo.
+    act(() => result.current.pause());
+    act(() => result.current.start());
+    expect(onPhaseStart).toHaveBeenCalledTimes(1);
+  });
+
+  it('aceita uma duração avulsa ao escolher a fase', () => {
+    const { result } = renderTimer({ settings, clock });
+
+    act(() => result.current.selectPhase('focus', 50 * 60));
+    act(() => result.current.start());
+    act(() => clock.advance(MINUTE));
+
+    expect(result.current.remainingSeconds).toBe(49 * 60);
+  });
+
+  it('só acompanha durações novas enquanto a fase não começou', () => {
+    const { result, rerender } = renderTimer({ settings, clock });
+
+    rerender({ settings: { ...settings, focusMinutes: 50 }, clock });
+    expect(result.current.remainingSeconds).toBe(50 * 60);
+
+    act(() => result.current.start());
+    rerender({ settings: { ...settings, focusMinutes: 10 }, clock });
+    expect(result.current.remainingSeconds).toBe(50 * 60);
+  });
+
+  it('recupera um cronômetro salvo usando o relógio atual', () => {
+    const { result } = renderTimer({ settings, clock });
+
+    act(() => result.current.restore({
+      timer: {
+        phaseId: 'focus',
+        durationMs: 25 * MINUTE,
+        remainingMs: 25 * MINUTE,
+        startedAt: clock.now() - 20 * MINUTE,
+        endsAt: clock.now() + 5 * MINUTE,
+        isRunning: true,
+        pauseCount: 0,
+        pausedAt: null,
+        pausedMs: 0,
+        interruptions: [],
+      },
+      cycle: { round: 2 },
+    }));
+
+    expect(result.current.round).toBe(2);
+    expect(result.current.remainingSeconds).toBe(5 * 60);
+  });
+
+  describe('modo fluxo', () => {
+    const flowSettings = { ...settings, flowMode: true, autoStartBreaks: true };
+
+    it('segue contando o tempo extra depois do fim do foco', () => {
+      const onOvertimeStart = jest.fn();
+      const onPhaseEnd = jest.fn();
+      const onTick = jest.fn();
+      const { result } = renderTimer({ settings: flowSettings, clock, onOvertimeStart, onPhaseEnd, onTick });
+
+      act(() => result.current.start());
+      act(() => clock.advance(25 * MINUTE + 3 * MINUTE));
+
+      expect(onOvertimeStart).toHaveBeenCalledTimes(1);
+      expect(onPhaseEnd).not.toHaveBeenCalled();
+      expect(result.current.phaseId).toBe('focus');
+      expect(result.current.isRunning).toBe(true);
+      expect(result.current.isOvertime).toBe(true);
+      expect(result.current.overtimeSeconds).toBe(3 * 60);
+      expect(onTick).toHaveBeenLastCalledWith({ phaseId: 'focus', remainingMs: 0, overtimeMs: 3 * MINUTE });
+    });
+
+    it('encerra o tempo extra como foco concluído', () => {
+      const onPhaseEnd = jest.fn();
+      const { result } = renderTimer({ settings: flowSettings, clock, onPhaseEnd });
+
+      act(() => result.current.start());
+      act(() => clock.advance(30 * MINUTE));
+      act(() => result.current.pause());
+
+      expect(onPhaseEnd).toHaveBeenCalledTimes(1);
+      expect(onPhaseEnd.mock.calls[0][0]).toMatchObject({
+        phaseId: 'focus',
+        status: 'completed',
+        endedAt: clock.now(),
+        nextPhaseId: 'short',
+        autoStarted: true,
+      });
+      expect(onPhaseEnd.mock.calls[0][0].timer.overtime).toBe(true);
+      expect(result.current.phaseId).toBe('short');
+      expect(result.current.remainingSeconds).toBe(5 * 60);
+    });
+
+    it('pular ou reiniciar durante o tempo extra também conclui o foco', () => {
+      const onPhaseEnd = jest.fn();
+      const { result } = renderTimer({ settings: flowSettings, clock, onPhaseEnd });
+
+      act(() => result.current.start());
+      act(() => clock.advance(26 * MINUTE));
+      act(() => result.current.skip());
+      expect(onPhaseEnd).toHaveBeenLastCalledWith(expect.objectContaining({ phaseId: 'focus', status: 'completed' }));
+
+      act(() => result.current.selectPhase('focus'));
+      act(() => result.current.start());
+      act(() => clock.advance(26 * MINUTE));
+      act(() => result.current.reset());
+      expect(onPhaseEnd).toHaveBeenLastCalledWith(expect.objectContaining({ phaseId: 'focus', status: 'completed' }));
+    });
+
+    it('aumenta a pausa na proporção do tempo extra', () => {
+      const { result } = renderTimer({
+        settings: { ...flowSettings, scaleBreaksWithOvertime: true },
+        clock,
+      });
+
+      act(() => result.current.start());
+      act(() => clock.advance(25 * MINUTE + 5 * MINUTE));
+      act(() => result.current.finish());
+
+      // 30 min de foco sobre 25 planejados: a pausa de 5 min vira 6.
+      expect(result.current.phaseId).toBe('short');
+      expect(result.current.remainingSeconds).toBe(6 * 60);
+    });
+
+    it('não afeta as pausas', () => {
+      const onOvertimeStart = jest.fn();
+      const { result } = renderTimer({ settings: flowSettings, clock, onOvertimeStart });
+
+      act(() => result.current.selectPhase('short'));
+      act(() => result.current.start());
+      act(() => clock.advance(5 * MINUTE));
+
+      expect(onOvertimeStart).not.toHaveBeenCalled();
+      expect(result.current.phaseId).toBe('focus');
+    });
+  });
+});
@@ -0,0 +1,33 @@
+import { useEffect, useState } from 'react';
+import { AccessibilityInfo } from 'react-native';
+
+// Preferências de acessibilidade do sistema, atualizadas quando o usuário muda
+// alguma com o app aberto:
+// - screenReaderEnabled: TalkBack ou VoiceOver ligado;
+// - reduceMotionEnabled: "reduzir movimento", para trocar animações por cortes.
+export function useAccessibility() {
+  const [screenReaderEnabled, setScreenReaderEnabled] = useState(false);
+  const [reduceMotionEnabled, setReduceMotionEnabled] = useState(false);
+
+  useEffect(() => {
+    AccessibilityInfo.isScreenReaderEnabled()
+      .then(setScreenReaderEnabled)
+      .catch(error => console.log('Erro lendo leitor de tela:', error));
+    AccessibilityInfo.isReduceMotionEnabled()
+      .then(setReduceMotionEnabled)
+      .catch(error => console.log('Erro lendo redução de movimento:', error));
+
+    const subscriptions = [
+      AccessibilityInfo.addEventListener('screenReaderChanged', setScreenReaderEnabled),
+      AccessibilityInfo.addEventListener('reduceMotionChanged', setReduceMotionEnabled),
+    ];
+    return () => subscriptions.forEach(subscription => subscription.remove());
+  }, []);
+
+  // Fala um texto pelo leitor de tela, se ele estiver ligado.
+  const announce = (message) => {
+    if (screenReaderEnabled) AccessibilityInfo.announceForAccessibility(message);
+  };
+
+  return { screenReaderEnabled, reduceMotionEnabled, announce };
+}
@@ -0,0 +1,108 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Audio } from 'expo-av';
+import {
+  VIBRATION_REPEAT_MS,
+  getAlarmSoundId,
+  loadAlarmSettings,
+  resolveAlarmSource,
+  vibrate
+} from '../lib/alarm';
+
+const FADE_STEP_MS = 100;
+
+// Toca o alarme de fim de fase com as opções do usuário: som, volume,
+// repetição até ser desligado, aumento gradual do volume e vibração.
+//
+// - play(phaseId): toca o alarme da fase que terminou, com as configurações salvas.
+// - ring(alarmSettings, soundId): toca com as opções dadas (usado nas prévias).
+// - stop(): desliga o alarme. Tocar de novo também desliga o anterior.
+//
+// Carregar o som leva um tempo. Cada stop() (inclusive o do começo de um novo
+// toque) avança a geração; um som que termina de carregar numa geração antiga
+// é descartado. Assim, vários toques seguidos (fases que terminaram com o app
+// fechado) deixam só o último tocando, e um stop() durante o carregamento vale.
+export function useAlarm() {
+  const soundRef = useRef(null);
+  const intervalsRef = useRef([]);
+  const generationRef = useRef(0);
+  const [isRinging, setIsRinging] = useState(false);
+
+  const stop = useCallback(async () => {
+    generationRef.current += 1;
+    intervalsRef.current.forEach(clearInterval);
+    intervalsRef.current = [];
+    setIsRinging(false);
+
+    const sound = soundRef.current;
+    soundRef.current = null;
+    if (sound) {
+      try {
+        await sound.stopAsync();
+        await sound.unloadAsync();
+      } catch (error) {
+        // O som já tinha sido descarregado.
+      }
+    }
+  }, []);
+
+  const ring = useCallback(async (alarmSettings, soundId) => {
+    const stopping = stop();
+    const generation = generationRef.current;
+    await stopping;
+    if (generationRef.current !== generation) return;
+
+    const fadeMs = alarmSettings.fadeInSeconds * 1000;
+    try {
+      const { sound } = await Audio.Sound.createAsync(await resolveAlarmSource(soundId), {
+        shouldPlay: true,
+        isLooping: alarmSettings.repeat,
+        volume: fadeMs > 0 ? 0 : alarmSettings.volume,
+      });
+      if (generationRef.current !== generation) {
+        await sound.unloadAsync();
+        return;
+      }
+      soundRef.current = sound;
+      setIsRinging(true);
+
+      // Tocando uma vez só, o alarme se desliga sozinho quando o som acaba.
+      sound.setOnPlaybackStatusUpdate(status => {
+        if (status.didJustFinish && !status.isLooping && soundRef.current === sound) {
+          stop();
+        }
+      });
+
+      if (fadeMs > 0) {
+        const startedAt = Date.now();
+        const fade = setInterval(() => {
+          const progress = Math.min(1, (Date.now() - startedAt) / fadeMs);
+          sound.setVolumeAsync(alarmSettings.volume * progress).catch(() => {});
+          if (progress === 1) clearInterval(fade);
+        }, FADE_STEP_MS);
+        intervalsRef.current.push(fade);
+      }
+    } catch (error) {
+      console.log('Erro tocando alarme:', error);
+    }
+    if (generationRef.current !== generation) return;
+
+    vibrate(alarmSettings.vibration);
+    if (alarmSettings.repeat && alarmSettings.vibration !== 'none') {
+      intervalsRef.current.push(setInterval(() => vibrate(alarmSettings.vibration), VIBRATION_REPEAT_MS));
+    }
+  }, [stop]);
+
+  const play = useCallback(async (phaseId) => {
+    // Um play() mais novo, ou um stop(), durante a leitura das configurações cancela este.
+    const generation = ++generationRef.current;
+    const alarmSettings = await loadAlarmSettings();
+    if (generationRef.current !== generation) return;
+    await ring(alarmSettings, getAlarmSoundId(alarmSettings, phaseId));
+  }, [ring]);
+
+  useEffect(() => () => {
+    stop();
+  }, [stop]);
+
+  return { isRinging, play, ring, stop };
+}
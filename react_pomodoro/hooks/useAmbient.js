@@ -0,0 +1,50 @@
+import { useEffect, useRef } from 'react';
+import { Audio } from 'expo-av';
+import { AMBIENT_LAYERS } from '../lib/ambient';
+
+// Toca as camadas de som ambiente ao mesmo tempo, cada uma no volume da
+// mixagem. Camadas em silêncio ou com `playing` falso ficam pausadas, mas
+// continuam carregadas para voltar sem atraso.
+//
+// Como no useMusic, as mudanças são aplicadas uma de cada vez e só a última
+// pendente conta (arrastar um volume gera muitas).
+export function useAmbient({ mix, playing }) {
+  const soundsRef = useRef({});
+  const queueRef = useRef(Promise.resolve());
+  const latestRef = useRef(null);
+
+  const apply = async (target) => {
+    for (const layer of AMBIENT_LAYERS) {
+      const volume = target.playing ? (target.mix[layer.id] ?? 0) : 0;
+      const sound = soundsRef.current[layer.id];
+
+      if (volume > 0 && !sound) {
+        const { sound: loaded } = await Audio.Sound.createAsync(layer.source, { shouldPlay: true, isLooping: true, volume });
+        soundsRef.current[layer.id] = loaded;
+      } else if (volume > 0) {
+        await sound.setVolumeAsync(volume);
+        const status = await sound.getStatusAsync();
+        if (status.isLoaded && !status.isPlaying) await sound.playAsync();
+      } else if (sound) {
+        await sound.pauseAsync();
+      }
+    }
+  };
+
+  const mixKey = JSON.stringify(mix);
+  useEffect(() => {
+    const target = { mix, playing };
+    latestRef.current = target;
+
+    queueRef.current = queueRef.current
+      .then(() => (latestRef.current === target ? apply(target) : undefined))
+      .catch(error => console.log('Erro tocando som ambiente:', error));
+  }, [mixKey, playing]);
+
+  useEffect(() => () => {
+    latestRef.current = undefined;
+    queueRef.current = queueRef.current
+      .then(() => Promise.all(Object.values(soundsRef.current).map(sound => sound.unloadAsync())))
+      .catch(error => console.log('Erro descarregando som ambiente:', error));
+  }, []);
+}
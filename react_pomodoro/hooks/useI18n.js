@@ -0,0 +1,24 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_LOCALE, SYSTEM_LANGUAGE, formatClock, formatDate, formatDateTime, formatNumber, t } from '../lib/i18n';
+
+// Idioma compartilhado pelas telas. O valor vem do I18nProvider no layout
+// raiz; fora dele (em testes, por exemplo) vale português.
+export const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  language: SYSTEM_LANGUAGE,
+  setLanguage: () => {},
+  reloadLanguage: () => {},
+});
+
+// As funções de tradução e formatação. Usar o hook faz a tela ser desenhada
+// de novo quando o idioma muda.
+export function useI18n() {
+  const { locale } = useContext(I18nContext);
+  return { t, locale, formatNumber, formatDate, formatDateTime, formatClock };
+}
+
+// A escolha do usuário (um idioma ou SYSTEM_LANGUAGE) e como mudá-la.
+export function useLanguage() {
+  const { language, setLanguage, reloadLanguage } = useContext(I18nContext);
+  return { language, setLanguage, reloadLanguage };
+}
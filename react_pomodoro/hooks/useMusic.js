@@ -0,0 +1,165 @@
+import { useEffect, useRef, useState } from 'react';
+import { Audio } from 'expo-av';
+import {
+  LIBRARY,
+  SILENCE,
+  nextSoundtrackState,
+  openSoundtrack,
+  resolveMusicSource,
+  saveSoundtrackState
+} from '../lib/music';
+
+const DUCK_VOLUME = 0.2;
+const DUCK_FADE_MS = 300;
+const FADE_STEP_MS = 50;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Música de fundo controlada pelo estado: quem usa diz o que deveria estar
+// tocando e o hook faz a transição com o volume subindo ou descendo aos poucos,
+// em vez de cortar o som.
+//
+// - music: id da música (veja lib/music.js); `SILENCE` não toca nada.
+// - playing: se a música deveria estar tocando agora.
+// - ducked: abaixa o volume (por exemplo, enquanto o alarme toca).
+// - fadeSeconds: duração das transições.
+// - soundtrack: { trackIds, shuffle } da playlist da biblioteca (`LIBRARY`).
+//
+// A playlist da biblioteca passa de uma música para a outra e dá a volta no fim.
+// Ao parar ou trocar de música, a posição é guardada e a playlist continua dali
+// da próxima vez. Retorna `trackName`, o nome da música da playlist que está tocando.
+//
+// As mudanças são aplicadas uma de cada vez; se várias chegam durante uma
+// transição, só a última é aplicada quando ela termina.
+export function useMusic({ music, playing, ducked = false, fadeSeconds = 0, soundtrack }) {
+  const soundRef = useRef(null);
+  const loadedMusicRef = useRef(null);
+  const soundtrackRef = useRef(null); // { tracks, state } enquanto a playlist está carregada.
+  const volumeRef = useRef(0);
+  const queueRef = useRef(Promise.resolve());
+  const latestRef = useRef(null);
+  const duckedRef = useRef(ducked);
+  const soundtrackOptionsRef = useRef(soundtrack);
+  soundtrackOptionsRef.current = soundtrack;
+  const [trackName, setTrackName] = useState(null);
+
+  const enqueue = (job) => {
+    queueRef.current = queueRef.current
+      .then(job)
+      .catch(error => console.log('Erro tocando música:', error));
+  };
+
+  const fadeTo = async (volume, ms) => {
+    const sound = soundRef.current;
+    const from = volumeRef.current;
+    const steps = Math.max(1, Math.round(ms / FADE_STEP_MS));
+    for (let step = 1; step <= steps; step++) {
+      if (ms > 0) await wait(FADE_STEP_MS);
+      volumeRef.current = from + (volume - from) * (step / steps);
+      await sound.setVolumeAsync(volumeRef.current);
+    }
+  };
+
+  const saveSoundtrackPosition = async () => {
+    if (!soundtrackRef.current || !soundRef.current) return;
+
+    const status = await soundRef.current.getStatusAsync();
+    soundtrackRef.current.state.positionMillis = status.isLoaded ? status.positionMillis : 0;
+    await saveSoundtrackState(soundtrackRef.current.state);
+  };
+
+  const loadSoundtrackTrack = async () => {
+    const { tracks, state } = soundtrackRef.current;
+    const track = tracks.get(state.order[state.index]);
+    const { sound } = await Audio.Sound.createAsync({ uri: track.uri }, {
+      shouldPlay: true,
+      volume: volumeRef.current,
+      positionMillis: state.positionMillis,
+    });
+    sound.setOnPlaybackStatusUpdate(status => {
+      if (status.didJustFinish) enqueue(() => nextTrack(sound));
+    });
+    soundRef.current = sound;
+    setTrackName(track.name);
+  };
+
+  const nextTrack = async (finishedSound) => {
+    if (soundRef.current !== finishedSound) return;
+
+    soundtrackRef.current.state = nextSoundtrackState(soundtrackRef.current.state);
+    await saveSoundtrackState(soundtrackRef.current.state);
+    soundRef.current = null;
+    await finishedSound.unloadAsync();
+    await loadSoundtrackTrack();
+  };
+
+  const unload = async () => {
+    await saveSoundtrackPosition();
+    const sound = soundRef.current;
+    soundRef.current = null;
+    soundtrackRef.current = null;
+    loadedMusicRef.current = null;
+    volumeRef.current = 0;
+    setTrackName(null);
+    if (sound) await sound.unloadAsync();
+  };
+
+  // `music` é null para silêncio: a música atual desce aos poucos e fica pausada.
+  const apply = async ({ music: targetMusic, volume, fadeMs }) => {
+    if (soundRef.current && loadedMusicRef.current !== targetMusic) {
+      await fadeTo(0, fadeMs);
+      if (targetMusic === null) {
+        await soundRef.current.pauseAsync();
+        await saveSoundtrackPosition();
+        return;
+      }
+      await unload();
+    }
+    if (targetMusic === null) return;
+
+    if (!soundRef.current && targetMusic === LIBRARY) {
+      soundtrackRef.current = await openSoundtrack(soundtrackOptionsRef.current);
+      if (!soundtrackRef.current) return;
+
+      volumeRef.current = 0;
+      await loadSoundtrackTrack();
+      loadedMusicRef.current = targetMusic;
+    } else if (!soundRef.current) {
+      const source = await resolveMusicSource(targetMusic);
+      if (!source) return;
+
+      const { sound } = await Audio.Sound.createAsync(source, { shouldPlay: true, isLooping: true, volume: 0 });
+      soundRef.current = sound;
+      loadedMusicRef.current = targetMusic;
+      volumeRef.current = 0;
+    } else {
+      const status = await soundRef.current.getStatusAsync();
+      if (status.isLoaded && !status.isPlaying) await soundRef.current.playAsync();
+    }
+    await fadeTo(volume, fadeMs);
+  };
+
+  useEffect(() => {
+    // Abaixar e voltar por causa do alarme é rápido; o resto segue `fadeSeconds`.
+    const fadeMs = duckedRef.current !== ducked ? DUCK_FADE_MS : fadeSeconds * 1000;
+    duckedRef.current = ducked;
+
+    const target = {
+      music: playing && music !== SILENCE ? music : null,
+      volume: ducked ? DUCK_VOLUME : 1,
+      fadeMs,
+    };
+    latestRef.current = target;
+
+    enqueue(() => (latestRef.current === target ? apply(target) : undefined));
+  }, [music, playing, ducked, fadeSeconds]);
+
+  useEffect(() => () => {
+    latestRef.current = undefined;
+    queueRef.current = queueRef.current
+      .then(unload)
+      .catch(error => console.log('Erro descarregando música:', error));
+  }, []);
+
+  return { trackName };
+}
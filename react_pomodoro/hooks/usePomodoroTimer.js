@@ -0,0 +1,261 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createTimer, getOvertimeMs, getRemainingMs, pauseTimer, startOvertime, startTimer } from '../lib/timer';
+import { advanceCycle, createCycle, getNextPhaseId, shouldAutoStart } from '../lib/cycle';
+import { getPhaseSeconds } from '../lib/settings';
+import { SESSION_STATUS } from '../lib/sessions';
+
+// Relógio padrão. Nos testes, um relógio falso controla o "agora" e os intervalos.
+export const systemClock = {
+  now: () => Date.now(),
+  setInterval: (callback, ms) => setInterval(callback, ms),
+  clearInterval: (id) => clearInterval(id),
+};
+
+// Cronômetro do Pomodoro sem interface: guarda a fase atual e o ciclo, avança
+// as fases e avisa quem estiver interessado pelos eventos abaixo. Áudio,
+// notificações, histórico e persistência ficam com quem usa o hook.
+//
+// Eventos (opcionais):
+// - onTick({ phaseId, remainingMs, overtimeMs }): a cada tique com o cronômetro
+//   rodando. `overtimeMs` só vem durante o tempo extra do modo fluxo.
+// - onOvertimeStart({ phaseId, timer, endsAt }): no modo fluxo, o tempo do foco
+//   acabou e o cronômetro passou a contar o tempo extra.
+// - onPhaseStart({ phaseId, timer, startedAt }): uma fase começou do zero.
+// - onPhaseEnd({ phaseId, status, timer, endedAt, nextPhaseId, autoStarted }): a
+//   fase terminou (`status` é um dos SESSION_STATUS). `timer` é o estado final
+//   da fase; `nextPhaseId` e `autoStarted` só existem quando o ciclo avançou.
+//
+// No modo fluxo (`settings.flowMode`), o foco não avança sozinho ao chegar a zero:
+// ele fica em tempo extra até o usuário encerrar (`finish`, `pause` ou `skip`), e
+// a fase termina como concluída. Com `settings.scaleBreaksWithOvertime`, a pausa
+// seguinte cresce na mesma proporção do tempo extra.
+//
+// `getSessionFields(phaseId)` devolve campos extras gravados no cronômetro
+// quando uma fase começa (por exemplo, a matéria de uma sessão de foco).
+export function usePomodoroTimer({
+  settings,
+  clock = systemClock,
+  tickMs = 500,
+  getSessionFields,
+  onTick,
+  onOvertimeStart,
+  onPhaseStart,
+  onPhaseEnd,
+}) {
+  const [state, setState] = useState(() => ({
+    timer: createTimer('focus', getPhaseSeconds(settings, 'focus')),
+    cycle: createCycle(),
+  }));
+  const [now, setNow] = useState(() => clock.now());
+
+  // As ações leem o estado e as opções mais recentes sem depender de re-render.
+  const stateRef = useRef(state);
+  const optionsRef = useRef();
+  optionsRef.current = { settings, getSessionFields, onTick, onOvertimeStart, onPhaseStart, onPhaseEnd };
+
+  const commit = useCallback((next) => {
+    stateRef.current = next;
+    setState(next);
+  }, []);
+
+  const emit = (event, payload) => {
+    optionsRef.current[event]?.(payload);
+  };
+
+  const createPhaseTimer = (phaseId, seconds = getPhaseSeconds(optionsRef.current.settings, phaseId)) => (
+    createTimer(phaseId, seconds)
+  );
+
+  const begin = (timer, startAt) => {
+    if (timer.startedAt !== null) return startTimer(timer, startAt);
+
+    const extras = optionsRef.current.getSessionFields?.(timer.phaseId) ?? {};
+    const started = startTimer({ ...timer, ...extras }, startAt);
+    emit('onPhaseStart', { phaseId: started.phaseId, timer: started, startedAt: startAt });
+    return started;
+  };
+
+  // Uma fase já iniciada que é trocada no meio conta como abandonada, a não ser
+  // que já estivesse em tempo extra: aí o tempo planejado foi cumprido.
+  const abandonCurrent = () => {
+    const { timer } = stateRef.current;
+    if (timer.startedAt !== null) {
+      const status = timer.overtime ? SESSION_STATUS.completed : SESSION_STATUS.abandoned;
+      emit('onPhaseEnd', { phaseId: timer.phaseId, status, timer, endedAt: clock.now() });
+    }
+  };
+
+  // A pausa depois de um foco com tempo extra ganha a mesma proporção a mais.
+  const createNextPhaseTimer = (nextPhaseId, endedTimer, endedAt) => {
+    const nextTimer = createPhaseTimer(nextPhaseId);
+    const overtimeMs = getOvertimeMs(endedTimer, endedAt);
+    if (!optionsRef.current.settings.scaleBreaksWithOvertime || nextPhaseId === 'focus' || overtimeMs === 0) {
+      return nextTimer;
+    }
+
+    const durationMs = Math.round(nextTimer.durationMs * (endedTimer.durationMs + overtimeMs) / endedTimer.durationMs / 1000) * 1000;
+    return { ...nextTimer, durationMs, remainingMs: durationMs };
+  };
+
+  // Avança o ciclo. Se a fase seguinte começa sozinha, ela parte de `endedAt`
+  // (o término da anterior), mesmo que o app estivesse fechado nesse momento.
+  const advance = (status, endedAt) => {
+    const { timer, cycle } = stateRef.current;
+    const currentSettings = optionsRef.current.settings;
+    const nextPhaseId = getNextPhaseId(cycle, timer.phaseId, currentSettings.longBreakInterval);
+    const autoStarted = shouldAutoStart(nextPhaseId, currentSettings);
+
+    commit({
+      cycle: advanceCycle(cycle, timer.phaseId, currentSettings.longBreakInterval),
+      timer: createNextPhaseTimer(nextPhaseId, timer, endedAt),
+    });
+    emit('onPhaseEnd', { phaseId: timer.phaseId, status, timer, endedAt, nextPhaseId, autoStarted });
+
+    if (autoStarted) {
+      commit({ ...stateRef.current, timer: begin(stateRef.current.timer, endedAt) });
+    }
+    setNow(clock.now());
+  };
+
+  const start = () => {
+    const { timer, cycle } = stateRef.current;
+    if (timer.isRunning) return;
+
+    const startAt = clock.now();
+    // Se o tempo já tinha acabado, começa uma nova sessão da mesma fase.
+    const toStart = timer.remainingMs === 0 ? createPhaseTimer(timer.phaseId) : timer;
+    commit({ cycle, timer: begin(toStart, startAt) });
+    setNow(startAt);
+  };
+
+  // Encerra o tempo extra do modo fluxo e segue para a próxima fase.
+  const finish = () => {
+    if (!stateRef.current.timer.overtime) return;
+    advance(SESSION_STATUS.completed, clock.now());
+  };
+
+  // Em tempo extra não há o que pausar: parar é encerrar o foco.
+  const pause = () => {
+    const { timer, cycle } = stateRef.current;
+    if (!timer.isRunning) return;
+    if (timer.overtime) {
+      finish();
+      return;
+    }
+
+    const pausedAt = clock.now();
+    commit({ cycle, timer: pauseTimer(timer, pausedAt) });
+    setNow(pausedAt);
+  };
+
+  const toggle = () => {
+    if (stateRef.current.timer.isRunning) {
+      pause();
+    } else {
+      start();
+    }
+  };
+
+  const skip = () => {
+    const status = stateRef.current.timer.overtime ? SESSION_STATUS.completed : SESSION_STATUS.skipped;
+    advance(status, clock.now());
+  };
+
+  // `seconds` permite uma duração avulsa, diferente da configurada para a fase.
+  const selectPhase = (phaseId, seconds) => {
+    abandonCurrent();
+    commit({ ...stateRef.current, timer: createPhaseTimer(phaseId, seconds) });
+    setNow(clock.now());
+  };
+
+  // Recomeça o ciclo do zero, no foco.
+  const reset = () => {
+    abandonCurrent();
+    commit({ cycle: createCycle(), timer: createPhaseTimer('focus') });
+    setNow(clock.now());
+  };
+
+  // Recupera um estado salvo (por exemplo, depois que o app foi fechado).
+  const restore = ({ timer, cycle }) => {
+    commit({ timer: timer ?? stateRef.current.timer, cycle: cycle ?? stateRef.current.cycle });
+    setNow(clock.now());
+  };
+
+  // Ajustes pontuais no cronômetro da fase atual, como registrar uma interrupção.
+  const updateTimer = (update) => {
+    commit({ ...stateRef.current, timer: update(stateRef.current.timer) });
+  };
+
+  // Relê o relógio, por exemplo ao voltar do segundo plano com o intervalo congelado.
+  const sync = () => {
+    setNow(clock.now());
+  };
+
+  // Uma fase que ainda não começou acompanha as durações atuais; uma em andamento não muda.
+  // Só reage quando a duração da mesma fase muda nas configurações, para não desfazer
+  // uma pausa aumentada pelo tempo extra logo depois de o ciclo avançar.
+  const phaseSeconds = getPhaseSeconds(settings, state.timer.phaseId);
+  const lastPhaseSeconds = useRef({ phaseId: state.timer.phaseId, seconds: phaseSeconds });
+  useEffect(() => {
+    const { timer } = stateRef.current;
+    const last = lastPhaseSeconds.current;
+    lastPhaseSeconds.current = { phaseId: timer.phaseId, seconds: phaseSeconds };
+    if (last.phaseId !== timer.phaseId || last.seconds === phaseSeconds) return;
+
+    if (timer.startedAt === null && timer.durationMs !== phaseSeconds * 1000) {
+      commit({ ...stateRef.current, timer: createPhaseTimer(timer.phaseId) });
+    }
+  }, [state.timer.phaseId, phaseSeconds]);
+
+  // O intervalo apenas atualiza o "agora"; quem manda no tempo é o relógio.
+  useEffect(() => {
+    if (!state.timer.isRunning) return;
+
+    const id = clock.setInterval(() => setNow(clock.now()), tickMs);
+    return () => clock.clearInterval(id);
+  }, [state.timer.isRunning, clock, tickMs]);
+
+  useEffect(() => {
+    const { timer } = stateRef.current;
+    if (!timer.isRunning) return;
+
+    const remainingMs = getRemainingMs(timer, now);
+    if (timer.overtime) {
+      emit('onTick', { phaseId: timer.phaseId, remainingMs: 0, overtimeMs: getOvertimeMs(timer, now) });
+    } else if (remainingMs > 0) {
+      emit('onTick', { phaseId: timer.phaseId, remainingMs });
+    } else if (timer.phaseId === 'focus' && optionsRef.current.settings.flowMode) {
+      const overtimeTimer = startOvertime(timer);
+      commit({ ...stateRef.current, timer: overtimeTimer });
+      emit('onOvertimeStart', { phaseId: timer.phaseId, timer: overtimeTimer, endsAt: timer.endsAt });
+    } else {
+      advance(SESSION_STATUS.completed, timer.endsAt);
+    }
+  }, [state, now]);
+
+  const remainingMs = getRemainingMs(state.timer, now);
+  const overtimeMs = getOvertimeMs(state.timer, now);
+
+  return {
+    phaseId: state.timer.phaseId,
+    remainingMs,
+    remainingSeconds: Math.ceil(remainingMs / 1000),
+    isRunning: state.timer.isRunning,
+    isOvertime: state.timer.overtime === true,
+    overtimeMs,
+    overtimeSeconds: Math.floor(overtimeMs / 1000),
+    round: state.cycle.round,
+    timer: state.timer,
+    cycle: state.cycle,
+    start,
+    pause,
+    toggle,
+    skip,
+    finish,
+    reset,
+    selectPhase,
+    restore,
+    updateTimer,
+    sync,
+  };
+}
@@ -0,0 +1,33 @@
+import { createContext, useContext, useMemo } from 'react';
+import { DEFAULT_THEME_SETTINGS, getPhaseColors, resolveTheme } from '../lib/theme';
+
+// Estado do tema compartilhado pelas telas. O valor vem do ThemeProvider no
+// layout raiz; fora dele (em testes, por exemplo) vale o tema padrão.
+export const ThemeContext = createContext({
+  theme: resolveTheme(DEFAULT_THEME_SETTINGS, null),
+  themeSettings: DEFAULT_THEME_SETTINGS,
+  setThemeSettings: () => {},
+  reloadThemeSettings: () => {},
+});
+
+// O tema em uso: { id, dark, colors, phases } (veja lib/theme.js).
+export function useTheme() {
+  return useContext(ThemeContext).theme;
+}
+
+// A escolha do usuário ({ themeId, appearance }) e como mudá-la.
+export function useThemeSettings() {
+  const { themeSettings, setThemeSettings, reloadThemeSettings } = useContext(ThemeContext);
+  return { themeSettings, setThemeSettings, reloadThemeSettings };
+}
+
+// Estilos que dependem das cores: `createStyles(colors)` só roda de novo quando
+// o tema (ou a fase, se informada) muda. Com `phaseId`, o destaque, a borda e
+// o fundo dos cartões são os da fase.
+export function useThemedStyles(createStyles, phaseId) {
+  const theme = useTheme();
+  return useMemo(
+    () => createStyles(phaseId ? getPhaseColors(theme, phaseId) : theme.colors),
+    [theme, phaseId]
+  );
+}
@@ -0,0 +1,71 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { Platform } from 'react-native';
+import { useFocusEffect } from 'expo-router';
+
+const isWeb = Platform.OS === 'web';
+
+// Com o foco num campo de texto as teclas são do campo: digitar "s" numa nota
+// não pode pular a fase.
+const isTyping = (target) => (
+  target?.isContentEditable === true || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)
+);
+
+// Comportamentos do cronômetro que só existem no navegador. No celular o hook
+// não faz nada.
+//
+// - `shortcuts`: tecla -> ação, por exemplo { ' ': toggle, s: skip }. Valem
+//   enquanto a tela está à vista e ninguém está digitando.
+// - `title`: título da aba enquanto a tela está à vista. Ao sair, volta o anterior.
+// - `endsAt` e `onWake`: numa aba em segundo plano o navegador atrasa o
+//   intervalo do cronômetro (às vezes para um tique por minuto). Um único
+//   temporizador marcado para o término continua pontual, então `onWake` roda
+//   na hora certa e a fase termina sem atraso (alarme, histórico, próxima fase).
+export function useWebTimer({ shortcuts, title, endsAt, onWake }) {
+  const shortcutsRef = useRef(shortcuts);
+  shortcutsRef.current = shortcuts;
+  const onWakeRef = useRef(onWake);
+  onWakeRef.current = onWake;
+
+  useFocusEffect(
+    useCallback(() => {
+      if (!isWeb) return;
+
+      const onKeyDown = (event) => {
+        if (event.repeat || event.altKey || event.ctrlKey || event.metaKey || isTyping(event.target)) return;
+
+        const action = shortcutsRef.current[event.key.toLowerCase()];
+        if (!action) return;
+        // Sem isso o espaço também rolaria a página.
+        event.preventDefault();
+        action();
+      };
+
+      window.addEventListener('keydown', onKeyDown);
+      return () => window.removeEventListener('keydown', onKeyDown);
+    }, [])
+  );
+
+  useFocusEffect(
+    useCallback(() => {
+      if (!isWeb) return;
+
+      const previousTitle = document.title;
+      return () => {
+        document.title = previousTitle;
+      };
+    }, [])
+  );
+
+  useFocusEffect(
+    useCallback(() => {
+      if (isWeb) document.title = title;
+    }, [title])
+  );
+
+  useEffect(() => {
+    if (!isWeb || endsAt === null) return;
+
+    const id = setTimeout(() => onWakeRef.current(), Math.max(0, endsAt - Date.now()));
+    return () => clearTimeout(id);
+  }, [endsAt]);
+}
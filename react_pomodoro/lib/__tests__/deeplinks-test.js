@@ -0,0 +1,131 @@
+import { StackActions, StackRouter } from '@react-navigation/native';
+import { parseTimerLink, returnToTimer } from '../deeplinks';
+import { t } from '../i18n';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('expo-sqlite', () => ({ openDatabaseAsync: jest.fn() }));
+
+const subjects = [
+  { id: 1, name: 'Cálculo I', archivedAt: null },
+  { id: 2, name: 'Física', archivedAt: 1_000_000 },
+];
+
+const profiles = [
+  { id: 'classic', name: 'Clássico 25/5/15' },
+  { id: 'custom-1', name: 'Provas' },
+];
+
+const parse = (params) => parseTimerLink(params, { subjects, profiles });
+
+describe('parseTimerLink', () => {
+  it('começa um foco com a duração do perfil quando o link não tem parâmetros', () => {
+    expect(parse({})).toEqual({
+      command: { action: 'start', phase: 'focus', seconds: null, subjectId: null, profileId: null },
+    });
+  });
+
+  it('normaliza um início completo em ids e segundos', () => {
+    expect(parse({ phase: 'focus', minutes: '50', subject: 'calculo-i', profile: 'Provas' })).toEqual({
+      command: { action: 'start', phase: 'focus', seconds: 50 * 60, subjectId: 1, profileId: 'custom-1' },
+    });
+  });
+
+  it('usa o primeiro valor de um parâmetro repetido', () => {
+    expect(parse({ phase: ['short', 'long'] }).command.phase).toBe('short');
+  });
+
+  it('recusa ações e fases desconhecidas', () => {
+    expect(parse({ action: 'stop' })).toEqual({ error: t('deepLinks.unknownAction', { action: 'stop' }) });
+    expect(parse({ phase: 'nap' })).toEqual({ error: t('deepLinks.invalidPhase', { phase: 'nap' }) });
+  });
+
+  it.each(['0', '601', 'abc', '2.5', ''])('recusa minutos fora do intervalo ou não inteiros (%p)', (minutes) => {
+    expect(parse({ minutes })).toEqual({ error: t('deepLinks.invalidMinutes') });
+  });
+
+  it('aceita os limites de 1 e 600 minutos', () => {
+    expect(parse({ minutes: '1' }).command.seconds).toBe(60);
+    expect(parse({ minutes: '600' }).command.seconds).toBe(600 * 60);
+  });
+
+  it('só aceita matéria no foco', () => {
+    expect(parse({ phase: 'short', subject: '1' })).toEqual({ error: t('deepLinks.subjectOutsideFocus') });
+  });
+
+  it('recusa matérias desconhecidas ou arquivadas', () => {
+    expect(parse({ subject: 'quimica' })).toEqual({ error: t('deepLinks.subjectNotFound', { subject: 'quimica' }) });
+    expect(parse({ subject: '2' })).toEqual({ error: t('deepLinks.subjectNotFound', { subject: '2' }) });
+    expect(parse({ subject: 'fisica' })).toEqual({ error: t('deepLinks.subjectNotFound', { subject: 'fisica' }) });
+  });
+
+  it('recusa perfis desconhecidos', () => {
+    expect(parse({ profile: 'deep-work' })).toEqual({ error: t('deepLinks.profileNotFound', { profile: 'deep-work' }) });
+  });
+
+  it.each(['pause', 'resume', 'skip'])('aceita %p sem parâmetros e recusa os de início', (action) => {
+    expect(parse({ action })).toEqual({ command: { action } });
+    expect(parse({ action, phase: 'focus', minutes: '5' })).toEqual({
+      error: t('deepLinks.unexpectedParams', { action, params: 'phase, minutes' }),
+    });
+  });
+});
+
+// Roteador de pilha de verdade (o mesmo do expo-router) por trás de um `router`
+// com os métodos usados pela rota app/timer.jsx.
+function createStack(routeNames) {
+  const stack = StackRouter({ initialRouteName: routeNames[0] });
+  const options = { routeNames: ['index', 'timer'], routeParamList: {}, routeGetIdList: {} };
+  let state = stack.getInitialState(options);
+  for (const name of routeNames.slice(1)) {
+    state = stack.getStateForAction(state, StackActions.push(name), options);
+  }
+
+  const dispatch = (action) => {
+    state = stack.getStateForAction(state, action, options) ?? state;
+  };
+  const toIndex = (href) => (typeof href === 'string' ? undefined : href.params);
+
+  return {
+    getState: () => state,
+    router: {
+      dismissTo: (href) => dispatch(StackActions.popTo('index', toIndex(href))),
+      replace: (href) => dispatch(StackActions.replace('index', toIndex(href))),
+    },
+  };
+}
+
+describe('returnToTimer', () => {
+  const command = { action: 'pause' };
+
+  it('com o app aberto, volta para o Index que já existe em vez de montar outro', () => {
+    const { getState, router } = createStack(['index', 'timer']);
+    const indexKey = getState().routes[0].key;
+
+    returnToTimer(router, command);
+
+    const { routes } = getState();
+    expect(routes).toHaveLength(1);
+    expect(routes[0]).toMatchObject({ key: indexKey, name: 'index', params: { link: JSON.stringify(command) } });
+  });
+
+  it('com o app aberto pelo link, troca a rota do link pelo Index', () => {
+    const { getState, router } = createStack(['timer']);
+
+    returnToTimer(router, command);
+
+    const { routes } = getState();
+    expect(routes).toHaveLength(1);
+    expect(routes[0]).toMatchObject({ name: 'index', params: { link: JSON.stringify(command) } });
+  });
+
+  it('sem comando (link recusado), só volta para o cronômetro', () => {
+    const { getState, router } = createStack(['index', 'timer']);
+    const indexKey = getState().routes[0].key;
+
+    returnToTimer(router);
+
+    expect(getState().routes).toEqual([expect.objectContaining({ key: indexKey, name: 'index' })]);
+  });
+});
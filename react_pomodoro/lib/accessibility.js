@@ -0,0 +1,41 @@
+import { t } from './i18n';
+
+// Textos falados pelo leitor de tela (TalkBack ou VoiceOver) sobre o cronômetro,
+// no idioma atual.
+//
+// O tempo restante é anunciado a cada 5 minutos e, no último minuto, aos 60, 30
+// e 10 segundos. Os tiques não caem exatamente no segundo certo, então vale a
+// marca que foi cruzada entre dois tiques.
+
+const ANNOUNCEMENT_INTERVAL_SECONDS = 5 * 60;
+const FINAL_MINUTE_MARKS = [60, 30, 10];
+
+// "24 minutos e 10 segundos", "1 minuto", "45 segundos".
+export function describeDuration(totalSeconds) {
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  if (minutes === 0) return t('a11y.seconds', { count: seconds });
+  if (seconds === 0) return t('a11y.minutes', { count: minutes });
+  return t('a11y.minutesAndSeconds', {
+    minutes: t('a11y.minutes', { count: minutes }),
+    seconds: t('a11y.seconds', { count: seconds }),
+  });
+}
+
+// "Falta 1 minuto", "Faltam 45 segundos": o verbo concorda com o que é falado.
+export function describeRemaining(seconds) {
+  const spokenCount = seconds === 60 ? 1 : seconds;
+  return t('a11y.remaining', { count: spokenCount, duration: describeDuration(seconds) });
+}
+
+// A marca de anúncio cruzada ao passar de `previousSeconds` para `seconds`
+// restantes, ou null. Um salto maior que um tique (a volta do segundo plano)
+// não é anunciado, e o fim da fase (zero) tem anúncio próprio.
+export function getAnnouncementMark(previousSeconds, seconds) {
+  if (previousSeconds === null || seconds <= 0) return null;
+
+  const intervalMark = Math.ceil(seconds / ANNOUNCEMENT_INTERVAL_SECONDS) * ANNOUNCEMENT_INTERVAL_SECONDS;
+  return [...FINAL_MINUTE_MARKS, intervalMark].find(mark => (
+    previousSeconds > mark && seconds <= mark && mark - seconds <= 1
+  )) ?? null;
+}
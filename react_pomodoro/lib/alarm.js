@@ -0,0 +1,105 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Haptics from 'expo-haptics';
+import { findTrack, getTrackId } from './playlist';
+import { t } from './i18n';
+
+// Configurações do alarme de fim de fase. Ficam separadas das configurações
+// gerais porque valem para todos os perfis e são editadas numa tela própria.
+//
+// Um som é o id de um dos sons que vêm com o app ou o id de uma música da
+// biblioteca de MP3 (veja `getTrackId`). Os nomes dos sons e das vibrações
+// ficam nos catálogos de idioma (`alarm.sounds` e `alarm.vibrations`).
+
+export const ALARM_STORAGE_KEY = 'pomodoro_alarm';
+
+export const BUNDLED_ALARM_SOUNDS = [
+  { id: 'classic', source: require('../app/assets/alarm.mp3') },
+  { id: 'bell', source: require('../app/assets/bell.wav') },
+  { id: 'beeps', source: require('../app/assets/beeps.wav') },
+];
+
+export const ALARM_VOLUMES = [0.25, 0.5, 0.75, 1];
+export const FADE_IN_SECONDS = [0, 5, 10, 30];
+
+// Cada passo é um toque do `expo-haptics` ou uma espera em milissegundos.
+export const VIBRATION_PATTERNS = {
+  none: { steps: [] },
+  single: { steps: ['success'] },
+  double: { steps: ['heavy', 250, 'heavy'] },
+  wave: { steps: ['light', 120, 'medium', 120, 'heavy', 120, 'medium', 120, 'light'] },
+  long: { steps: ['warning', 400, 'heavy', 400, 'heavy', 400, 'heavy'] },
+};
+
+// Com o alarme repetindo, a vibração volta a cada intervalo até ele ser desligado.
+export const VIBRATION_REPEAT_MS = 3000;
+
+export const DEFAULT_ALARM_SETTINGS = {
+  focusEndSound: 'classic', // Toca quando um foco termina.
+  breakEndSound: 'classic', // Toca quando uma pausa termina.
+  volume: 1,
+  repeat: false,            // true: toca até o usuário desligar.
+  fadeInSeconds: 0,
+  vibration: 'none',
+};
+
+const HAPTIC_STEPS = {
+  light: () => Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light),
+  medium: () => Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium),
+  heavy: () => Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Heavy),
+  success: () => Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success),
+  warning: () => Haptics.notificationAsync(Haptics.NotificationFeedbackType.Warning),
+};
+
+export async function loadAlarmSettings() {
+  try {
+    const storedSettings = await AsyncStorage.getItem(ALARM_STORAGE_KEY);
+    return storedSettings ? { ...DEFAULT_ALARM_SETTINGS, ...JSON.parse(storedSettings) } : DEFAULT_ALARM_SETTINGS;
+  } catch (error) {
+    console.log('Erro carregando configurações do alarme:', error);
+    return DEFAULT_ALARM_SETTINGS;
+  }
+}
+
+export async function saveAlarmSettings(alarmSettings) {
+  await AsyncStorage.setItem(ALARM_STORAGE_KEY, JSON.stringify(alarmSettings));
+}
+
+// Sons que podem ser escolhidos: os do app e as músicas importadas no reprodutor de MP3.
+export function getAlarmSoundOptions(playlist) {
+  return [
+    ...BUNDLED_ALARM_SOUNDS.map(({ id }) => ({ id, label: t(`alarm.sounds.${id}`) })),
+    ...playlist.map(track => ({ id: getTrackId(track), label: track.name })),
+  ];
+}
+
+// O som que toca quando a fase `phaseId` termina.
+export function getAlarmSoundId(alarmSettings, phaseId) {
+  return phaseId === 'focus' ? alarmSettings.focusEndSound : alarmSettings.breakEndSound;
+}
+
+// Fonte para o `Audio.Sound.createAsync`. Uma música que saiu da biblioteca dá
+// lugar ao alarme padrão, para o fim da fase nunca passar em silêncio.
+export async function resolveAlarmSource(soundId) {
+  const bundled = BUNDLED_ALARM_SOUNDS.find(sound => sound.id === soundId);
+  if (bundled) return bundled.source;
+
+  const track = await findTrack(soundId);
+  if (track) return { uri: track.uri };
+  return BUNDLED_ALARM_SOUNDS[0].source;
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export async function vibrate(patternId) {
+  try {
+    for (const step of VIBRATION_PATTERNS[patternId]?.steps ?? []) {
+      if (typeof step === 'number') {
+        await wait(step);
+      } else {
+        await HAPTIC_STEPS[step]();
+      }
+    }
+  } catch (error) {
+    console.log('Erro vibrando:', error);
+  }
+}
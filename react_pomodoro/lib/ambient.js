@@ -0,0 +1,90 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { t } from './i18n';
+
+// Som ambiente tocado por baixo do cronômetro, em camadas. Uma mixagem é um
+// objeto `{ [layerId]: volume }`, com o volume entre 0 e 1; camadas ausentes
+// ficam em silêncio.
+//
+// O mixer edita a mixagem atual. Mixagens podem ser guardadas como predefinições
+// com nome, e um perfil do cronômetro pode apontar para uma delas
+// (`profile.ambientPresetId`); sem isso, toca a mixagem atual.
+//
+// Os sons são loops gerados (ruídos e texturas), sem emenda audível. Os nomes
+// das camadas e das predefinições embutidas ficam nos catálogos de idioma.
+
+export const AMBIENT_STORAGE_KEY = 'pomodoro_ambient';
+export const AMBIENT_PRESETS_STORAGE_KEY = 'pomodoro_ambient_presets';
+
+export const AMBIENT_LAYERS = [
+  { id: 'rain', source: require('../app/assets/ambient/rain.wav') },
+  { id: 'cafe', source: require('../app/assets/ambient/cafe.wav') },
+  { id: 'white', source: require('../app/assets/ambient/white.wav') },
+  { id: 'pink', source: require('../app/assets/ambient/pink.wav') },
+  { id: 'brown', source: require('../app/assets/ambient/brown.wav') },
+];
+
+export const BUILT_IN_AMBIENT_PRESETS = [
+  { id: 'rainy-cafe', builtIn: true, mix: { rain: 0.6, cafe: 0.4 } },
+  { id: 'library', builtIn: true, mix: { brown: 0.35, pink: 0.15 } },
+  { id: 'storm', builtIn: true, mix: { rain: 0.9, brown: 0.5 } },
+];
+
+export const EMPTY_MIX = {};
+
+export const isSilentMix = (mix) => AMBIENT_LAYERS.every(layer => !(mix[layer.id] > 0));
+
+export async function loadAmbientMix() {
+  try {
+    const storedMix = await AsyncStorage.getItem(AMBIENT_STORAGE_KEY);
+    return storedMix ? JSON.parse(storedMix) : EMPTY_MIX;
+  } catch (error) {
+    console.log('Erro carregando som ambiente:', error);
+    return EMPTY_MIX;
+  }
+}
+
+export async function saveAmbientMix(mix) {
+  await AsyncStorage.setItem(AMBIENT_STORAGE_KEY, JSON.stringify(mix));
+}
+
+async function loadCustomPresets() {
+  try {
+    const storedPresets = await AsyncStorage.getItem(AMBIENT_PRESETS_STORAGE_KEY);
+    return storedPresets ? JSON.parse(storedPresets) : [];
+  } catch (error) {
+    console.log('Erro carregando predefinições de som ambiente:', error);
+    return [];
+  }
+}
+
+export async function loadAmbientPresets() {
+  const builtIn = BUILT_IN_AMBIENT_PRESETS.map(preset => ({ ...preset, name: t(`ambient.presets.${preset.id}`) }));
+  return [...builtIn, ...(await loadCustomPresets())];
+}
+
+// Guarda a mixagem com um nome. Um nome que já existe entre as do usuário é substituído.
+export async function saveAmbientPreset(name, mix) {
+  const customPresets = await loadCustomPresets();
+  const existing = customPresets.find(preset => preset.name.toLowerCase() === name.toLowerCase());
+  const preset = { id: existing?.id ?? `ambient-${Date.now()}`, name, builtIn: false, mix };
+  const updated = existing
+    ? customPresets.map(p => (p.id === existing.id ? preset : p))
+    : [...customPresets, preset];
+  await AsyncStorage.setItem(AMBIENT_PRESETS_STORAGE_KEY, JSON.stringify(updated));
+  return preset;
+}
+
+export async function deleteAmbientPreset(id) {
+  const customPresets = await loadCustomPresets();
+  await AsyncStorage.setItem(AMBIENT_PRESETS_STORAGE_KEY, JSON.stringify(customPresets.filter(p => p.id !== id)));
+}
+
+// A mixagem que toca com o perfil: a predefinição dele ou, se não houver (ou
+// se ela tiver sido apagada), a mixagem atual do mixer.
+export async function getProfileAmbientMix(profile) {
+  if (profile.ambientPresetId) {
+    const preset = (await loadAmbientPresets()).find(p => p.id === profile.ambientPresetId);
+    if (preset) return preset.mix;
+  }
+  return loadAmbientMix();
+}
@@ -0,0 +1,378 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { SCHEMA_VERSION, getDatabase } from './db';
+import { SETTINGS_STORAGE_KEY } from './settings';
+import { ACTIVE_PROFILE_STORAGE_KEY, PROFILES_STORAGE_KEY } from './profiles';
+import { ALARM_STORAGE_KEY } from './alarm';
+import { MUSIC_STORAGE_KEY } from './music';
+import { AMBIENT_PRESETS_STORAGE_KEY, AMBIENT_STORAGE_KEY } from './ambient';
+import { THEME_STORAGE_KEY } from './theme';
+import { LANGUAGE_STORAGE_KEY, t } from './i18n';
+import { setActiveTaskId } from './tasks';
+import { setSelectedSubjectId } from './subjects';
+import { AUDIO_DIR, ensureAudioDir, loadPlaylist, savePlaylist } from './playlist';
+import { toDateKey } from './dates';
+
+// Backup completo do app num único arquivo JSON: configurações, todas as
+// tabelas do SQLite (histórico, tarefas, matérias, metas), a playlist de MP3 e,
+// se o usuário quiser, os próprios arquivos de áudio (em base64).
+//
+// `version` é a versão do formato do arquivo e `schemaVersion` a do banco
+// que o gerou. Um backup de uma versão mais nova do app é recusado; um de uma
+// versão mais antiga é restaurado só com as colunas que ele conhece.
+
+const BACKUP_FORMAT = 'react-pomodoro-backup';
+export const BACKUP_VERSION = 1;
+
+// Tabelas na ordem em que podem ser recriadas: as referenciadas vêm antes.
+const TABLES = ['subjects', 'tasks', 'sessions', 'interruptions', 'daily_goals'];
+
+// Chaves do AsyncStorage levadas no backup (a playlist é tratada à parte).
+const STORAGE_KEYS = [
+  SETTINGS_STORAGE_KEY,
+  PROFILES_STORAGE_KEY,
+  ACTIVE_PROFILE_STORAGE_KEY,
+  ALARM_STORAGE_KEY,
+  MUSIC_STORAGE_KEY,
+  AMBIENT_STORAGE_KEY,
+  AMBIENT_PRESETS_STORAGE_KEY,
+  THEME_STORAGE_KEY,
+  LANGUAGE_STORAGE_KEY,
+];
+
+export const RESTORE_MODES = {
+  merge: 'merge',     // Junta o backup ao que já existe, sem duplicar registros.
+  replace: 'replace', // Apaga os dados atuais e deixa só o que veio no backup.
+};
+
+const getFileName = (uri) => uri.split('/').pop();
+
+async function readAudioFiles() {
+  const dirInfo = await FileSystem.getInfoAsync(AUDIO_DIR);
+  if (!dirInfo.exists) return [];
+
+  const names = await FileSystem.readDirectoryAsync(AUDIO_DIR);
+  const files = [];
+  for (const name of names) {
+    const data = await FileSystem.readAsStringAsync(AUDIO_DIR + name, { encoding: FileSystem.EncodingType.Base64 });
+    files.push({ name, data });
+  }
+  return files;
+}
+
+export async function createBackup({ includeAudio = false } = {}) {
+  const db = await getDatabase();
+  const database = {};
+  for (const table of TABLES) {
+    database[table] = await db.getAllAsync(`SELECT * FROM ${table}`);
+  }
+
+  const storage = Object.fromEntries(
+    (await AsyncStorage.multiGet(STORAGE_KEYS)).filter(([, value]) => value !== null)
+  );
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    createdAt: Date.now(),
+    storage,
+    database,
+    playlist: await loadPlaylist(),
+    audio: includeAudio ? await readAudioFiles() : [],
+  };
+}
+
+// Gera o arquivo de backup e abre a folha de compartilhamento para o usuário guardá-lo.
+export async function shareBackup(options) {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error(t('common.sharingUnavailable'));
+  }
+
+  const backup = await createBackup(options);
+  const fileUri = `${FileSystem.cacheDirectory}pomodoro-backup-${toDateKey(new Date())}.json`;
+  await FileSystem.writeAsStringAsync(fileUri, JSON.stringify(backup), { encoding: FileSystem.EncodingType.UTF8 });
+  await Sharing.shareAsync(fileUri, { mimeType: 'application/json', UTI: 'public.json', dialogTitle: t('backup.dialogTitle') });
+  return backup;
+}
+
+// Lê um arquivo de backup. Retorna null se ele nem for um JSON.
+export async function readBackupFile(uri) {
+  try {
+    return JSON.parse(await FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.UTF8 }));
+  } catch (error) {
+    console.log('Erro lendo arquivo de backup:', error);
+    return null;
+  }
+}
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Uma tabela ausente vale como vazia (backup antigo); presente, é uma lista de
+// linhas com pelo menos uma coluna.
+const isValidTable = (rows) => (
+  rows === undefined || (Array.isArray(rows) && rows.every(row => isObject(row) && Object.keys(row).length > 0))
+);
+
+const isValidStorage = (storage) => (
+  storage === undefined || (isObject(storage) && Object.values(storage).every(value => typeof value === 'string'))
+);
+
+const isValidPlaylist = (playlist) => (
+  playlist === undefined || (Array.isArray(playlist) && playlist.every(item => isObject(item) && typeof item.uri === 'string'))
+);
+
+const isValidAudio = (audio) => (
+  audio === undefined
+  || (Array.isArray(audio) && audio.every(file => isObject(file) && typeof file.name === 'string' && typeof file.data === 'string'))
+);
+
+// Retorna o motivo para recusar o backup, ou null se ele puder ser restaurado.
+// O arquivo inteiro é conferido aqui, antes de qualquer dado atual ser tocado.
+export function validateBackup(backup) {
+  if (!isObject(backup) || backup.format !== BACKUP_FORMAT || !Number.isInteger(backup.version)) {
+    return t('backup.invalidFile');
+  }
+  if (backup.version > BACKUP_VERSION || backup.schemaVersion > SCHEMA_VERSION) {
+    return t('backup.newerVersion');
+  }
+  if (!Number.isFinite(backup.createdAt) || !isObject(backup.database)
+    || !TABLES.every(table => isValidTable(backup.database[table]))
+    || !isValidStorage(backup.storage) || !isValidPlaylist(backup.playlist) || !isValidAudio(backup.audio)) {
+    return t('backup.invalidFile');
+  }
+  return null;
+}
+
+export function summarizeBackup(backup) {
+  return {
+    createdAt: backup.createdAt,
+    sessions: backup.database.sessions?.length ?? 0,
+    tasks: backup.database.tasks?.length ?? 0,
+    subjects: backup.database.subjects?.length ?? 0,
+    tracks: backup.playlist?.length ?? 0,
+    audioFiles: backup.audio?.length ?? 0,
+  };
+}
+
+async function getColumns(db, table) {
+  const rows = await db.getAllAsync(`PRAGMA table_info(${table})`);
+  return new Set(rows.map(row => row.name));
+}
+
+// Insere uma linha do backup usando só as colunas que existem na tabela atual.
+// Uma linha sem nenhuma coluna conhecida é um arquivo corrompido: o erro desfaz
+// a transação inteira.
+async function insertRow(db, table, columns, row) {
+  const names = Object.keys(row).filter(name => columns.has(name));
+  if (names.length === 0) {
+    throw new Error(t('backup.invalidFile'));
+  }
+  const result = await db.runAsync(
+    `INSERT INTO ${table} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+    ...names.map(name => row[name])
+  );
+  return result.lastInsertRowId;
+}
+
+const withoutId = ({ id, ...row }) => row;
+
+async function replaceDatabase(db, database) {
+  for (const table of [...TABLES].reverse()) {
+    await db.runAsync(`DELETE FROM ${table}`);
+  }
+  for (const table of TABLES) {
+    const columns = await getColumns(db, table);
+    for (const row of database[table] ?? []) {
+      await insertRow(db, table, columns, row);
+    }
+  }
+}
+
+// Junta o backup aos dados atuais. Registros que já existem (mesma matéria,
+// mesma tarefa, mesma sessão) não são duplicados, e os ids do backup são
+// trocados pelos ids novos nas referências entre tabelas.
+async function mergeDatabase(db, database) {
+  const columns = Object.fromEntries(
+    await Promise.all(TABLES.map(async table => [table, await getColumns(db, table)]))
+  );
+  const subjectIds = new Map();
+  const taskIds = new Map();
+  const sessionIds = new Map();
+
+  for (const row of database.subjects ?? []) {
+    const existing = await db.getFirstAsync('SELECT id FROM subjects WHERE name = ? COLLATE NOCASE', row.name);
+    subjectIds.set(row.id, existing ? existing.id : await insertRow(db, 'subjects', columns.subjects, withoutId(row)));
+  }
+
+  for (const row of database.tasks ?? []) {
+    const existing = await db.getFirstAsync(
+      'SELECT id FROM tasks WHERE title = ? AND created_at = ?',
+      row.title,
+      row.created_at
+    );
+    if (existing) {
+      taskIds.set(row.id, existing.id);
+      continue;
+    }
+    const { next_position: position } = await db.getFirstAsync(
+      'SELECT COALESCE(MAX(position), 0) + 1 AS next_position FROM tasks'
+    );
+    taskIds.set(row.id, await insertRow(db, 'tasks', columns.tasks, { ...withoutId(row), position }));
+  }
+
+  for (const row of database.sessions ?? []) {
+    const existing = await db.getFirstAsync(
+      'SELECT id FROM sessions WHERE started_at = ? AND phase = ?',
+      row.started_at,
+      row.phase
+    );
+    if (existing) continue;
+    sessionIds.set(row.id, await insertRow(db, 'sessions', columns.sessions, {
+      ...withoutId(row),
+      task_id: taskIds.get(row.task_id) ?? null,
+      subject_id: subjectIds.get(row.subject_id) ?? null,
+    }));
+  }
+
+  // Só as interrupções das sessões que acabaram de entrar; as outras já estão no banco.
+  for (const row of database.interruptions ?? []) {
+    if (!sessionIds.has(row.session_id)) continue;
+    await insertRow(db, 'interruptions', columns.interruptions, {
+      ...withoutId(row),
+      session_id: sessionIds.get(row.session_id),
+    });
+  }
+
+  for (const row of database.daily_goals ?? []) {
+    const existing = await db.getFirstAsync('SELECT date FROM daily_goals WHERE date = ?', row.date);
+    if (!existing) await insertRow(db, 'daily_goals', columns.daily_goals, row);
+  }
+}
+
+// Decide o que gravar e o que apagar no AsyncStorage, sem mexer em nada ainda.
+// Na mesclagem, as configurações atuais do aparelho são mantidas.
+async function prepareStorage(storage, mode) {
+  const current = Object.fromEntries(await AsyncStorage.multiGet(STORAGE_KEYS));
+  const toSet = [];
+  const toRemove = [];
+  for (const key of STORAGE_KEYS) {
+    const value = storage?.[key];
+    if (mode === RESTORE_MODES.replace) {
+      if (value === undefined) {
+        toRemove.push(key);
+      } else {
+        toSet.push([key, value]);
+      }
+    } else if (value !== undefined && current[key] === null) {
+      toSet.push([key, value]);
+    }
+  }
+  return { toSet, toRemove };
+}
+
+async function applyStorage({ toSet, toRemove }, mode) {
+  if (toSet.length > 0) await AsyncStorage.multiSet(toSet);
+  if (toRemove.length > 0) await AsyncStorage.multiRemove(toRemove);
+
+  // Os ids do banco mudaram, então a tarefa ativa e a matéria escolhida podem não valer mais.
+  if (mode === RESTORE_MODES.replace) {
+    await setActiveTaskId(null);
+    await setSelectedSubjectId(null);
+  }
+}
+
+// Pasta onde os áudios do backup esperam até o banco ser restaurado.
+const STAGING_DIR = FileSystem.cacheDirectory + 'restore-audio/';
+
+// Grava os arquivos de áudio do backup numa pasta temporária e monta a playlist
+// que aponta para o lugar definitivo deles (o caminho de `documentDirectory`
+// muda de um aparelho ou instalação para outro). Nada em AUDIO_DIR é tocado
+// aqui: os arquivos só vão para lá em `commitStagedFiles`, depois do banco.
+// Na mesclagem, um arquivo que já existe fica como está.
+async function preparePlaylist(backup, mode) {
+  const audioNames = new Set();
+  const stagedFiles = [];
+  if (backup.audio?.length) {
+    await FileSystem.deleteAsync(STAGING_DIR, { idempotent: true });
+    await FileSystem.makeDirectoryAsync(STAGING_DIR, { intermediates: true });
+    for (const { name, data } of backup.audio) {
+      if (typeof name !== 'string' || name.includes('/') || name.startsWith('.')) continue;
+      const fileUri = AUDIO_DIR + name;
+      const fileInfo = await FileSystem.getInfoAsync(fileUri);
+      if (!fileInfo.exists || mode === RESTORE_MODES.replace) {
+        const stagedUri = STAGING_DIR + name;
+        await FileSystem.writeAsStringAsync(stagedUri, data, { encoding: FileSystem.EncodingType.Base64 });
+        stagedFiles.push({ stagedUri, fileUri });
+      }
+      audioNames.add(name);
+    }
+  }
+
+  const restored = (backup.playlist ?? []).map(item => (
+    audioNames.has(getFileName(item.uri)) ? { ...item, uri: AUDIO_DIR + getFileName(item.uri) } : item
+  ));
+
+  if (mode === RESTORE_MODES.replace) {
+    return { playlist: restored, stagedFiles };
+  }
+  const current = await loadPlaylist();
+  return {
+    playlist: [...current, ...restored.filter(item => !current.some(track => track.uri === item.uri))],
+    stagedFiles,
+  };
+}
+
+// Leva os áudios da pasta temporária para AUDIO_DIR, trocando os de mesmo nome.
+async function commitStagedFiles(stagedFiles) {
+  if (stagedFiles.length === 0) return;
+
+  await ensureAudioDir();
+  for (const { stagedUri, fileUri } of stagedFiles) {
+    await FileSystem.deleteAsync(fileUri, { idempotent: true });
+    await FileSystem.moveAsync({ from: stagedUri, to: fileUri });
+  }
+  await FileSystem.deleteAsync(STAGING_DIR, { idempotent: true });
+}
+
+async function discardStagedFiles() {
+  try {
+    await FileSystem.deleteAsync(STAGING_DIR, { idempotent: true });
+  } catch (error) {
+    console.log('Erro apagando áudios temporários do backup:', error);
+  }
+}
+
+// Tudo o que pode falhar sem estragar nada (conferir o arquivo, gravar os
+// áudios numa pasta temporária, ler o que existe) acontece antes da transação
+// que apaga ou junta o banco. Se algo falhar até o fim da transação, os dados
+// atuais, inclusive os áudios, continuam intactos.
+export async function restoreBackup(backup, mode) {
+  const problem = validateBackup(backup);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const storage = await prepareStorage(backup.storage, mode);
+  let prepared;
+  try {
+    prepared = await preparePlaylist(backup, mode);
+
+    const db = await getDatabase();
+    await db.withTransactionAsync(async () => {
+      if (mode === RESTORE_MODES.replace) {
+        await replaceDatabase(db, backup.database);
+      } else {
+        await mergeDatabase(db, backup.database);
+      }
+    });
+  } catch (error) {
+    await discardStagedFiles();
+    throw error;
+  }
+
+  await commitStagedFiles(prepared.stagedFiles);
+  await applyStorage(storage, mode);
+  await savePlaylist(prepared.playlist);
+}
@@ -0,0 +1,70 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getPhaseSeconds } from './settings';
+
+// Sequência do Pomodoro: foco → pausa curta → foco ... e, a cada
+// `longBreakInterval` rodadas de foco, uma pausa longa no lugar da curta.
+// `round` é a rodada de foco atual, de 1 até `longBreakInterval`.
+
+const CYCLE_STORAGE_KEY = 'pomodoro_cycle';
+
+export function createCycle() {
+  return { round: 1 };
+}
+
+export function getNextPhaseId(cycle, phaseId, longBreakInterval) {
+  if (phaseId !== 'focus') return 'focus';
+  return cycle.round >= longBreakInterval ? 'long' : 'short';
+}
+
+// Chamado quando uma fase termina (ou é pulada) para saber em que rodada estamos.
+export function advanceCycle(cycle, phaseId, longBreakInterval) {
+  if (phaseId === 'long') return createCycle();
+  if (phaseId === 'short') return { round: Math.min(cycle.round + 1, longBreakInterval) };
+  return cycle;
+}
+
+export function shouldAutoStart(phaseId, settings) {
+  return phaseId === 'focus' ? settings.autoStartFocus : settings.autoStartBreaks;
+}
+
+// Lista os próximos términos de fase a partir de uma fase em andamento: a atual
+// termina em `endsAt` e, enquanto as seguintes começarem sozinhas, elas também
+// entram na lista (até `limit` itens), com os horários já calculados.
+export function planPhaseEnds(cycle, phaseId, endsAt, settings, limit = 8) {
+  const phaseEnds = [];
+  let current = { cycle, phaseId, endsAt };
+
+  while (phaseEnds.length < limit) {
+    const nextPhaseId = getNextPhaseId(current.cycle, current.phaseId, settings.longBreakInterval);
+    // No modo fluxo o foco segue em tempo extra, então nada começa sozinho depois dele.
+    const autoStart = !(settings.flowMode && current.phaseId === 'focus') && shouldAutoStart(nextPhaseId, settings);
+    phaseEnds.push({ phaseId: current.phaseId, nextPhaseId, endsAt: current.endsAt, autoStart });
+
+    if (!autoStart) break;
+    current = {
+      cycle: advanceCycle(current.cycle, current.phaseId, settings.longBreakInterval),
+      phaseId: nextPhaseId,
+      endsAt: current.endsAt + getPhaseSeconds(settings, nextPhaseId) * 1000,
+    };
+  }
+
+  return phaseEnds;
+}
+
+export async function loadCycle() {
+  try {
+    const storedCycle = await AsyncStorage.getItem(CYCLE_STORAGE_KEY);
+    return storedCycle ? JSON.parse(storedCycle) : null;
+  } catch (error) {
+    console.log('Erro carregando ciclo:', error);
+    return null;
+  }
+}
+
+export async function saveCycle(cycle) {
+  try {
+    await AsyncStorage.setItem(CYCLE_STORAGE_KEY, JSON.stringify(cycle));
+  } catch (error) {
+    console.log('Erro salvando ciclo:', error);
+  }
+}
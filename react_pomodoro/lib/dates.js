@@ -0,0 +1,25 @@
+// Utilitários de data. Os dias são identificados por chaves 'AAAA-MM-DD'
+// no fuso do aparelho, o mesmo formato usado pelo react-native-calendars.
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export function toDateKey(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function parseDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+// Início (inclusivo) e fim (exclusivo) de um dia, em milissegundos.
+export function getDayRange(dateKey) {
+  const start = parseDateKey(dateKey);
+  const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+  return [start.getTime(), end.getTime()];
+}
+
+// Início e fim de um mês (month de 1 a 12), em milissegundos.
+export function getMonthRange(year, month) {
+  return [new Date(year, month - 1, 1).getTime(), new Date(year, month, 1).getTime()];
+}
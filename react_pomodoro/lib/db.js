@@ -0,0 +1,97 @@
+import * as SQLite from 'expo-sqlite';
+
+// Banco SQLite local do app. O esquema é versionado com `PRAGMA user_version`:
+// cada item de `migrations` leva o banco da versão N para a N + 1, e só as
+// migrações que ainda não rodaram são aplicadas ao abrir o banco.
+// Nunca altere uma migração já publicada; adicione uma nova no fim da lista.
+
+const DATABASE_NAME = 'pomodoro.db';
+
+const migrations = [
+  // 1: histórico de fases (foco e pausas)
+  `CREATE TABLE sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    phase TEXT NOT NULL,
+    status TEXT NOT NULL,
+    planned_seconds INTEGER NOT NULL,
+    actual_seconds INTEGER NOT NULL,
+    started_at INTEGER NOT NULL,
+    ended_at INTEGER NOT NULL,
+    pause_count INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX sessions_started_at ON sessions (started_at);`,
+
+  // 2: tarefas, com estimativa de pomodoros, e a tarefa de cada sessão de foco
+  `CREATE TABLE tasks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL,
+    estimated_pomodoros INTEGER NOT NULL DEFAULT 1,
+    position INTEGER NOT NULL,
+    created_at INTEGER NOT NULL,
+    completed_at INTEGER,
+    archived_at INTEGER
+  );
+  ALTER TABLE sessions ADD COLUMN task_id INTEGER REFERENCES tasks (id);`,
+
+  // 3: tempo total em pausa e as interrupções registradas em cada sessão
+  `ALTER TABLE sessions ADD COLUMN pause_seconds INTEGER NOT NULL DEFAULT 0;
+  CREATE TABLE interruptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id INTEGER NOT NULL REFERENCES sessions (id),
+    kind TEXT NOT NULL,
+    note TEXT,
+    occurred_at INTEGER NOT NULL
+  );
+  CREATE INDEX interruptions_session_id ON interruptions (session_id);`,
+
+  // 4: meta diária de foco, guardada por dia para que mudar a meta não reescreva o passado
+  `CREATE TABLE daily_goals (
+    date TEXT PRIMARY KEY,
+    goal_type TEXT NOT NULL,
+    target INTEGER NOT NULL,
+    met_at INTEGER
+  );`,
+
+  // 5: matérias (disciplinas) com cor, ligadas às sessões de foco
+  `CREATE TABLE subjects (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    color TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    archived_at INTEGER
+  );
+  ALTER TABLE sessions ADD COLUMN subject_id INTEGER REFERENCES subjects (id);`,
+
+  // 6: tempo extra do modo fluxo (já incluído em actual_seconds)
+  `ALTER TABLE sessions ADD COLUMN overtime_seconds INTEGER NOT NULL DEFAULT 0;`,
+];
+
+export const SCHEMA_VERSION = migrations.length;
+
+let databasePromise = null;
+
+async function openDatabase() {
+  const db = await SQLite.openDatabaseAsync(DATABASE_NAME);
+  await db.execAsync('PRAGMA journal_mode = WAL;');
+
+  const { user_version: currentVersion } = await db.getFirstAsync('PRAGMA user_version');
+  for (let version = currentVersion; version < migrations.length; version++) {
+    await db.withTransactionAsync(async () => {
+      await db.execAsync(migrations[version]);
+      await db.execAsync(`PRAGMA user_version = ${version + 1}`);
+    });
+  }
+
+  return db;
+}
+
+// Todas as telas compartilham a mesma conexão, aberta na primeira chamada.
+export function getDatabase() {
+  if (!databasePromise) {
+    databasePromise = openDatabase().catch(error => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+  return databasePromise;
+}
@@ -0,0 +1,97 @@
+import { PHASE_IDS } from './profiles';
+import { t } from './i18n';
+
+// Links que controlam o cronômetro pelo esquema `myapp://` (declarado no app.json),
+// para atalhos, launchers e outros apps:
+//
+//   myapp://timer?phase=focus&minutes=50&subject=calculo&profile=deep-work-90
+//   myapp://timer?action=pause    (também resume e skip)
+//
+// Sem `action`, o link começa uma fase. Todos os parâmetros são opcionais:
+// - phase: focus, short ou long (padrão: focus);
+// - minutes: duração avulsa, inteiro de 1 a 600 (padrão: a do perfil);
+// - subject: nome ou id de uma matéria ativa (só no foco);
+// - profile: id ou nome de um perfil, que passa a ser o ativo.
+//
+// A rota `app/timer.jsx` valida o link e entrega o comando ao cronômetro.
+// Matérias arquivadas não valem, mesmo que venham na lista.
+
+export const TIMER_LINK_ACTIONS = ['start', 'pause', 'resume', 'skip'];
+
+const START_PARAMS = ['phase', 'minutes', 'subject', 'profile'];
+
+// Compara nomes sem acentos, maiúsculas ou espaços: "Cálculo I" casa com "calculo-i".
+const normalize = (text) => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toLowerCase()
+  .replace(/\s+/g, '-');
+
+// O expo-router entrega um parâmetro repetido como lista; vale o primeiro.
+const single = (value) => (Array.isArray(value) ? value[0] : value);
+
+const findByIdOrName = (items, value) => (
+  items.find(item => String(item.id) === value || normalize(item.name) === normalize(value))
+);
+
+// Volta para o cronômetro levando o comando (ou nada, se o link foi recusado).
+// Com o app já aberto, a pilha é [index, timer]: `dismissTo` reaproveita o
+// Index que já existe, enquanto `replace` montaria um segundo por cima, com
+// outro cronômetro, alarme e gravação rodando ao mesmo tempo.
+export function returnToTimer(router, command = null) {
+  router.dismissTo(command ? { pathname: '/', params: { link: JSON.stringify(command) } } : '/');
+}
+
+// Retorna { command } ou { error } com a mensagem para o usuário.
+export function parseTimerLink(params, { subjects, profiles }) {
+  const action = single(params.action) ?? 'start';
+  if (!TIMER_LINK_ACTIONS.includes(action)) {
+    return { error: t('deepLinks.unknownAction', { action }) };
+  }
+
+  if (action !== 'start') {
+    const extras = START_PARAMS.filter(key => params[key] !== undefined);
+    if (extras.length > 0) {
+      return { error: t('deepLinks.unexpectedParams', { action, params: extras.join(', ') }) };
+    }
+    return { command: { action } };
+  }
+
+  const phase = single(params.phase) ?? 'focus';
+  if (!PHASE_IDS.includes(phase)) {
+    return { error: t('deepLinks.invalidPhase', { phase }) };
+  }
+
+  let seconds = null;
+  if (params.minutes !== undefined) {
+    const minutes = Number(single(params.minutes));
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > 600) {
+      return { error: t('deepLinks.invalidMinutes') };
+    }
+    seconds = minutes * 60;
+  }
+
+  let subjectId = null;
+  if (params.subject !== undefined) {
+    if (phase !== 'focus') {
+      return { error: t('deepLinks.subjectOutsideFocus') };
+    }
+    const subject = findByIdOrName(subjects.filter(item => !item.archivedAt), single(params.subject));
+    if (!subject) {
+      return { error: t('deepLinks.subjectNotFound', { subject: single(params.subject) }) };
+    }
+    subjectId = subject.id;
+  }
+
+  let profileId = null;
+  if (params.profile !== undefined) {
+    const profile = findByIdOrName(profiles, single(params.profile));
+    if (!profile) {
+      return { error: t('deepLinks.profileNotFound', { profile: single(params.profile) }) };
+    }
+    profileId = profile.id;
+  }
+
+  return { command: { action, phase, seconds, subjectId, profileId } };
+}
@@ -0,0 +1,198 @@
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { getInterruptionsBetween, getSessionsBetween } from './sessions';
+import { getTasks } from './tasks';
+import { getSubjects } from './subjects';
+import { getPhaseLabel } from './phases';
+import { toDateKey } from './dates';
+import { t } from './i18n';
+
+// Exporta o histórico de fases para um arquivo e o entrega à folha de
+// compartilhamento do sistema. O CSV tem uma linha por fase, o JSON leva os
+// registros completos (com interrupções) e o .ics traz cada bloco de foco
+// como um evento de calendário. Os nomes de fase e status saem no idioma
+// atual; as colunas do CSV e as chaves do JSON não mudam com o idioma.
+
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv', UTI: 'public.comma-separated-values-text' },
+  json: { extension: 'json', mimeType: 'application/json', UTI: 'public.json' },
+  ics: { extension: 'ics', mimeType: 'text/calendar', UTI: 'public.calendar-event' },
+};
+
+const getStatusLabel = (status) => t(`sessionStatus.${status}`);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Data e hora locais no formato 'AAAA-MM-DD HH:MM:SS', que as planilhas reconhecem.
+function formatDateTime(timestamp) {
+  const date = new Date(timestamp);
+  return `${toDateKey(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function buildCsv(records) {
+  const header = [
+    'id', 'fase', 'status', 'inicio', 'fim', 'planejado_s', 'real_s', 'extra_s',
+    'pausas', 'pausado_s', 'interrupcoes', 'tarefa', 'materia',
+  ];
+  const rows = records.map(record => [
+    record.id,
+    getPhaseLabel(record.phase),
+    getStatusLabel(record.status),
+    formatDateTime(record.startedAt),
+    formatDateTime(record.endedAt),
+    record.plannedSeconds,
+    record.actualSeconds,
+    record.overtimeSeconds,
+    record.pauseCount,
+    record.pauseSeconds,
+    record.interruptionCount,
+    record.task?.title,
+    record.subject?.name,
+  ]);
+  return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+export function buildJson(records, filters) {
+  return JSON.stringify({ exportedAt: new Date().toISOString(), filters, sessions: records }, null, 2);
+}
+
+// Horário em UTC no formato do iCalendar (AAAAMMDDTHHMMSSZ).
+function formatIcsDate(timestamp) {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcs(text) {
+  return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Tamanho de um caractere (code point) em UTF-8.
+function utf8Length(char) {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+}
+
+// O iCalendar limita as linhas a 75 bytes em UTF-8: as longas continuam na
+// linha seguinte após um espaço (que também conta). Acentos ocupam mais de um
+// byte, e um emoji nunca é cortado ao meio.
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = utf8Length(char);
+    if (bytes + size > 75) {
+      parts.push(current);
+      current = ' ';
+      bytes = 1;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+// Só blocos de foco que de fato contaram tempo viram eventos; um foco pulado
+// antes de começar viraria um evento vazio.
+const isCalendarEvent = record => record.phase === 'focus' && record.actualSeconds > 0;
+
+export function buildIcs(records) {
+  const stamp = formatIcsDate(Date.now());
+  const events = records
+    .filter(isCalendarEvent)
+    .map(record => {
+      const title = record.subject?.name ?? record.task?.title;
+      const description = [
+        t('export.ics.status', { status: getStatusLabel(record.status) }),
+        record.task ? t('export.ics.task', { title: record.task.title }) : null,
+        t('export.ics.pauses', { count: record.pauseCount }),
+        t('export.ics.interruptions', { count: record.interruptionCount }),
+      ].filter(Boolean).join('\n');
+
+      return [
+        'BEGIN:VEVENT',
+        `UID:pomodoro-session-${record.id}@react-pomodoro`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatIcsDate(record.startedAt)}`,
+        `DTEND:${formatIcsDate(record.endedAt)}`,
+        `SUMMARY:${escapeIcs(title ? `${getPhaseLabel('focus')}: ${title}` : getPhaseLabel('focus'))}`,
+        `DESCRIPTION:${escapeIcs(description)}`,
+        'END:VEVENT',
+      ];
+    });
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//react-pomodoro//Historico de foco//PT',
+    'CALSCALE:GREGORIAN',
+    ...events.flat(),
+    'END:VCALENDAR',
+  ].map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// Sessões do intervalo [from, to) com tarefa, matéria e interrupções já resolvidas.
+// Com `subjectId`, ficam só as sessões daquela matéria.
+async function getExportRecords(from, to, subjectId) {
+  const [sessions, interruptions, tasks, subjects] = await Promise.all([
+    getSessionsBetween(from, to),
+    getInterruptionsBetween(from, to),
+    getTasks({ includeArchived: true }),
+    getSubjects({ includeArchived: true }),
+  ]);
+
+  const tasksById = new Map(tasks.map(task => [task.id, task]));
+  const subjectsById = new Map(subjects.map(subject => [subject.id, subject]));
+
+  return sessions
+    .filter(session => subjectId === null || session.subjectId === subjectId)
+    .map(session => {
+      const task = tasksById.get(session.taskId);
+      const subject = subjectsById.get(session.subjectId);
+      return {
+        ...session,
+        task: task ? { id: task.id, title: task.title } : null,
+        subject: subject ? { id: subject.id, name: subject.name, color: subject.color } : null,
+        interruptions: interruptions
+          .filter(interruption => interruption.sessionId === session.id)
+          .map(({ kind, note, occurredAt }) => ({ kind, note, occurredAt })),
+      };
+    });
+}
+
+// Gera o arquivo e abre a folha de compartilhamento. Retorna quantos itens foram
+// escritos: fases no CSV e no JSON, eventos de foco no iCalendar. Sem nenhum,
+// nem gera o arquivo.
+export async function exportSessions({ format, from, to, subjectId = null }) {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error(t('common.sharingUnavailable'));
+  }
+
+  const records = await getExportRecords(from, to, subjectId);
+  const written = format === 'ics' ? records.filter(isCalendarEvent) : records;
+  if (written.length === 0) return 0;
+
+  const { extension, mimeType, UTI } = EXPORT_FORMATS[format];
+
+  let content;
+  if (format === 'csv') {
+    content = buildCsv(records);
+  } else if (format === 'json') {
+    content = buildJson(records, { from, to, subjectId });
+  } else {
+    content = buildIcs(records);
+  }
+
+  const fileUri = `${FileSystem.cacheDirectory}historico-pomodoro-${toDateKey(new Date())}.${extension}`;
+  await FileSystem.writeAsStringAsync(fileUri, content, { encoding: FileSystem.EncodingType.UTF8 });
+  await Sharing.shareAsync(fileUri, { mimeType, UTI, dialogTitle: t('export.dialogTitle') });
+
+  return written.length;
+}
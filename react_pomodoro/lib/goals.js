@@ -0,0 +1,95 @@
+import { getDatabase } from './db';
+import { getDailyFocusTotals } from './sessions';
+import { toDateKey } from './dates';
+
+// Meta diária de foco e sequência de dias com a meta cumprida.
+// A meta de cada dia fica registrada em `daily_goals`: a de hoje acompanha as
+// configurações até ser cumprida; a dos dias passados não muda mais.
+
+const STREAK_LOOKBACK_DAYS = 366;
+
+export const GOAL_TYPES = {
+  pomodoros: 'pomodoros',
+  minutes: 'minutes',
+};
+
+function getProgress(dayTotals, goalType) {
+  if (!dayTotals) return 0;
+  return goalType === GOAL_TYPES.minutes ? dayTotals.minutes : dayTotals.sessions;
+}
+
+function toGoal(row) {
+  return { goalType: row.goal_type, target: row.target, metAt: row.met_at };
+}
+
+// Conta os dias seguidos com a meta cumprida, de hoje para trás. Um dia de
+// descanso sem a meta cumprida não soma, mas também não quebra a sequência;
+// o mesmo vale para hoje, que ainda está em andamento.
+export function computeStreak(today, totals, goals, settings) {
+  let streak = 0;
+
+  for (let offset = 0; offset < STREAK_LOOKBACK_DAYS; offset++) {
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset);
+    const dateKey = toDateKey(day);
+    const goal = goals[dateKey] ?? { goalType: settings.dailyGoalType, target: settings.dailyGoalTarget, metAt: null };
+    const met = goal.metAt !== null || getProgress(totals[dateKey], goal.goalType) >= goal.target;
+
+    if (met) {
+      streak++;
+    } else if (offset > 0 && !settings.restDays.includes(day.getDay())) {
+      break;
+    }
+  }
+
+  return streak;
+}
+
+export async function getGoalStatus(settings, today = new Date()) {
+  const db = await getDatabase();
+  const todayKey = toDateKey(today);
+
+  await db.runAsync(
+    `INSERT INTO daily_goals (date, goal_type, target) VALUES (?, ?, ?)
+     ON CONFLICT (date) DO UPDATE SET goal_type = excluded.goal_type, target = excluded.target
+     WHERE met_at IS NULL`,
+    todayKey,
+    settings.dailyGoalType,
+    settings.dailyGoalTarget
+  );
+
+  const firstDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() - STREAK_LOOKBACK_DAYS + 1);
+  const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+  const [totals, rows] = await Promise.all([
+    getDailyFocusTotals(firstDay.getTime(), tomorrow.getTime()),
+    db.getAllAsync('SELECT * FROM daily_goals WHERE date >= ?', toDateKey(firstDay)),
+  ]);
+
+  const goals = Object.fromEntries(rows.map(row => [row.date, toGoal(row)]));
+  const todayGoal = goals[todayKey];
+  const todayTotals = totals[todayKey] ?? { sessions: 0, minutes: 0 };
+  const progress = getProgress(todayTotals, todayGoal.goalType);
+
+  return {
+    dateKey: todayKey,
+    goalType: todayGoal.goalType,
+    target: todayGoal.target,
+    progress,
+    met: progress >= todayGoal.target,
+    metAt: todayGoal.metAt,
+    sessions: todayTotals.sessions,
+    minutes: todayTotals.minutes,
+    streak: computeStreak(today, totals, goals, settings),
+  };
+}
+
+// Registra que a meta do dia foi cumprida. Retorna true só na primeira vez,
+// para o resumo da meta aparecer uma única vez por dia.
+export async function markGoalMet(dateKey) {
+  const db = await getDatabase();
+  const result = await db.runAsync(
+    'UPDATE daily_goals SET met_at = ? WHERE date = ? AND met_at IS NULL',
+    Date.now(),
+    dateKey
+  );
+  return result.changes > 0;
+}
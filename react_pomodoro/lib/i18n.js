@@ -0,0 +1,100 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import ptBR from './locales/pt-BR';
+import en from './locales/en';
+import es from './locales/es';
+
+// Textos do app em português, inglês e espanhol. Cada idioma tem um catálogo
+// em lib/locales, com as mensagens agrupadas por tela ou assunto:
+//
+//   t('timer.start')                        -> "Começar"
+//   t('timer.round', { round: 2, total: 4 }) -> "Rodada 2 de 4"
+//   t('goals.streak', { count: 3 })         -> "sequência de 3 dias"
+//
+// Uma mensagem com `count` pode ter as formas `one` e `other`. Parâmetros
+// aparecem como `{nome}`; números chegam já formatados (formatNumber).
+//
+// O idioma segue o do aparelho, a não ser que o usuário escolha outro. O
+// I18nProvider no layout raiz mantém o idioma atual deste módulo, que também
+// vale para textos montados fora das telas (notificações, exportação etc.).
+
+export const LANGUAGE_STORAGE_KEY = 'pomodoro_language';
+
+// Cada idioma no próprio idioma, como aparece no seletor.
+export const LOCALES = {
+  'pt-BR': 'Português (Brasil)',
+  en: 'English',
+  es: 'Español',
+};
+
+// Valor guardado quando o idioma segue o do aparelho.
+export const SYSTEM_LANGUAGE = 'system';
+
+export const DEFAULT_LOCALE = 'pt-BR';
+
+const CATALOGS = { 'pt-BR': ptBR, en, es };
+
+let currentLocale = DEFAULT_LOCALE;
+
+export const getLocale = () => currentLocale;
+
+export function setLocale(locale) {
+  currentLocale = CATALOGS[locale] ? locale : DEFAULT_LOCALE;
+}
+
+// O primeiro idioma do aparelho que o app conhece; sem nenhum, inglês.
+// `deviceLocales` vem do expo-localization (getLocales ou useLocales).
+export function detectLocale(deviceLocales) {
+  for (const { languageCode } of deviceLocales ?? []) {
+    if (languageCode === 'pt') return 'pt-BR';
+    if (CATALOGS[languageCode]) return languageCode;
+  }
+  return 'en';
+}
+
+export function resolveLocale(language, deviceLocales) {
+  return CATALOGS[language] ? language : detectLocale(deviceLocales);
+}
+
+export async function loadLanguage() {
+  try {
+    return (await AsyncStorage.getItem(LANGUAGE_STORAGE_KEY)) ?? SYSTEM_LANGUAGE;
+  } catch (error) {
+    console.log('Erro carregando idioma:', error);
+    return SYSTEM_LANGUAGE;
+  }
+}
+
+export async function saveLanguage(language) {
+  await AsyncStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+}
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+// A mensagem no idioma atual. Se faltar no catálogo, vale a de português; se
+// faltar lá também, a própria chave, para o erro ficar visível.
+export function t(key, params = {}) {
+  let message = lookup(CATALOGS[currentLocale], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+  if (message === undefined) return key;
+
+  if (typeof message === 'object') {
+    message = params.count === 1 ? message.one : message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+export function formatNumber(value, options) {
+  return new Intl.NumberFormat(currentLocale, options).format(value);
+}
+
+export function formatDate(date, options) {
+  return new Date(date).toLocaleDateString(currentLocale, options);
+}
+
+export function formatDateTime(date, options) {
+  return new Date(date).toLocaleString(currentLocale, options);
+}
+
+// Só a hora e os minutos ("14:05", ou "2:05 PM" em inglês).
+export function formatClock(date) {
+  return new Date(date).toLocaleTimeString(currentLocale, { hour: '2-digit', minute: '2-digit' });
+}
@@ -0,0 +1,511 @@
+// English messages (see lib/i18n.js).
+export default {
+  common: {
+    cancel: 'Cancel',
+    save: 'Save',
+    delete: 'Delete',
+    error: 'Error',
+    invalidValue: 'Invalid value',
+    minutesShort: '{minutes} min',
+    secondsShort: '{seconds} s',
+    sharingUnavailable: 'Sharing is not available on this device',
+  },
+  phases: {
+    focus: 'Focus',
+    short: 'Short break',
+    long: 'Long break',
+  },
+  profiles: {
+    builtIn: {
+      classic: 'Classic 25/5/15',
+      deepWork: 'Deep work 90 min',
+      exam: '3h mock exam',
+      examFocus: 'Exam',
+      examBreak: 'Intermission',
+    },
+    flowMode: 'flow mode',
+    longBreakEvery: { one: 'long break after every focus', other: 'long break every {count}' },
+    myProfile: 'My profile',
+    copyName: '{name} (copy)',
+    title: 'Timer profiles',
+    hint: 'Built-in profiles cannot be edited: duplicate one to create your own. A new profile applies from the next phase that has not started yet.',
+    builtInName: '{name} (built-in)',
+    duplicateLabel: 'Duplicate {name}',
+    editLabel: 'Edit {name}',
+    deleteLabel: 'Delete {name}',
+    delete: {
+      title: 'Delete profile',
+      message: 'Delete the profile "{name}"?',
+    },
+    activateError: 'Could not activate the profile.',
+    duplicateError: 'Could not duplicate the profile.',
+    deleteError: 'Could not delete the profile.',
+  },
+  sessionStatus: {
+    completed: 'Completed',
+    skipped: 'Skipped',
+    abandoned: 'Abandoned',
+  },
+  timer: {
+    start: 'Start',
+    pause: 'Pause',
+    endFocus: 'End focus',
+    skip: 'Skip phase',
+    resetCycle: 'Restart cycle',
+    stopAlarm: 'Stop alarm',
+    logInterruption: 'Log interruption',
+    round: 'Round {round} of {total}',
+    goalMinutes: 'Daily goal: {progress}/{target} min',
+    goalPomodoros: 'Daily goal: {progress}/{target} pomodoros',
+    chooseTask: 'Choose a task',
+    noSubject: 'No subject',
+    manageSubjects: 'Manage subjects',
+    profileLabel: 'Profile {name}',
+    overtimeLabel: '{phase}, {duration} of overtime',
+    overtimeHint: 'Overtime · focus continues until you end it',
+    announce: {
+      overtime: '{phase} is over. Counting overtime.',
+      ended: '{phase} is over.',
+      skipped: '{phase} skipped.',
+      nextStarted: '{phase} has started.',
+      nextPhase: 'Next phase: {phase}.',
+    },
+    goalMet: {
+      title: 'Daily goal reached! 🎉',
+      sessions: { one: 'Today you finished 1 pomodoro, with {minutes} minutes of focus.', other: 'Today you finished {count} pomodoros, with {minutes} minutes of focus.' },
+      streak: { one: 'Current streak: 1 day.', other: 'Current streak: {count} days.' },
+    },
+    replaceSession: {
+      title: 'Replace session',
+      message: 'A link wants to start "{phase}" now. The current phase will be ended.',
+      confirm: 'Replace',
+    },
+    music: {
+      label: 'Music',
+      labelWithTrack: 'Music: {track}',
+      silentHint: 'This phase has no music',
+      silent: 'Silence in this phase',
+      mute: 'Mute Music',
+      play: 'Play Music',
+    },
+    links: {
+      mp3Player: 'Go to MP3 Player',
+      calendar: 'Calendar',
+      stats: 'Statistics',
+      profiles: 'Profiles',
+      ambient: 'Ambient sound',
+      settings: 'Settings',
+    },
+    footer: {
+      disclaimer: 'Fictional, non-commercial project.',
+      credits: 'Developed by Acriative.',
+    },
+    documentTitle: '{time} · {phase}',
+    shortcutsHint: 'Shortcuts: space starts or pauses, S skips the phase, 1, 2 and 3 pick a phase.',
+  },
+  goals: {
+    streak: { one: '1-day streak', other: '{count}-day streak' },
+  },
+  tasks: {
+    title: 'Tasks',
+    newTask: 'New task',
+    showArchived: 'Show archived',
+    empty: 'No tasks yet. Add what you are going to study!',
+    progress: '{actual} of {estimated} pomodoros',
+    pomodoroCount: '{actual}/{estimated} pomodoros',
+    active: 'active',
+    archived: 'archived',
+    addLabel: 'Add task',
+    activeLabel: 'Active task: {name}',
+    completeLabel: 'Complete {name}',
+    reopenLabel: 'Reopen {name}',
+    moveUpLabel: 'Move {name} up',
+    moveDownLabel: 'Move {name} down',
+    archiveLabel: 'Archive {name}',
+    unarchiveLabel: 'Unarchive {name}',
+    titleRequired: 'Give the task a name.',
+    invalidEstimate: 'The estimate must be a whole number from 1 to 99 pomodoros.',
+    loadError: 'Could not load the tasks.',
+    updateError: 'Could not update the task.',
+  },
+  interruptions: {
+    title: 'Log interruption',
+    kinds: {
+      internal: 'Internal',
+      external: 'External',
+    },
+    notePlaceholder: 'What happened? (optional)',
+    noteLabel: 'Interruption note',
+    submit: 'Log',
+  },
+  mp3Player: {
+    screenTitle: 'My MP3 Player',
+    title: 'MP3 Player',
+    urlPlaceholder: 'MP3 URL (e.g. http://example.com/song.mp3)',
+    urlLabel: 'MP3 URL',
+    add: 'Add',
+    invalidUrl: 'Please enter a valid MP3 URL.',
+    playError: {
+      title: 'Could not play MP3',
+      message: 'Check the URL and your internet connection.',
+    },
+    play: 'Play',
+    pause: 'Pause',
+    resume: 'Resume',
+    stop: 'Stop',
+    remove: 'Remove',
+    playing: 'Playing: {uri}',
+  },
+  alarm: {
+    title: 'Alarm',
+    fields: {
+      focusEndSound: 'End of focus',
+      breakEndSound: 'End of break',
+    },
+    sounds: {
+      classic: 'Alarm',
+      bell: 'Bell',
+      beeps: 'Beeps',
+    },
+    libraryHint: 'Songs imported in the MP3 player can be the alarm too. If the chosen song is removed, the default alarm plays instead.',
+    preview: 'Play preview',
+    stopPreview: 'Stop preview',
+    volume: 'Volume',
+    repeat: 'Repeat until I turn it off',
+    fadeIn: 'Gradually raise the volume',
+    noFade: 'No',
+    vibration: 'Vibration',
+    testVibration: 'Test vibration',
+    vibrations: {
+      none: 'No vibration',
+      single: 'Single tap',
+      double: 'Double',
+      wave: 'Wave',
+      long: 'Insistent',
+    },
+    saveError: 'Could not save the alarm.',
+  },
+  ambient: {
+    title: 'Ambient sound',
+    hint: 'Ambient sound plays with the timer, underneath the music. A profile can use a preset; the others play the current mix.',
+    layers: {
+      rain: 'Rain',
+      cafe: 'Café',
+      white: 'White noise',
+      pink: 'Pink noise',
+      brown: 'Brown noise',
+    },
+    presets: {
+      'rainy-cafe': 'Café on a rainy day',
+      library: 'Library',
+      storm: 'Storm',
+    },
+    listen: 'Listen to the mix',
+    stop: 'Stop',
+    presetsTitle: 'Presets',
+    builtInName: '{name} (built-in)',
+    deleteLabel: 'Delete {name}',
+    namePlaceholder: 'Preset name',
+    nameRequired: 'Give the preset a name.',
+    saveError: 'Could not save the preset.',
+    delete: {
+      title: 'Delete preset',
+      message: 'Delete "{name}"? Profiles that use it will play the current mix instead.',
+    },
+    deleteError: 'Could not delete the preset.',
+  },
+  music: {
+    title: 'Music',
+    silence: 'Silence',
+    library: 'Library playlist',
+    fields: {
+      focusMusic: 'During focus',
+      breakMusic: 'During breaks',
+      autoStart: 'Start the music with the phase',
+      duckDuringAlarm: 'Lower the music while the alarm rings',
+    },
+    libraryHint: 'Songs imported in the MP3 player show up here too. If the chosen song is removed, the phase stays silent.',
+    emptyLibrary: 'Import songs in the MP3 player to build the playlist.',
+    playlistHint: 'Check the songs for the playlist; with none checked, the whole library plays. The playlist picks up where it left off on the next focus.',
+    shuffle: 'Shuffle',
+    fade: 'Transition between songs and silence',
+    noFade: 'Hard cut',
+    saveError: 'Could not save the music rules.',
+  },
+  backup: {
+    title: 'Backup',
+    createTitle: 'Create backup',
+    createHint: 'Saves your settings, session history, tasks, subjects, goals and MP3 playlist in a single file.',
+    includeAudio: 'Include audio files',
+    includeAudioHint: 'Include audio files (the backup may get much bigger)',
+    create: 'Create and share backup',
+    createError: 'Could not create the backup.',
+    dialogTitle: 'Save backup',
+    restoreSection: 'Restore',
+    restoreHint: 'Pick a backup file. Before restoring, you choose whether to merge it with your current data or replace it.',
+    restoreTitle: 'Restore backup',
+    summary: 'Backup from {date}: {sessions} sessions, {tasks} tasks, {subjects} subjects and {tracks} songs ({audioFiles} audio files).',
+    modesHint: 'Merge adds the backup to your current data. Replace erases your current history, tasks and subjects.',
+    merge: 'Merge',
+    replace: 'Replace',
+    restored: {
+      title: 'Backup restored',
+      message: 'Your data was restored successfully.',
+    },
+    restoreError: 'Could not restore the backup.',
+    invalidTitle: 'Invalid backup',
+    invalidFile: 'This file is not a Pomodoro backup.',
+    newerVersion: 'This backup was made with a newer version of the app. Update the app to restore it.',
+  },
+  calendar: {
+    title: 'Calendar',
+    today: 'Today',
+    metrics: {
+      sessions: 'Sessions',
+      minutes: 'Minutes',
+    },
+    monthSessions: { one: '1 focus session completed this month', other: '{total} focus sessions completed this month' },
+    monthMinutes: { one: '1 minute of focus this month', other: '{total} minutes of focus this month' },
+    less: 'Less',
+    more: 'More',
+    loadError: 'Could not load your study history.',
+  },
+  day: {
+    empty: 'No sessions recorded on this day.',
+    duration: '{actual} of {planned}',
+    pauses: { one: '1 pause', other: '{count} pauses' },
+    paused: '({time} paused)',
+    overtime: '+{time} of overtime',
+    interruptions: { one: '1 interruption', other: '{count} interruptions' },
+    loadError: 'Could not load the sessions for this day.',
+  },
+  export: {
+    title: 'Export history',
+    dialogTitle: 'Export history',
+    format: 'Format',
+    formats: {
+      csv: 'CSV',
+      json: 'JSON',
+      ics: 'Calendar (.ics)',
+    },
+    formatHints: {
+      csv: 'One row per phase, to open in spreadsheets.',
+      json: 'Full records, with tasks, subjects and interruptions.',
+      ics: 'Each focus block becomes an event in your calendar app.',
+    },
+    period: 'Period (optional)',
+    from: 'From (YYYY-MM-DD)',
+    to: 'To (YYYY-MM-DD)',
+    subject: 'Subject',
+    export: 'Export',
+    exporting: 'Exporting...',
+    invalidDate: 'Invalid date',
+    invalidFormat: {
+      from: 'The start date must be in the YYYY-MM-DD format.',
+      to: 'The end date must be in the YYYY-MM-DD format.',
+    },
+    invalidRange: 'The start date must come before the end date.',
+    empty: {
+      title: 'Nothing to export',
+      message: 'There are no sessions recorded with these filters.',
+    },
+    error: 'Could not export the history.',
+    ics: {
+      status: 'Status: {status}',
+      task: 'Task: {title}',
+      pauses: 'Pauses: {count}',
+      interruptions: 'Interruptions: {count}',
+    },
+  },
+  profileEditor: {
+    title: 'Edit profile',
+    namePlaceholder: 'Profile name',
+    phaseLabel: 'Name on screen',
+    minutes: 'Duration (minutes)',
+    image: 'Image {number}',
+    cycle: 'Cycle',
+    longBreakInterval: 'Long break every (focus rounds)',
+    switches: {
+      autoStartBreaks: 'Start breaks automatically',
+      autoStartFocus: 'Start focus automatically',
+      flowMode: 'Flow mode: keep counting after focus ends',
+      scaleBreaksWithOvertime: 'Break proportional to overtime',
+    },
+    ambient: 'Ambient sound',
+    currentMix: 'Current mix',
+    notEditable: 'This profile cannot be edited.',
+    nameRequired: 'Give the profile a name.',
+    invalidMinutes: 'The duration of "{phase}" must be a whole number between 1 and 600.',
+    invalidInterval: '"Long break every" must be a whole number between 1 and 12.',
+    saveError: 'Could not save the profile.',
+  },
+  settings: {
+    title: 'Settings',
+    links: {
+      profiles: 'Durations and cycle: edit timer profiles',
+      alarm: 'Alarm: sound, volume, repeat and vibration',
+      music: 'Music: what plays during focus and breaks',
+      theme: 'Appearance: light or dark theme and colors',
+      language: 'Language: Portuguese, English or Spanish',
+      backup: 'Backup and restore',
+    },
+    dailyGoal: 'Daily goal',
+    fields: {
+      dailyGoalTarget: 'Daily goal',
+    },
+    goalType: 'Count the goal in',
+    goalTypes: {
+      pomodoros: 'Pomodoros',
+      minutes: 'Minutes',
+    },
+    restDays: 'Rest days (do not break the streak)',
+    invalidNumber: '"{field}" must be a whole number between {min} and {max}.',
+    saveError: 'Could not save the settings.',
+  },
+  stats: {
+    title: 'Statistics',
+    ranges: {
+      week: 'Week',
+      month: 'Month',
+      year: 'Year',
+    },
+    weekBucket: 'Wk {week}',
+    previousPeriod: 'Previous period',
+    nextPeriod: 'Next period',
+    ofFocus: 'of focus',
+    noPreviousData: 'no data for the previous period',
+    change: '{percent} compared to the previous period',
+    completion: 'completion ({completed} of {total})',
+    averageDuration: 'average duration',
+    bestHour: 'most productive hour',
+    interruptions: 'Interruptions',
+    interruptionsSummary: '{total} in this period ({internal} internal, {external} external)',
+    busiest: 'Most interruptions on: {bucket}',
+    interruptionsShort: '{count} interr.',
+    bySubject: 'By subject',
+    byTask: 'By task',
+    emptyBreakdown: 'No focus recorded in this period.',
+    noTask: 'No task',
+    removedTask: 'Removed task',
+    noSubject: 'No subject',
+    removedSubject: 'Removed subject',
+    loadError: 'Could not load the statistics.',
+    export: 'Export history (CSV, JSON, .ics)',
+  },
+  subjects: {
+    title: 'Subjects',
+    all: 'All',
+    namePlaceholder: 'Subject name (e.g. Calculus I)',
+    colorLabel: 'Color {number} of {total}',
+    add: 'Add',
+    showArchived: 'Show archived',
+    empty: 'No subjects yet. Add the subjects you study!',
+    archivedName: '{name} (archived)',
+    editLabel: 'Edit {name}',
+    archiveLabel: 'Archive {name}',
+    unarchiveLabel: 'Unarchive {name}',
+    nameRequired: 'Give the subject a name.',
+    loadError: 'Could not load the subjects.',
+    saveError: 'Could not save the subject.',
+    archiveError: 'Could not archive the subject.',
+  },
+  deepLinks: {
+    title: 'Timer',
+    invalidTitle: 'Invalid link',
+    openError: 'Could not open the link.',
+    unknownAction: 'Unknown action: "{action}". Use start, pause, resume or skip.',
+    unexpectedParams: 'The "{action}" link does not accept these parameters: {params}.',
+    invalidPhase: 'Invalid phase: "{phase}". Use focus, short or long.',
+    invalidMinutes: 'Minutes must be a whole number between 1 and 600.',
+    subjectOutsideFocus: 'Only a focus phase can have a subject.',
+    subjectNotFound: 'Subject not found: "{subject}".',
+    profileNotFound: 'Profile not found: "{profile}".',
+  },
+  theme: {
+    title: 'Appearance',
+    appearance: 'Appearance',
+    appearances: {
+      system: 'Automatic',
+      light: 'Light',
+      dark: 'Dark',
+    },
+    appearanceHint: 'On automatic, the app turns light or dark along with the system.',
+    theme: 'Theme',
+    themeHint: 'Each Pomodoro phase has its own accent color on the timer.',
+    themes: {
+      lavender: 'Lavender',
+      forest: 'Forest',
+      ocean: 'Ocean',
+      contrast: 'High contrast',
+    },
+  },
+  language: {
+    title: 'Language',
+    system: 'Same as the device',
+    hint: 'Dates and numbers also follow the chosen language.',
+  },
+  notifications: {
+    channel: 'End of Pomodoro phases',
+    title: '{phase} is over!',
+    nextStarted: '{next} has already started.',
+    nextWaiting: 'Next phase: {next}. Open the app to start.',
+  },
+  a11y: {
+    minutes: { one: '1 minute', other: '{count} minutes' },
+    seconds: { one: '1 second', other: '{count} seconds' },
+    minutesAndSeconds: '{minutes} and {seconds}',
+    remaining: { one: '{duration} left', other: '{duration} left' },
+  },
+  player: {
+    title: 'My MP3 Player',
+    addMusic: 'Add Music',
+    loading: 'Loading playlist, hang tight...',
+    emptyList: 'No songs in the playlist yet. Tap "Add Music" to get the party started!',
+    play: 'Play {name}',
+    pause: 'Pause {name}',
+    remove: 'Remove {name}',
+    nowPlaying: 'Now Playing:',
+    unknownTrack: 'Unknown Song',
+    stopAll: 'Stop All',
+    understood: 'Got it',
+    success: 'Success!',
+    warning: 'Heads up',
+    added: 'Nice! "{name}" was added to the playlist.',
+    duplicate: '"{name}" is already in your playlist!',
+    removed: 'Done! "{name}" was removed from your playlist and your phone.',
+    errors: {
+      setup: {
+        title: 'Setup Error',
+        message: 'Oops! We couldn\'t set up audio. Try restarting the app.',
+      },
+      load: {
+        title: 'Loading Error',
+        message: 'We couldn\'t load your saved playlist. You can still add new songs!',
+      },
+      save: {
+        title: 'Saving Error',
+        message: 'We couldn\'t save the playlist. Your changes may not be there next time.',
+      },
+      play: {
+        title: 'Playback Error',
+        message: 'We couldn\'t play this song. The file may be damaged or in an unsupported format.',
+      },
+      pause: {
+        title: 'Pause Error',
+        message: 'We couldn\'t pause the song.',
+      },
+      stop: {
+        title: 'Stop Error',
+        message: 'Oops, something went wrong while stopping the song.',
+      },
+      add: {
+        title: 'Error Adding Song',
+        message: 'Too bad! We couldn\'t add the MP3. Check the permissions or try another file.',
+      },
+      remove: {
+        title: 'Error Removing Song',
+        message: 'We couldn\'t remove the MP3. Try again or check the permissions.',
+      },
+    },
+  },
+};
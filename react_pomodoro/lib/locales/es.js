@@ -0,0 +1,511 @@
+// Mensajes en español (ver lib/i18n.js).
+export default {
+  common: {
+    cancel: 'Cancelar',
+    save: 'Guardar',
+    delete: 'Eliminar',
+    error: 'Error',
+    invalidValue: 'Valor no válido',
+    minutesShort: '{minutes} min',
+    secondsShort: '{seconds} s',
+    sharingUnavailable: 'Compartir no está disponible en este dispositivo',
+  },
+  phases: {
+    focus: 'Enfoque',
+    short: 'Descanso corto',
+    long: 'Descanso largo',
+  },
+  profiles: {
+    builtIn: {
+      classic: 'Clásico 25/5/15',
+      deepWork: 'Trabajo profundo 90 min',
+      exam: 'Simulacro de examen 3h',
+      examFocus: 'Examen',
+      examBreak: 'Intermedio',
+    },
+    flowMode: 'modo flujo',
+    longBreakEvery: { one: 'descanso largo tras cada enfoque', other: 'descanso largo cada {count}' },
+    myProfile: 'Mi perfil',
+    copyName: '{name} (copia)',
+    title: 'Perfiles del temporizador',
+    hint: 'Los perfiles incluidos no se pueden editar: duplica uno para crear el tuyo. Un perfil nuevo se aplica desde la próxima fase que aún no empezó.',
+    builtInName: '{name} (incluido)',
+    duplicateLabel: 'Duplicar {name}',
+    editLabel: 'Editar {name}',
+    deleteLabel: 'Eliminar {name}',
+    delete: {
+      title: 'Eliminar perfil',
+      message: '¿Eliminar el perfil "{name}"?',
+    },
+    activateError: 'No se pudo activar el perfil.',
+    duplicateError: 'No se pudo duplicar el perfil.',
+    deleteError: 'No se pudo eliminar el perfil.',
+  },
+  sessionStatus: {
+    completed: 'Completada',
+    skipped: 'Saltada',
+    abandoned: 'Abandonada',
+  },
+  timer: {
+    start: 'Empezar',
+    pause: 'Pausar',
+    endFocus: 'Terminar enfoque',
+    skip: 'Saltar fase',
+    resetCycle: 'Reiniciar ciclo',
+    stopAlarm: 'Detener alarma',
+    logInterruption: 'Registrar interrupción',
+    round: 'Ronda {round} de {total}',
+    goalMinutes: 'Meta del día: {progress}/{target} min',
+    goalPomodoros: 'Meta del día: {progress}/{target} pomodoros',
+    chooseTask: 'Elegir tarea',
+    noSubject: 'Sin materia',
+    manageSubjects: 'Gestionar materias',
+    profileLabel: 'Perfil {name}',
+    overtimeLabel: '{phase}, tiempo extra de {duration}',
+    overtimeHint: 'Tiempo extra · el enfoque sigue hasta que lo termines',
+    announce: {
+      overtime: '{phase} terminó. Contando tiempo extra.',
+      ended: '{phase} terminó.',
+      skipped: 'Fase {phase} saltada.',
+      nextStarted: '{phase} empezó.',
+      nextPhase: 'Siguiente fase: {phase}.',
+    },
+    goalMet: {
+      title: '¡Meta del día cumplida! 🎉',
+      sessions: { one: 'Hoy completaste 1 pomodoro, con {minutes} minutos de enfoque.', other: 'Hoy completaste {count} pomodoros, con {minutes} minutos de enfoque.' },
+      streak: { one: 'Racha actual: 1 día.', other: 'Racha actual: {count} días.' },
+    },
+    replaceSession: {
+      title: 'Reemplazar sesión',
+      message: 'Un enlace quiere empezar "{phase}" ahora. La fase en curso se terminará.',
+      confirm: 'Reemplazar',
+    },
+    music: {
+      label: 'Música',
+      labelWithTrack: 'Música: {track}',
+      silentHint: 'Esta fase no tiene música',
+      silent: 'Silencio en esta fase',
+      mute: 'Silenciar música',
+      play: 'Reproducir música',
+    },
+    links: {
+      mp3Player: 'Ir al reproductor de MP3',
+      calendar: 'Calendario',
+      stats: 'Estadísticas',
+      profiles: 'Perfiles',
+      ambient: 'Sonido ambiente',
+      settings: 'Ajustes',
+    },
+    footer: {
+      disclaimer: 'Proyecto ficticio y sin fines comerciales.',
+      credits: 'Desarrollado por Acriative.',
+    },
+    documentTitle: '{time} · {phase}',
+    shortcutsHint: 'Atajos: espacio empieza o pausa, S salta la fase, 1, 2 y 3 eligen la fase.',
+  },
+  goals: {
+    streak: { one: 'racha de 1 día', other: 'racha de {count} días' },
+  },
+  tasks: {
+    title: 'Tareas',
+    newTask: 'Nueva tarea',
+    showArchived: 'Mostrar archivadas',
+    empty: 'Aún no hay tareas. ¡Añade lo que vas a estudiar!',
+    progress: '{actual} de {estimated} pomodoros',
+    pomodoroCount: '{actual}/{estimated} pomodoros',
+    active: 'activa',
+    archived: 'archivada',
+    addLabel: 'Añadir tarea',
+    activeLabel: 'Tarea activa: {name}',
+    completeLabel: 'Completar {name}',
+    reopenLabel: 'Reabrir {name}',
+    moveUpLabel: 'Subir {name}',
+    moveDownLabel: 'Bajar {name}',
+    archiveLabel: 'Archivar {name}',
+    unarchiveLabel: 'Desarchivar {name}',
+    titleRequired: 'Ponle un nombre a la tarea.',
+    invalidEstimate: 'La estimación debe ser un número entero de 1 a 99 pomodoros.',
+    loadError: 'No se pudieron cargar las tareas.',
+    updateError: 'No se pudo actualizar la tarea.',
+  },
+  interruptions: {
+    title: 'Registrar interrupción',
+    kinds: {
+      internal: 'Interna',
+      external: 'Externa',
+    },
+    notePlaceholder: '¿Qué pasó? (opcional)',
+    noteLabel: 'Nota de la interrupción',
+    submit: 'Registrar',
+  },
+  mp3Player: {
+    screenTitle: 'Mi reproductor de MP3',
+    title: 'Reproductor de MP3',
+    urlPlaceholder: 'URL del MP3 (ej.: http://ejemplo.com/cancion.mp3)',
+    urlLabel: 'URL del MP3',
+    add: 'Añadir',
+    invalidUrl: 'Introduce una URL de MP3 válida.',
+    playError: {
+      title: 'Error al reproducir el MP3',
+      message: 'Revisa la URL y tu conexión a internet.',
+    },
+    play: 'Reproducir',
+    pause: 'Pausar',
+    resume: 'Continuar',
+    stop: 'Detener',
+    remove: 'Quitar',
+    playing: 'Reproduciendo: {uri}',
+  },
+  alarm: {
+    title: 'Alarma',
+    fields: {
+      focusEndSound: 'Fin del enfoque',
+      breakEndSound: 'Fin del descanso',
+    },
+    sounds: {
+      classic: 'Alarma',
+      bell: 'Campana',
+      beeps: 'Pitidos',
+    },
+    libraryHint: 'Las canciones importadas en el reproductor de MP3 también pueden ser la alarma. Si se quita la canción elegida, suena la alarma predeterminada.',
+    preview: 'Escuchar vista previa',
+    stopPreview: 'Detener vista previa',
+    volume: 'Volumen',
+    repeat: 'Repetir hasta que la apague',
+    fadeIn: 'Subir el volumen poco a poco',
+    noFade: 'No',
+    vibration: 'Vibración',
+    testVibration: 'Probar vibración',
+    vibrations: {
+      none: 'Sin vibración',
+      single: 'Un toque',
+      double: 'Doble',
+      wave: 'Onda',
+      long: 'Insistente',
+    },
+    saveError: 'No se pudo guardar la alarma.',
+  },
+  ambient: {
+    title: 'Sonido ambiente',
+    hint: 'El sonido ambiente suena con el temporizador, por debajo de la música. Un perfil puede usar un preajuste; los demás suenan con la mezcla actual.',
+    layers: {
+      rain: 'Lluvia',
+      cafe: 'Cafetería',
+      white: 'Ruido blanco',
+      pink: 'Ruido rosa',
+      brown: 'Ruido marrón',
+    },
+    presets: {
+      'rainy-cafe': 'Cafetería en un día de lluvia',
+      library: 'Biblioteca',
+      storm: 'Tormenta',
+    },
+    listen: 'Escuchar la mezcla',
+    stop: 'Detener',
+    presetsTitle: 'Preajustes',
+    builtInName: '{name} (incluido)',
+    deleteLabel: 'Eliminar {name}',
+    namePlaceholder: 'Nombre del preajuste',
+    nameRequired: 'Ponle un nombre al preajuste.',
+    saveError: 'No se pudo guardar el preajuste.',
+    delete: {
+      title: 'Eliminar preajuste',
+      message: '¿Eliminar "{name}"? Los perfiles que lo usan pasarán a sonar con la mezcla actual.',
+    },
+    deleteError: 'No se pudo eliminar el preajuste.',
+  },
+  music: {
+    title: 'Música',
+    silence: 'Silencio',
+    library: 'Lista de la biblioteca',
+    fields: {
+      focusMusic: 'Durante el enfoque',
+      breakMusic: 'Durante los descansos',
+      autoStart: 'Empezar la música con la fase',
+      duckDuringAlarm: 'Bajar la música mientras suena la alarma',
+    },
+    libraryHint: 'Las canciones importadas en el reproductor de MP3 también aparecen aquí. Si se quita la canción elegida, la fase queda en silencio.',
+    emptyLibrary: 'Importa canciones en el reproductor de MP3 para armar la lista.',
+    playlistHint: 'Marca las canciones de la lista; sin ninguna marcada, suena toda la biblioteca. La lista sigue donde se quedó en el próximo enfoque.',
+    shuffle: 'Aleatorio',
+    fade: 'Transición entre canciones y silencio',
+    noFade: 'Corte seco',
+    saveError: 'No se pudieron guardar las reglas de la música.',
+  },
+  backup: {
+    title: 'Copia de seguridad',
+    createTitle: 'Crear copia',
+    createHint: 'Guarda en un solo archivo los ajustes, el historial de sesiones, las tareas, las materias, las metas y la lista de MP3.',
+    includeAudio: 'Incluir archivos de audio',
+    includeAudioHint: 'Incluir archivos de audio (la copia puede ser mucho más grande)',
+    create: 'Crear y compartir copia',
+    createError: 'No se pudo crear la copia.',
+    dialogTitle: 'Guardar copia',
+    restoreSection: 'Restaurar',
+    restoreHint: 'Elige un archivo de copia. Antes de restaurar, decides si quieres combinarla con los datos actuales o reemplazarlos.',
+    restoreTitle: 'Restaurar copia',
+    summary: 'Copia del {date}: {sessions} sesiones, {tasks} tareas, {subjects} materias y {tracks} canciones ({audioFiles} archivos de audio).',
+    modesHint: 'Combinar une la copia a los datos actuales. Reemplazar borra el historial, las tareas y las materias actuales.',
+    merge: 'Combinar',
+    replace: 'Reemplazar',
+    restored: {
+      title: 'Copia restaurada',
+      message: 'Tus datos se restauraron correctamente.',
+    },
+    restoreError: 'No se pudo restaurar la copia.',
+    invalidTitle: 'Copia no válida',
+    invalidFile: 'Este archivo no es una copia de Pomodoro.',
+    newerVersion: 'Esta copia se hizo con una versión más nueva de la app. Actualiza la app para restaurarla.',
+  },
+  calendar: {
+    title: 'Calendario',
+    today: 'Hoy',
+    metrics: {
+      sessions: 'Sesiones',
+      minutes: 'Minutos',
+    },
+    monthSessions: { one: '1 sesión de enfoque completada este mes', other: '{total} sesiones de enfoque completadas este mes' },
+    monthMinutes: { one: '1 minuto de enfoque este mes', other: '{total} minutos de enfoque este mes' },
+    less: 'Menos',
+    more: 'Más',
+    loadError: 'No se pudo cargar el historial de estudio.',
+  },
+  day: {
+    empty: 'No hay sesiones registradas este día.',
+    duration: '{actual} de {planned}',
+    pauses: { one: '1 pausa', other: '{count} pausas' },
+    paused: '({time} en pausa)',
+    overtime: '+{time} de tiempo extra',
+    interruptions: { one: '1 interrupción', other: '{count} interrupciones' },
+    loadError: 'No se pudieron cargar las sesiones de este día.',
+  },
+  export: {
+    title: 'Exportar historial',
+    dialogTitle: 'Exportar historial',
+    format: 'Formato',
+    formats: {
+      csv: 'CSV',
+      json: 'JSON',
+      ics: 'Calendario (.ics)',
+    },
+    formatHints: {
+      csv: 'Una fila por fase, para abrir en hojas de cálculo.',
+      json: 'Registros completos, con tareas, materias e interrupciones.',
+      ics: 'Cada bloque de enfoque se convierte en un evento de tu app de calendario.',
+    },
+    period: 'Período (opcional)',
+    from: 'Desde (AAAA-MM-DD)',
+    to: 'Hasta (AAAA-MM-DD)',
+    subject: 'Materia',
+    export: 'Exportar',
+    exporting: 'Exportando...',
+    invalidDate: 'Fecha no válida',
+    invalidFormat: {
+      from: 'La fecha inicial debe tener el formato AAAA-MM-DD.',
+      to: 'La fecha final debe tener el formato AAAA-MM-DD.',
+    },
+    invalidRange: 'La fecha inicial debe ser anterior a la final.',
+    empty: {
+      title: 'Nada para exportar',
+      message: 'No hay sesiones registradas con esos filtros.',
+    },
+    error: 'No se pudo exportar el historial.',
+    ics: {
+      status: 'Estado: {status}',
+      task: 'Tarea: {title}',
+      pauses: 'Pausas: {count}',
+      interruptions: 'Interrupciones: {count}',
+    },
+  },
+  profileEditor: {
+    title: 'Editar perfil',
+    namePlaceholder: 'Nombre del perfil',
+    phaseLabel: 'Nombre en pantalla',
+    minutes: 'Duración (minutos)',
+    image: 'Imagen {number}',
+    cycle: 'Ciclo',
+    longBreakInterval: 'Descanso largo cada (rondas de enfoque)',
+    switches: {
+      autoStartBreaks: 'Iniciar descansos automáticamente',
+      autoStartFocus: 'Iniciar enfoque automáticamente',
+      flowMode: 'Modo flujo: seguir contando tras el fin del enfoque',
+      scaleBreaksWithOvertime: 'Descanso proporcional al tiempo extra',
+    },
+    ambient: 'Sonido ambiente',
+    currentMix: 'Mezcla actual',
+    notEditable: 'Este perfil no se puede editar.',
+    nameRequired: 'Ponle un nombre al perfil.',
+    invalidMinutes: 'La duración de "{phase}" debe ser un número entero entre 1 y 600.',
+    invalidInterval: '"Descanso largo cada" debe ser un número entero entre 1 y 12.',
+    saveError: 'No se pudo guardar el perfil.',
+  },
+  settings: {
+    title: 'Ajustes',
+    links: {
+      profiles: 'Duraciones y ciclo: editar perfiles del temporizador',
+      alarm: 'Alarma: sonido, volumen, repetición y vibración',
+      music: 'Música: qué suena en el enfoque y en los descansos',
+      theme: 'Apariencia: tema claro u oscuro y colores',
+      language: 'Idioma: portugués, inglés o español',
+      backup: 'Copia de seguridad y restauración',
+    },
+    dailyGoal: 'Meta diaria',
+    fields: {
+      dailyGoalTarget: 'Meta diaria',
+    },
+    goalType: 'Contar la meta en',
+    goalTypes: {
+      pomodoros: 'Pomodoros',
+      minutes: 'Minutos',
+    },
+    restDays: 'Días de descanso (no rompen la racha)',
+    invalidNumber: '"{field}" debe ser un número entero entre {min} y {max}.',
+    saveError: 'No se pudieron guardar los ajustes.',
+  },
+  stats: {
+    title: 'Estadísticas',
+    ranges: {
+      week: 'Semana',
+      month: 'Mes',
+      year: 'Año',
+    },
+    weekBucket: 'Sem {week}',
+    previousPeriod: 'Período anterior',
+    nextPeriod: 'Período siguiente',
+    ofFocus: 'de enfoque',
+    noPreviousData: 'sin datos del período anterior',
+    change: '{percent} respecto al período anterior',
+    completion: 'finalización ({completed} de {total})',
+    averageDuration: 'duración media',
+    bestHour: 'hora más productiva',
+    interruptions: 'Interrupciones',
+    interruptionsSummary: '{total} en el período ({internal} internas, {external} externas)',
+    busiest: 'Más interrupciones en: {bucket}',
+    interruptionsShort: '{count} interr.',
+    bySubject: 'Por materia',
+    byTask: 'Por tarea',
+    emptyBreakdown: 'No hay enfoque registrado en este período.',
+    noTask: 'Sin tarea',
+    removedTask: 'Tarea eliminada',
+    noSubject: 'Sin materia',
+    removedSubject: 'Materia eliminada',
+    loadError: 'No se pudieron cargar las estadísticas.',
+    export: 'Exportar historial (CSV, JSON, .ics)',
+  },
+  subjects: {
+    title: 'Materias',
+    all: 'Todas',
+    namePlaceholder: 'Nombre de la materia (ej.: Cálculo I)',
+    colorLabel: 'Color {number} de {total}',
+    add: 'Añadir',
+    showArchived: 'Mostrar archivadas',
+    empty: 'Aún no hay materias. ¡Añade las asignaturas que estudias!',
+    archivedName: '{name} (archivada)',
+    editLabel: 'Editar {name}',
+    archiveLabel: 'Archivar {name}',
+    unarchiveLabel: 'Desarchivar {name}',
+    nameRequired: 'Ponle un nombre a la materia.',
+    loadError: 'No se pudieron cargar las materias.',
+    saveError: 'No se pudo guardar la materia.',
+    archiveError: 'No se pudo archivar la materia.',
+  },
+  deepLinks: {
+    title: 'Temporizador',
+    invalidTitle: 'Enlace no válido',
+    openError: 'No se pudo abrir el enlace.',
+    unknownAction: 'Acción desconocida: "{action}". Usa start, pause, resume o skip.',
+    unexpectedParams: 'El enlace "{action}" no acepta los parámetros: {params}.',
+    invalidPhase: 'Fase no válida: "{phase}". Usa focus, short o long.',
+    invalidMinutes: 'Los minutos deben ser un número entero entre 1 y 600.',
+    subjectOutsideFocus: 'Solo una fase de enfoque puede tener materia.',
+    subjectNotFound: 'Materia no encontrada: "{subject}".',
+    profileNotFound: 'Perfil no encontrado: "{profile}".',
+  },
+  theme: {
+    title: 'Apariencia',
+    appearance: 'Apariencia',
+    appearances: {
+      system: 'Automática',
+      light: 'Clara',
+      dark: 'Oscura',
+    },
+    appearanceHint: 'En automática, la app se vuelve clara u oscura junto con el sistema.',
+    theme: 'Tema',
+    themeHint: 'Cada fase del Pomodoro tiene su propio color de acento en el temporizador.',
+    themes: {
+      lavender: 'Lavanda',
+      forest: 'Bosque',
+      ocean: 'Océano',
+      contrast: 'Alto contraste',
+    },
+  },
+  language: {
+    title: 'Idioma',
+    system: 'Igual que el dispositivo',
+    hint: 'Las fechas y los números también siguen el idioma elegido.',
+  },
+  notifications: {
+    channel: 'Fin de las fases del Pomodoro',
+    title: '¡{phase} terminó!',
+    nextStarted: '{next} ya empezó.',
+    nextWaiting: 'Siguiente fase: {next}. Abre la app para empezar.',
+  },
+  a11y: {
+    minutes: { one: '1 minuto', other: '{count} minutos' },
+    seconds: { one: '1 segundo', other: '{count} segundos' },
+    minutesAndSeconds: '{minutes} y {seconds}',
+    remaining: { one: 'Falta {duration}', other: 'Faltan {duration}' },
+  },
+  player: {
+    title: 'Mi Reproductor MP3',
+    addMusic: 'Añadir Música',
+    loading: 'Cargando la lista, un momento...',
+    emptyList: '¡Todavía no hay canciones en la lista! Toca "Añadir Música" para empezar la fiesta.',
+    play: 'Reproducir {name}',
+    pause: 'Pausar {name}',
+    remove: 'Quitar {name}',
+    nowPlaying: 'Sonando Ahora:',
+    unknownTrack: 'Canción Desconocida',
+    stopAll: 'Detener Todo',
+    understood: 'Entendido',
+    success: '¡Listo!',
+    warning: 'Aviso',
+    added: '¡Genial! "{name}" se añadió a la lista.',
+    duplicate: '¡La canción "{name}" ya está en tu lista!',
+    removed: '¡Listo! "{name}" se quitó de tu lista y del teléfono.',
+    errors: {
+      setup: {
+        title: 'Error de Configuración',
+        message: '¡Uy! No pudimos preparar el audio. Intenta reiniciar la aplicación.',
+      },
+      load: {
+        title: 'Error de Carga',
+        message: 'No pudimos cargar tu lista guardada. ¡Pero puedes añadir canciones nuevas!',
+      },
+      save: {
+        title: 'Error al Guardar',
+        message: 'No se pudo guardar la lista. Es posible que tus cambios no estén la próxima vez.',
+      },
+      play: {
+        title: 'Error de Reproducción',
+        message: 'No pudimos reproducir esta canción. Puede estar dañada o tener un formato no compatible.',
+      },
+      pause: {
+        title: 'Error al Pausar',
+        message: 'No pudimos pausar la canción.',
+      },
+      stop: {
+        title: 'Error al Detener',
+        message: 'Uy, tuvimos un problema al detener la canción.',
+      },
+      add: {
+        title: 'Error al Añadir Canción',
+        message: '¡Qué pena! No pudimos añadir el MP3. Revisa los permisos o prueba otro archivo.',
+      },
+      remove: {
+        title: 'Error al Quitar Canción',
+        message: 'No pudimos quitar el MP3. Inténtalo de nuevo o revisa los permisos.',
+      },
+    },
+  },
+};
@@ -0,0 +1,511 @@
+// Textos em português do Brasil, o idioma original do app (veja lib/i18n.js).
+export default {
+  common: {
+    cancel: 'Cancelar',
+    save: 'Salvar',
+    delete: 'Excluir',
+    error: 'Erro',
+    invalidValue: 'Valor inválido',
+    minutesShort: '{minutes} min',
+    secondsShort: '{seconds} s',
+    sharingUnavailable: 'Compartilhamento indisponível neste aparelho',
+  },
+  phases: {
+    focus: 'Foco',
+    short: 'Pausa curta',
+    long: 'Pausa longa',
+  },
+  profiles: {
+    builtIn: {
+      classic: 'Clássico 25/5/15',
+      deepWork: 'Trabalho profundo 90 min',
+      exam: 'Simulado de prova 3h',
+      examFocus: 'Prova',
+      examBreak: 'Intervalo',
+    },
+    flowMode: 'modo fluxo',
+    longBreakEvery: { one: 'pausa longa a cada foco', other: 'pausa longa a cada {count}' },
+    myProfile: 'Meu perfil',
+    copyName: '{name} (cópia)',
+    title: 'Perfis do cronômetro',
+    hint: 'Os perfis prontos não podem ser editados: duplique um deles para criar o seu. Um perfil novo vale a partir da próxima fase que ainda não começou.',
+    builtInName: '{name} (pronto)',
+    duplicateLabel: 'Duplicar {name}',
+    editLabel: 'Editar {name}',
+    deleteLabel: 'Excluir {name}',
+    delete: {
+      title: 'Excluir perfil',
+      message: 'Excluir o perfil "{name}"?',
+    },
+    activateError: 'Não foi possível ativar o perfil.',
+    duplicateError: 'Não foi possível duplicar o perfil.',
+    deleteError: 'Não foi possível excluir o perfil.',
+  },
+  sessionStatus: {
+    completed: 'Concluída',
+    skipped: 'Pulada',
+    abandoned: 'Abandonada',
+  },
+  timer: {
+    start: 'Começar',
+    pause: 'Pausar',
+    endFocus: 'Encerrar foco',
+    skip: 'Pular fase',
+    resetCycle: 'Reiniciar ciclo',
+    stopAlarm: 'Parar alarme',
+    logInterruption: 'Registrar interrupção',
+    round: 'Rodada {round} de {total}',
+    goalMinutes: 'Meta do dia: {progress}/{target} min',
+    goalPomodoros: 'Meta do dia: {progress}/{target} pomodoros',
+    chooseTask: 'Escolher tarefa',
+    noSubject: 'Sem matéria',
+    manageSubjects: 'Gerenciar matérias',
+    profileLabel: 'Perfil {name}',
+    overtimeLabel: '{phase}, tempo extra de {duration}',
+    overtimeHint: 'Tempo extra · o foco continua até você encerrar',
+    announce: {
+      overtime: '{phase} terminou. Contando tempo extra.',
+      ended: '{phase} terminou.',
+      skipped: 'Fase {phase} pulada.',
+      nextStarted: '{phase} começou.',
+      nextPhase: 'Próxima fase: {phase}.',
+    },
+    goalMet: {
+      title: 'Meta do dia cumprida! 🎉',
+      sessions: { one: 'Hoje você concluiu 1 pomodoro, com {minutes} minutos de foco.', other: 'Hoje você concluiu {count} pomodoros, com {minutes} minutos de foco.' },
+      streak: { one: 'Sequência atual: 1 dia.', other: 'Sequência atual: {count} dias.' },
+    },
+    replaceSession: {
+      title: 'Substituir sessão',
+      message: 'Um link quer começar "{phase}" agora. A fase em andamento será encerrada.',
+      confirm: 'Substituir',
+    },
+    music: {
+      label: 'Música',
+      labelWithTrack: 'Música: {track}',
+      silentHint: 'Esta fase não tem música',
+      silent: 'Silêncio nesta fase',
+      mute: 'Mutar Música',
+      play: 'Tocar Música',
+    },
+    links: {
+      mp3Player: 'Ir para Reprodutor de MP3',
+      calendar: 'Calendário',
+      stats: 'Estatísticas',
+      profiles: 'Perfis',
+      ambient: 'Som ambiente',
+      settings: 'Configurações',
+    },
+    footer: {
+      disclaimer: 'Projeto fictício e sem fins comerciais.',
+      credits: 'Desenvolvido por Acriative.',
+    },
+    documentTitle: '{time} · {phase}',
+    shortcutsHint: 'Atalhos: espaço começa ou pausa, S pula a fase, 1, 2 e 3 escolhem a fase.',
+  },
+  goals: {
+    streak: { one: 'sequência de 1 dia', other: 'sequência de {count} dias' },
+  },
+  tasks: {
+    title: 'Tarefas',
+    newTask: 'Nova tarefa',
+    showArchived: 'Mostrar arquivadas',
+    empty: 'Nenhuma tarefa ainda. Adicione o que você vai estudar!',
+    progress: '{actual} de {estimated} pomodoros',
+    pomodoroCount: '{actual}/{estimated} pomodoros',
+    active: 'ativa',
+    archived: 'arquivada',
+    addLabel: 'Adicionar tarefa',
+    activeLabel: 'Tarefa ativa: {name}',
+    completeLabel: 'Concluir {name}',
+    reopenLabel: 'Reabrir {name}',
+    moveUpLabel: 'Mover {name} para cima',
+    moveDownLabel: 'Mover {name} para baixo',
+    archiveLabel: 'Arquivar {name}',
+    unarchiveLabel: 'Desarquivar {name}',
+    titleRequired: 'Dê um nome para a tarefa.',
+    invalidEstimate: 'A estimativa deve ser um número inteiro de 1 a 99 pomodoros.',
+    loadError: 'Não foi possível carregar as tarefas.',
+    updateError: 'Não foi possível atualizar a tarefa.',
+  },
+  interruptions: {
+    title: 'Registrar interrupção',
+    kinds: {
+      internal: 'Interna',
+      external: 'Externa',
+    },
+    notePlaceholder: 'O que aconteceu? (opcional)',
+    noteLabel: 'Anotação da interrupção',
+    submit: 'Registrar',
+  },
+  mp3Player: {
+    screenTitle: 'Meu Reprodutor de MP3',
+    title: 'Reprodutor de MP3',
+    urlPlaceholder: 'URL do MP3 (ex: http://exemplo.com/musica.mp3)',
+    urlLabel: 'URL do MP3',
+    add: 'Adicionar',
+    invalidUrl: 'Por favor, insira um URL de MP3 válido.',
+    playError: {
+      title: 'Erro ao tocar MP3',
+      message: 'Verifique o URL e sua conexão com a internet.',
+    },
+    play: 'Tocar',
+    pause: 'Pausar',
+    resume: 'Continuar',
+    stop: 'Parar',
+    remove: 'Remover',
+    playing: 'Tocando: {uri}',
+  },
+  alarm: {
+    title: 'Alarme',
+    fields: {
+      focusEndSound: 'Fim do foco',
+      breakEndSound: 'Fim da pausa',
+    },
+    sounds: {
+      classic: 'Alarme',
+      bell: 'Sino',
+      beeps: 'Bipes',
+    },
+    libraryHint: 'As músicas importadas no reprodutor de MP3 também podem ser o alarme. Se a música escolhida for removida, o alarme padrão toca no lugar.',
+    preview: 'Ouvir prévia',
+    stopPreview: 'Parar prévia',
+    volume: 'Volume',
+    repeat: 'Repetir até eu desligar',
+    fadeIn: 'Aumentar o volume aos poucos',
+    noFade: 'Não',
+    vibration: 'Vibração',
+    testVibration: 'Testar vibração',
+    vibrations: {
+      none: 'Sem vibração',
+      single: 'Um toque',
+      double: 'Duplo',
+      wave: 'Onda',
+      long: 'Insistente',
+    },
+    saveError: 'Não foi possível salvar o alarme.',
+  },
+  ambient: {
+    title: 'Som ambiente',
+    hint: 'O som ambiente toca junto com o cronômetro, por baixo da música. Um perfil pode usar uma predefinição; os outros tocam a mixagem atual.',
+    layers: {
+      rain: 'Chuva',
+      cafe: 'Café',
+      white: 'Ruído branco',
+      pink: 'Ruído rosa',
+      brown: 'Ruído marrom',
+    },
+    presets: {
+      'rainy-cafe': 'Café num dia de chuva',
+      library: 'Biblioteca',
+      storm: 'Tempestade',
+    },
+    listen: 'Ouvir a mixagem',
+    stop: 'Parar',
+    presetsTitle: 'Predefinições',
+    builtInName: '{name} (pronta)',
+    deleteLabel: 'Excluir {name}',
+    namePlaceholder: 'Nome da predefinição',
+    nameRequired: 'Dê um nome para a predefinição.',
+    saveError: 'Não foi possível salvar a predefinição.',
+    delete: {
+      title: 'Excluir predefinição',
+      message: 'Excluir "{name}"? Perfis que usam ela passam a tocar a mixagem atual.',
+    },
+    deleteError: 'Não foi possível excluir a predefinição.',
+  },
+  music: {
+    title: 'Música',
+    silence: 'Silêncio',
+    library: 'Playlist da biblioteca',
+    fields: {
+      focusMusic: 'Durante o foco',
+      breakMusic: 'Durante as pausas',
+      autoStart: 'Começar a música junto com a fase',
+      duckDuringAlarm: 'Abaixar a música enquanto o alarme toca',
+    },
+    libraryHint: 'As músicas importadas no reprodutor de MP3 também aparecem aqui. Se a música escolhida for removida, a fase fica em silêncio.',
+    emptyLibrary: 'Importe músicas no reprodutor de MP3 para montar a playlist.',
+    playlistHint: 'Marque as músicas da playlist; sem nenhuma marcada, toca a biblioteca inteira. A playlist continua de onde parou no próximo foco.',
+    shuffle: 'Embaralhar',
+    fade: 'Transição entre músicas e silêncio',
+    noFade: 'Corte seco',
+    saveError: 'Não foi possível salvar as regras da música.',
+  },
+  backup: {
+    title: 'Backup',
+    createTitle: 'Criar backup',
+    createHint: 'Guarda num único arquivo as configurações, o histórico de sessões, as tarefas, as matérias, as metas e a playlist de MP3.',
+    includeAudio: 'Incluir arquivos de áudio',
+    includeAudioHint: 'Incluir arquivos de áudio (o backup pode ficar bem maior)',
+    create: 'Criar e compartilhar backup',
+    createError: 'Não foi possível criar o backup.',
+    dialogTitle: 'Salvar backup',
+    restoreSection: 'Restaurar',
+    restoreHint: 'Escolha um arquivo de backup. Antes de restaurar, você decide se quer mesclar com os dados atuais ou substituí-los.',
+    restoreTitle: 'Restaurar backup',
+    summary: 'Backup de {date}: {sessions} sessões, {tasks} tarefas, {subjects} matérias e {tracks} músicas ({audioFiles} arquivos de áudio).',
+    modesHint: 'Mesclar junta o backup aos dados atuais. Substituir apaga o histórico, as tarefas e as matérias atuais.',
+    merge: 'Mesclar',
+    replace: 'Substituir',
+    restored: {
+      title: 'Backup restaurado',
+      message: 'Seus dados foram restaurados com sucesso.',
+    },
+    restoreError: 'Não foi possível restaurar o backup.',
+    invalidTitle: 'Backup inválido',
+    invalidFile: 'Este arquivo não é um backup do Pomodoro.',
+    newerVersion: 'Este backup foi feito numa versão mais nova do app. Atualize o app para restaurá-lo.',
+  },
+  calendar: {
+    title: 'Calendário',
+    today: 'Hoje',
+    metrics: {
+      sessions: 'Sessões',
+      minutes: 'Minutos',
+    },
+    monthSessions: { one: '1 sessão de foco concluída neste mês', other: '{total} sessões de foco concluídas neste mês' },
+    monthMinutes: { one: '1 minuto de foco neste mês', other: '{total} minutos de foco neste mês' },
+    less: 'Menos',
+    more: 'Mais',
+    loadError: 'Não foi possível carregar o histórico de estudos.',
+  },
+  day: {
+    empty: 'Nenhuma sessão registrada neste dia.',
+    duration: '{actual} de {planned}',
+    pauses: { one: '1 pausa', other: '{count} pausas' },
+    paused: '({time} parado)',
+    overtime: '+{time} de tempo extra',
+    interruptions: { one: '1 interrupção', other: '{count} interrupções' },
+    loadError: 'Não foi possível carregar as sessões deste dia.',
+  },
+  export: {
+    title: 'Exportar histórico',
+    dialogTitle: 'Exportar histórico',
+    format: 'Formato',
+    formats: {
+      csv: 'CSV',
+      json: 'JSON',
+      ics: 'Calendário (.ics)',
+    },
+    formatHints: {
+      csv: 'Uma linha por fase, para abrir em planilhas.',
+      json: 'Registros completos, com tarefas, matérias e interrupções.',
+      ics: 'Cada bloco de foco vira um evento no seu app de calendário.',
+    },
+    period: 'Período (opcional)',
+    from: 'De (AAAA-MM-DD)',
+    to: 'Até (AAAA-MM-DD)',
+    subject: 'Matéria',
+    export: 'Exportar',
+    exporting: 'Exportando...',
+    invalidDate: 'Data inválida',
+    invalidFormat: {
+      from: 'A data inicial deve estar no formato AAAA-MM-DD.',
+      to: 'A data final deve estar no formato AAAA-MM-DD.',
+    },
+    invalidRange: 'A data inicial deve ser anterior à data final.',
+    empty: {
+      title: 'Nada para exportar',
+      message: 'Não há sessões registradas com esses filtros.',
+    },
+    error: 'Não foi possível exportar o histórico.',
+    ics: {
+      status: 'Status: {status}',
+      task: 'Tarefa: {title}',
+      pauses: 'Pausas: {count}',
+      interruptions: 'Interrupções: {count}',
+    },
+  },
+  profileEditor: {
+    title: 'Editar perfil',
+    namePlaceholder: 'Nome do perfil',
+    phaseLabel: 'Nome na tela',
+    minutes: 'Duração (minutos)',
+    image: 'Imagem {number}',
+    cycle: 'Ciclo',
+    longBreakInterval: 'Pausa longa a cada (rodadas de foco)',
+    switches: {
+      autoStartBreaks: 'Iniciar pausas automaticamente',
+      autoStartFocus: 'Iniciar foco automaticamente',
+      flowMode: 'Modo fluxo: continuar contando depois do fim do foco',
+      scaleBreaksWithOvertime: 'Pausa proporcional ao tempo extra',
+    },
+    ambient: 'Som ambiente',
+    currentMix: 'Mixagem atual',
+    notEditable: 'Este perfil não pode ser editado.',
+    nameRequired: 'Dê um nome para o perfil.',
+    invalidMinutes: 'A duração de "{phase}" deve ser um número inteiro entre 1 e 600.',
+    invalidInterval: '"Pausa longa a cada" deve ser um número inteiro entre 1 e 12.',
+    saveError: 'Não foi possível salvar o perfil.',
+  },
+  settings: {
+    title: 'Configurações',
+    links: {
+      profiles: 'Durações e ciclo: editar perfis do cronômetro',
+      alarm: 'Alarme: som, volume, repetição e vibração',
+      music: 'Música: o que toca no foco e nas pausas',
+      theme: 'Aparência: tema claro ou escuro e cores',
+      language: 'Idioma: português, inglês ou espanhol',
+      backup: 'Backup e restauração',
+    },
+    dailyGoal: 'Meta diária',
+    fields: {
+      dailyGoalTarget: 'Meta diária',
+    },
+    goalType: 'Contar a meta em',
+    goalTypes: {
+      pomodoros: 'Pomodoros',
+      minutes: 'Minutos',
+    },
+    restDays: 'Dias de descanso (não quebram a sequência)',
+    invalidNumber: '"{field}" deve ser um número inteiro entre {min} e {max}.',
+    saveError: 'Não foi possível salvar as configurações.',
+  },
+  stats: {
+    title: 'Estatísticas',
+    ranges: {
+      week: 'Semana',
+      month: 'Mês',
+      year: 'Ano',
+    },
+    weekBucket: 'Sem {week}',
+    previousPeriod: 'Período anterior',
+    nextPeriod: 'Próximo período',
+    ofFocus: 'de foco',
+    noPreviousData: 'sem dados do período anterior',
+    change: '{percent} em relação ao período anterior',
+    completion: 'conclusão ({completed} de {total})',
+    averageDuration: 'duração média',
+    bestHour: 'horário mais produtivo',
+    interruptions: 'Interrupções',
+    interruptionsSummary: '{total} no período ({internal} internas, {external} externas)',
+    busiest: 'Mais interrupções em: {bucket}',
+    interruptionsShort: '{count} interr.',
+    bySubject: 'Por matéria',
+    byTask: 'Por tarefa',
+    emptyBreakdown: 'Nenhum foco registrado neste período.',
+    noTask: 'Sem tarefa',
+    removedTask: 'Tarefa removida',
+    noSubject: 'Sem matéria',
+    removedSubject: 'Matéria removida',
+    loadError: 'Não foi possível carregar as estatísticas.',
+    export: 'Exportar histórico (CSV, JSON, .ics)',
+  },
+  subjects: {
+    title: 'Matérias',
+    all: 'Todas',
+    namePlaceholder: 'Nome da matéria (ex: Cálculo I)',
+    colorLabel: 'Cor {number} de {total}',
+    add: 'Adicionar',
+    showArchived: 'Mostrar arquivadas',
+    empty: 'Nenhuma matéria ainda. Cadastre as disciplinas que você estuda!',
+    archivedName: '{name} (arquivada)',
+    editLabel: 'Editar {name}',
+    archiveLabel: 'Arquivar {name}',
+    unarchiveLabel: 'Desarquivar {name}',
+    nameRequired: 'Dê um nome para a matéria.',
+    loadError: 'Não foi possível carregar as matérias.',
+    saveError: 'Não foi possível salvar a matéria.',
+    archiveError: 'Não foi possível arquivar a matéria.',
+  },
+  deepLinks: {
+    title: 'Cronômetro',
+    invalidTitle: 'Link inválido',
+    openError: 'Não foi possível abrir o link.',
+    unknownAction: 'Ação desconhecida: "{action}". Use start, pause, resume ou skip.',
+    unexpectedParams: 'O link "{action}" não aceita os parâmetros: {params}.',
+    invalidPhase: 'Fase inválida: "{phase}". Use focus, short ou long.',
+    invalidMinutes: 'Os minutos devem ser um número inteiro entre 1 e 600.',
+    subjectOutsideFocus: 'Só uma fase de foco pode ter matéria.',
+    subjectNotFound: 'Matéria não encontrada: "{subject}".',
+    profileNotFound: 'Perfil não encontrado: "{profile}".',
+  },
+  theme: {
+    title: 'Aparência',
+    appearance: 'Aparência',
+    appearances: {
+      system: 'Automática',
+      light: 'Clara',
+      dark: 'Escura',
+    },
+    appearanceHint: 'Na automática, o app fica claro ou escuro junto com o sistema.',
+    theme: 'Tema',
+    themeHint: 'Cada fase do Pomodoro tem a sua cor de destaque no cronômetro.',
+    themes: {
+      lavender: 'Lavanda',
+      forest: 'Floresta',
+      ocean: 'Oceano',
+      contrast: 'Alto contraste',
+    },
+  },
+  language: {
+    title: 'Idioma',
+    system: 'Mesmo idioma do aparelho',
+    hint: 'Datas e números também seguem o idioma escolhido.',
+  },
+  notifications: {
+    channel: 'Fim das fases do Pomodoro',
+    title: '{phase} terminou!',
+    nextStarted: '{next} já começou.',
+    nextWaiting: 'Próxima fase: {next}. Abra o app para começar.',
+  },
+  a11y: {
+    minutes: { one: '1 minuto', other: '{count} minutos' },
+    seconds: { one: '1 segundo', other: '{count} segundos' },
+    minutesAndSeconds: '{minutes} e {seconds}',
+    remaining: { one: 'Falta {duration}', other: 'Faltam {duration}' },
+  },
+  player: {
+    title: 'Meu Player MP3',
+    addMusic: 'Adicionar Música',
+    loading: 'Carregando playlist, segura a emoção...',
+    emptyList: 'Eita! Nenhuma música na playlist ainda. Toque em "Adicionar Música" para começar a festa!',
+    play: 'Tocar {name}',
+    pause: 'Pausar {name}',
+    remove: 'Remover {name}',
+    nowPlaying: 'Tocando Agora:',
+    unknownTrack: 'Música Desconhecida',
+    stopAll: 'Parar Tudo',
+    understood: 'Entendi',
+    success: 'Sucesso!',
+    warning: 'Aviso',
+    added: 'Oba! "{name}" adicionado com sucesso à playlist.',
+    duplicate: 'A música "{name}" já está na sua playlist, chapa!',
+    removed: 'Pronto! "{name}" foi removido da sua playlist e do celular.',
+    errors: {
+      setup: {
+        title: 'Erro de Configuração',
+        message: 'Ops! Não conseguimos preparar o áudio. Tente reiniciar o aplicativo.',
+      },
+      load: {
+        title: 'Erro de Carregamento',
+        message: 'Eita! Não conseguimos carregar sua playlist salva. Mas você pode adicionar músicas novas!',
+      },
+      save: {
+        title: 'Erro ao Salvar',
+        message: 'Não foi possível salvar a playlist. Suas alterações podem não ser guardadas para a próxima vez.',
+      },
+      play: {
+        title: 'Erro de Reprodução',
+        message: 'Poxa, não conseguimos tocar esta música. Ela pode estar com problemas ou o formato não é compatível.',
+      },
+      pause: {
+        title: 'Erro ao Pausar',
+        message: 'Ih, não conseguimos pausar a música.',
+      },
+      stop: {
+        title: 'Erro ao Parar',
+        message: 'Ops, tivemos um problema ao parar a música.',
+      },
+      add: {
+        title: 'Erro ao Adicionar Música',
+        message: 'Que pena! Não conseguimos adicionar o MP3. Verifique as permissões ou tente outro arquivo.',
+      },
+      remove: {
+        title: 'Erro ao Remover Música',
+        message: 'Vish! Não conseguimos remover o MP3. Tente novamente ou verifique as permissões.',
+      },
+    },
+  },
+};
@@ -0,0 +1,115 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { findTrack, getTrackId, loadPlaylist } from './playlist';
+import { t } from './i18n';
+
+// Regras da música de fundo: o que toca no foco, o que toca nas pausas (ou
+// silêncio), se a música começa sozinha junto com a fase e quanto duram as
+// transições. Valem para todos os perfis, como o alarme.
+//
+// Uma música é `none` (silêncio), `library` (a playlist montada com a biblioteca
+// de MP3) ou o id de uma música da biblioteca (veja `getTrackId`). O app não traz
+// música própria, então começa em silêncio até a pessoa escolher algo.
+
+export const MUSIC_STORAGE_KEY = 'pomodoro_music';
+// Onde a playlist parou, para o próximo foco continuar dali.
+export const SOUNDTRACK_STORAGE_KEY = 'pomodoro_soundtrack';
+
+export const SILENCE = 'none';
+export const LIBRARY = 'library';
+
+export const MUSIC_FADE_SECONDS = [0, 1, 2, 5];
+
+export const DEFAULT_MUSIC_SETTINGS = {
+  focusMusic: SILENCE,
+  breakMusic: SILENCE,
+  autoStart: true,        // A música começa junto com a fase (e ao abrir o app).
+  fadeSeconds: 2,         // Duração do aumento e da diminuição gradual do volume.
+  duckDuringAlarm: true,  // Abaixa a música enquanto o alarme toca.
+  soundtrackTracks: [],   // Músicas da playlist da biblioteca; vazia = a biblioteca inteira.
+  shuffle: true,
+};
+
+export async function loadMusicSettings() {
+  try {
+    const storedSettings = await AsyncStorage.getItem(MUSIC_STORAGE_KEY);
+    return storedSettings ? { ...DEFAULT_MUSIC_SETTINGS, ...JSON.parse(storedSettings) } : DEFAULT_MUSIC_SETTINGS;
+  } catch (error) {
+    console.log('Erro carregando configurações da música:', error);
+    return DEFAULT_MUSIC_SETTINGS;
+  }
+}
+
+export async function saveMusicSettings(musicSettings) {
+  await AsyncStorage.setItem(MUSIC_STORAGE_KEY, JSON.stringify(musicSettings));
+}
+
+export function getMusicOptions(playlist) {
+  return [
+    { id: SILENCE, label: t('music.silence') },
+    { id: LIBRARY, label: t('music.library') },
+    ...playlist.map(track => ({ id: getTrackId(track), label: track.name })),
+  ];
+}
+
+// A música da fase `phaseId`: a do foco ou a das pausas (curta e longa).
+export function getPhaseMusic(musicSettings, phaseId) {
+  return phaseId === 'focus' ? musicSettings.focusMusic : musicSettings.breakMusic;
+}
+
+// Fonte para o `Audio.Sound.createAsync`, ou null para silêncio. Diferente do
+// alarme, uma música que saiu da biblioteca vira silêncio.
+export async function resolveMusicSource(musicId) {
+  const track = await findTrack(musicId);
+  return track ? { uri: track.uri } : null;
+}
+
+function shuffled(ids) {
+  const result = [...ids];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+async function loadSoundtrackState() {
+  try {
+    const storedState = await AsyncStorage.getItem(SOUNDTRACK_STORAGE_KEY);
+    return storedState ? JSON.parse(storedState) : null;
+  } catch (error) {
+    console.log('Erro carregando posição da playlist:', error);
+    return null;
+  }
+}
+
+// `state` é { order, index, positionMillis, shuffle }: a ordem das músicas (já
+// embaralhada, se for o caso), a música atual e o ponto dentro dela.
+export async function saveSoundtrackState(state) {
+  await AsyncStorage.setItem(SOUNDTRACK_STORAGE_KEY, JSON.stringify(state));
+}
+
+// Monta a playlist da biblioteca, retomando de onde ela parou. Se as músicas
+// escolhidas ou o embaralhar mudaram, começa do início numa ordem nova.
+// Retorna null se não houver nenhuma música para tocar.
+export async function openSoundtrack({ trackIds, shuffle }) {
+  const tracks = (await loadPlaylist()).filter(track => trackIds.length === 0 || trackIds.includes(getTrackId(track)));
+  if (tracks.length === 0) return null;
+
+  const ids = tracks.map(getTrackId);
+  const saved = await loadSoundtrackState();
+  const resumable = saved && saved.shuffle === shuffle && saved.order.length === ids.length
+    && saved.order.every(id => ids.includes(id));
+
+  return {
+    tracks: new Map(tracks.map(track => [getTrackId(track), track])),
+    state: resumable ? saved : { order: shuffle ? shuffled(ids) : ids, index: 0, positionMillis: 0, shuffle },
+  };
+}
+
+// A música seguinte. No fim, a playlist dá a volta (embaralhada de novo, se for o caso).
+export function nextSoundtrackState(state) {
+  if (state.index + 1 < state.order.length) {
+    return { ...state, index: state.index + 1, positionMillis: 0 };
+  }
+  return { ...state, order: state.shuffle ? shuffled(state.order) : state.order, index: 0, positionMillis: 0 };
+}
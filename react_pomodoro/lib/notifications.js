@@ -0,0 +1,166 @@
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { getPhaseLabel } from './phases';
+import { t } from './i18n';
+
+// Notificações locais de fim de fase. Elas são agendadas no sistema para o
+// horário de término, então aparecem mesmo com o app em segundo plano ou fechado.
+// Cada término agendado usa o identificador `phase-end-N`, o que permite
+// cancelar todos de uma vez ao pausar, pular ou trocar de fase. O texto sai no
+// idioma que valia quando a notificação foi agendada.
+//
+// No navegador não há agendamento no sistema: enquanto a aba está aberta, um
+// temporizador para cada término mostra a notificação pela Notification API.
+// Lá a permissão só é pedida quando a pessoa começa o cronômetro, nunca ao abrir
+// a página (navegadores ignoram ou bloqueiam pedidos sem um gesto de quem usa).
+
+const CHANNEL_ID = 'pomodoro';
+const IDENTIFIER_PREFIX = 'phase-end-';
+
+// Com o app aberto o alarme já toca, então a notificação fica só na lista.
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: false,
+    shouldShowList: true,
+    shouldPlaySound: false,
+    shouldSetBadge: false,
+  }),
+});
+
+export async function setupNotifications() {
+  if (Platform.OS === 'web') return;
+
+  try {
+    if (Platform.OS === 'android') {
+      await Notifications.setNotificationChannelAsync(CHANNEL_ID, {
+        name: t('notifications.channel'),
+        importance: Notifications.AndroidImportance.HIGH,
+        sound: 'default',
+      });
+    }
+
+    const { status } = await Notifications.getPermissionsAsync();
+    if (status !== 'granted') {
+      await Notifications.requestPermissionsAsync();
+    }
+  } catch (error) {
+    console.log('Erro configurando notificações:', error);
+  }
+}
+
+function describePhaseEnd({ phaseId, nextPhaseId, autoStart }) {
+  const next = getPhaseLabel(nextPhaseId);
+  return {
+    title: t('notifications.title', { phase: getPhaseLabel(phaseId) }),
+    body: t(autoStart ? 'notifications.nextStarted' : 'notifications.nextWaiting', { next }),
+  };
+}
+
+// Agendar e cancelar são assíncronos; encadeamos as operações para que um
+// cancelamento feito logo após um agendamento nunca rode antes dele.
+let pending = Promise.resolve();
+
+function enqueue(task) {
+  pending = pending.then(task, task);
+  return pending;
+}
+
+// Temporizadores das notificações do navegador (só na web).
+let browserTimeouts = [];
+
+const browserSupportsNotifications = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// Chamada a partir do toque em Começar, enquanto o gesto ainda vale.
+export async function requestBrowserNotificationPermission() {
+  if (Platform.OS !== 'web' || !browserSupportsNotifications()) return;
+  if (Notification.permission !== 'default') return;
+
+  try {
+    await Notification.requestPermission();
+  } catch (error) {
+    console.log('Erro pedindo permissão de notificações:', error);
+  }
+}
+
+function cancelBrowserNotifications() {
+  browserTimeouts.forEach(clearTimeout);
+  browserTimeouts = [];
+}
+
+// Com a aba à vista o alarme já toca, então só avisamos quem está em outra
+// aba ou janela. A permissão é conferida na hora, porque ela pode ter sido
+// concedida depois do agendamento. No Chrome do Android o construtor lança
+// "Illegal constructor" (lá só service workers mostram notificações).
+function showBrowserNotification(phaseEnd) {
+  if (Notification.permission !== 'granted' || document.hasFocus()) return;
+
+  try {
+    const { title, body } = describePhaseEnd(phaseEnd);
+    new Notification(title, { body, tag: CHANNEL_ID });
+  } catch (error) {
+    console.log('Erro mostrando notificação:', error);
+  }
+}
+
+function scheduleBrowserNotifications(phaseEnds) {
+  cancelBrowserNotifications();
+  if (!browserSupportsNotifications() || Notification.permission === 'denied') return;
+
+  browserTimeouts = phaseEnds
+    .filter(phaseEnd => phaseEnd.endsAt > Date.now())
+    .map(phaseEnd => setTimeout(() => showBrowserNotification(phaseEnd), phaseEnd.endsAt - Date.now()));
+}
+
+async function cancelScheduled() {
+  if (Platform.OS === 'web') {
+    cancelBrowserNotifications();
+    return;
+  }
+
+  try {
+    const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+    await Promise.all(
+      scheduled
+        .filter(request => request.identifier.startsWith(IDENTIFIER_PREFIX))
+        .map(request => Notifications.cancelScheduledNotificationAsync(request.identifier))
+    );
+  } catch (error) {
+    console.log('Erro cancelando notificações:', error);
+  }
+}
+
+export function cancelPhaseNotifications() {
+  return enqueue(cancelScheduled);
+}
+
+// Recebe a lista de términos gerada por `planPhaseEnds` e substitui o que estava agendado.
+export function schedulePhaseNotifications(phaseEnds) {
+  return enqueue(() => scheduleAll(phaseEnds));
+}
+
+async function scheduleAll(phaseEnds) {
+  if (Platform.OS === 'web') {
+    scheduleBrowserNotifications(phaseEnds);
+    return;
+  }
+
+  await cancelScheduled();
+
+  try {
+    await Promise.all(
+      phaseEnds
+        .filter(phaseEnd => phaseEnd.endsAt > Date.now())
+        .map((phaseEnd, index) => Notifications.scheduleNotificationAsync({
+          identifier: `${IDENTIFIER_PREFIX}${index}`,
+          content: { ...describePhaseEnd(phaseEnd), sound: 'default' },
+          trigger: {
+            type: Notifications.SchedulableTriggerInputTypes.DATE,
+            date: phaseEnd.endsAt,
+            channelId: CHANNEL_ID,
+          },
+        }))
+    );
+  } catch (error) {
+    console.log('Erro agendando notificações:', error);
+  }
+}
@@ -0,0 +1,11 @@
+import { t } from './i18n';
+
+// Nome da fase do Pomodoro no idioma atual, usado pelo cronômetro e pelas telas de histórico.
+export const getPhaseLabel = (phaseId) => t(`phases.${phaseId}`);
+
+// Imagens que podem ilustrar cada fase nos perfis do cronômetro.
+export const PHASE_IMAGES = {
+  image1: require('../app/image1.png'),
+  image2: require('../app/image2.png'),
+  image3: require('../app/image3.png'),
+};
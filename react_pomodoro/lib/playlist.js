@@ -0,0 +1,44 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+
+// Biblioteca de MP3 do player (`app.js`): a lista de músicas fica no
+// AsyncStorage e os arquivos ficam copiados em `AUDIO_DIR`. Cada item é
+// `{ name, uri }`, com a uri apontando para o arquivo dentro de `AUDIO_DIR`.
+
+export const PLAYLIST_STORAGE_KEY = 'mp3_playlist';
+export const AUDIO_DIR = FileSystem.documentDirectory + 'audio/';
+
+export async function loadPlaylist() {
+  try {
+    const storedPlaylist = await AsyncStorage.getItem(PLAYLIST_STORAGE_KEY);
+    return storedPlaylist ? JSON.parse(storedPlaylist) : [];
+  } catch (error) {
+    console.log('Erro carregando playlist:', error);
+    return [];
+  }
+}
+
+export async function savePlaylist(playlist) {
+  await AsyncStorage.setItem(PLAYLIST_STORAGE_KEY, JSON.stringify(playlist));
+}
+
+// Outras telas guardam a escolha de uma música como `track:<arquivo>`. O nome do
+// arquivo, e não a uri, porque a pasta do app muda quando um backup é restaurado
+// em outro aparelho.
+const TRACK_PREFIX = 'track:';
+
+export const getTrackId = (track) => TRACK_PREFIX + track.name;
+
+export const isTrackId = (id) => typeof id === 'string' && id.startsWith(TRACK_PREFIX);
+
+export async function findTrack(trackId) {
+  if (!isTrackId(trackId)) return null;
+  return (await loadPlaylist()).find(track => getTrackId(track) === trackId) ?? null;
+}
+
+export async function ensureAudioDir() {
+  const dirInfo = await FileSystem.getInfoAsync(AUDIO_DIR);
+  if (!dirInfo.exists) {
+    await FileSystem.makeDirectoryAsync(AUDIO_DIR, { intermediates: true });
+  }
+}
@@ -0,0 +1,169 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_SETTINGS, loadSettings } from './settings';
+import { PHASE_IMAGES, getPhaseLabel } from './phases';
+import { formatNumber, t } from './i18n';
+
+// Perfis do cronômetro: cada perfil tem as suas fases (nome, duração em minutos
+// e imagem) e as regras do ciclo. Os perfis embutidos não mudam; para ajustar
+// um deles, o usuário cria uma cópia. Os perfis do usuário e o perfil ativo
+// ficam no AsyncStorage.
+
+export const PROFILES_STORAGE_KEY = 'pomodoro_profiles';
+export const ACTIVE_PROFILE_STORAGE_KEY = 'pomodoro_active_profile';
+
+export const PHASE_IDS = ['focus', 'short', 'long'];
+
+function builtInProfile(id, name, [focus, short, long], rules, labels = {}) {
+  return {
+    id,
+    name,
+    builtIn: true,
+    phases: {
+      focus: { label: labels.focus ?? getPhaseLabel('focus'), minutes: focus, image: 'image1' },
+      short: { label: labels.short ?? getPhaseLabel('short'), minutes: short, image: 'image2' },
+      long: { label: labels.long ?? getPhaseLabel('long'), minutes: long, image: 'image3' },
+    },
+    longBreakInterval: 4,
+    autoStartBreaks: false,
+    autoStartFocus: false,
+    flowMode: false,
+    scaleBreaksWithOvertime: false,
+    ambientPresetId: null, // Predefinição de som ambiente (lib/ambient.js); null = mixagem atual.
+    ...rules,
+  };
+}
+
+// Os perfis embutidos são montados a cada chamada, com os nomes no idioma atual.
+export function getBuiltInProfiles() {
+  return [
+    builtInProfile('classic', t('profiles.builtIn.classic'), [25, 5, 15], {}),
+    builtInProfile('52-17', '52/17', [52, 17, 30], { longBreakInterval: 3 }),
+    builtInProfile('deep-work-90', t('profiles.builtIn.deepWork'), [90, 20, 30], { longBreakInterval: 2 }),
+    builtInProfile('exam-3h', t('profiles.builtIn.exam'), [180, 15, 30], { longBreakInterval: 1 }, {
+      focus: t('profiles.builtIn.examFocus'),
+      long: t('profiles.builtIn.examBreak'),
+    }),
+  ];
+}
+
+export const DEFAULT_PROFILE_ID = 'classic';
+
+// Converte o perfil nos campos de configuração que o cronômetro e o ciclo usam.
+export function applyProfile(settings, profile) {
+  return {
+    ...settings,
+    focusMinutes: profile.phases.focus.minutes,
+    shortBreakMinutes: profile.phases.short.minutes,
+    longBreakMinutes: profile.phases.long.minutes,
+    longBreakInterval: profile.longBreakInterval,
+    autoStartBreaks: profile.autoStartBreaks,
+    autoStartFocus: profile.autoStartFocus,
+    flowMode: profile.flowMode ?? false,
+    scaleBreaksWithOvertime: profile.scaleBreaksWithOvertime ?? false,
+  };
+}
+
+// As fases do perfil no formato do seletor de fases da tela inicial.
+export function getPhaseTypes(profile) {
+  return PHASE_IDS.map(id => ({
+    id,
+    image: PHASE_IMAGES[profile.phases[id].image] ?? PHASE_IMAGES.image1,
+    display: profile.phases[id].label,
+  }));
+}
+
+export function describeProfile(profile) {
+  const { focus, short, long } = profile.phases;
+  const flow = profile.flowMode ? ` · ${t('profiles.flowMode')}` : '';
+  const durations = [focus, short, long].map(phase => formatNumber(phase.minutes)).join('/');
+  return `${t('common.minutesShort', { minutes: durations })} · ${t('profiles.longBreakEvery', { count: profile.longBreakInterval })}${flow}`;
+}
+
+// Antes dos perfis, as durações ficavam nas configurações. Quem já tinha mudado
+// alguma delas ganha um perfil com esses valores, que passa a ser o ativo.
+async function migrateLegacySettings() {
+  const settings = await loadSettings();
+  const keys = ['focusMinutes', 'shortBreakMinutes', 'longBreakMinutes', 'longBreakInterval', 'autoStartBreaks', 'autoStartFocus'];
+  if (keys.every(key => settings[key] === DEFAULT_SETTINGS[key])) return [];
+
+  const profile = {
+    ...builtInProfile(`custom-${Date.now()}`, t('profiles.myProfile'), [
+      settings.focusMinutes,
+      settings.shortBreakMinutes,
+      settings.longBreakMinutes,
+    ], {
+      longBreakInterval: settings.longBreakInterval,
+      autoStartBreaks: settings.autoStartBreaks,
+      autoStartFocus: settings.autoStartFocus,
+    }),
+    builtIn: false,
+  };
+  await setActiveProfileId(profile.id);
+  return [profile];
+}
+
+async function loadCustomProfiles() {
+  try {
+    const storedProfiles = await AsyncStorage.getItem(PROFILES_STORAGE_KEY);
+    if (storedProfiles) return JSON.parse(storedProfiles);
+
+    const migrated = await migrateLegacySettings();
+    await AsyncStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(migrated));
+    return migrated;
+  } catch (error) {
+    console.log('Erro carregando perfis:', error);
+    return [];
+  }
+}
+
+export async function loadProfiles() {
+  return [...getBuiltInProfiles(), ...(await loadCustomProfiles())];
+}
+
+export async function getProfile(id) {
+  return (await loadProfiles()).find(profile => profile.id === id) ?? null;
+}
+
+// Cria ou atualiza um perfil do usuário.
+export async function saveProfile(profile) {
+  const customProfiles = await loadCustomProfiles();
+  const index = customProfiles.findIndex(p => p.id === profile.id);
+  const updated = index < 0
+    ? [...customProfiles, profile]
+    : customProfiles.map(p => (p.id === profile.id ? profile : p));
+  await AsyncStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(updated));
+}
+
+export async function duplicateProfile(profile) {
+  const copy = { ...profile, id: `custom-${Date.now()}`, name: t('profiles.copyName', { name: profile.name }), builtIn: false };
+  await saveProfile(copy);
+  return copy;
+}
+
+export async function deleteProfile(id) {
+  const customProfiles = await loadCustomProfiles();
+  await AsyncStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(customProfiles.filter(p => p.id !== id)));
+  if ((await getActiveProfileId()) === id) {
+    await setActiveProfileId(DEFAULT_PROFILE_ID);
+  }
+}
+
+export async function getActiveProfileId() {
+  try {
+    return (await AsyncStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY)) ?? DEFAULT_PROFILE_ID;
+  } catch (error) {
+    console.log('Erro carregando perfil ativo:', error);
+    return DEFAULT_PROFILE_ID;
+  }
+}
+
+export async function setActiveProfileId(id) {
+  await AsyncStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, id);
+}
+
+// O perfil ativo; se ele tiver sido apagado, volta para o clássico.
+export async function getActiveProfile() {
+  const profiles = await loadProfiles();
+  const id = await getActiveProfileId();
+  return profiles.find(profile => profile.id === id) ?? getBuiltInProfiles()[0];
+}
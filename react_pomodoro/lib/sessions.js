@@ -0,0 +1,161 @@
+import { getDatabase } from './db';
+import { getOvertimeMs, getPausedMs, getRemainingMs } from './timer';
+
+// Acesso ao histórico de fases guardado no SQLite.
+// Todos os horários são timestamps em milissegundos; as durações, em segundos.
+
+export const SESSION_STATUS = {
+  completed: 'completed', // O tempo chegou a zero.
+  skipped: 'skipped',     // O usuário pulou para a próxima fase.
+  abandoned: 'abandoned', // O usuário trocou de fase ou reiniciou o ciclo no meio.
+};
+
+export const INTERRUPTION_KINDS = {
+  internal: 'internal', // Vontade própria: celular, fome, outra ideia...
+  external: 'external', // Alguém ou algo de fora: mensagem, visita, barulho...
+};
+
+const SESSION_COLUMNS = `
+  sessions.*,
+  (SELECT COUNT(*) FROM interruptions WHERE interruptions.session_id = sessions.id) AS interruption_count`;
+
+function toSession(row) {
+  return {
+    id: row.id,
+    phase: row.phase,
+    status: row.status,
+    plannedSeconds: row.planned_seconds,
+    actualSeconds: row.actual_seconds,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    pauseCount: row.pause_count,
+    pauseSeconds: row.pause_seconds,
+    interruptionCount: row.interruption_count,
+    taskId: row.task_id,
+    subjectId: row.subject_id,
+    overtimeSeconds: row.overtime_seconds,
+  };
+}
+
+function toInterruption(row) {
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    kind: row.kind,
+    note: row.note,
+    occurredAt: row.occurred_at,
+  };
+}
+
+// Monta o registro de uma fase a partir do estado do cronômetro no momento em que ela acabou.
+// O tempo extra do modo fluxo entra no tempo real da sessão.
+export function sessionFromTimer(timer, status, endedAt = Date.now()) {
+  const remainingMs = status === SESSION_STATUS.completed ? 0 : getRemainingMs(timer, endedAt);
+  const overtimeMs = getOvertimeMs(timer, endedAt);
+  return {
+    phase: timer.phaseId,
+    status,
+    plannedSeconds: Math.round(timer.durationMs / 1000),
+    actualSeconds: Math.round((timer.durationMs - remainingMs + overtimeMs) / 1000),
+    overtimeSeconds: Math.round(overtimeMs / 1000),
+    startedAt: timer.startedAt ?? endedAt,
+    endedAt,
+    pauseCount: timer.pauseCount ?? 0,
+    pauseSeconds: Math.round(getPausedMs(timer, endedAt) / 1000),
+    interruptions: timer.interruptions ?? [],
+    subjectId: timer.subjectId ?? null,
+    taskId: timer.taskId ?? null,
+  };
+}
+
+// Grava a sessão e suas interrupções juntas, numa única transação.
+export async function recordSession(session) {
+  const db = await getDatabase();
+  let sessionId = null;
+
+  await db.withTransactionAsync(async () => {
+    const result = await db.runAsync(
+      `INSERT INTO sessions (phase, status, planned_seconds, actual_seconds, started_at, ended_at, pause_count, pause_seconds, task_id, subject_id, overtime_seconds)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      session.phase,
+      session.status,
+      session.plannedSeconds,
+      session.actualSeconds,
+      session.startedAt,
+      session.endedAt,
+      session.pauseCount,
+      session.pauseSeconds ?? 0,
+      session.taskId ?? null,
+      session.subjectId ?? null,
+      session.overtimeSeconds ?? 0
+    );
+    sessionId = result.lastInsertRowId;
+
+    for (const interruption of session.interruptions ?? []) {
+      await db.runAsync(
+        'INSERT INTO interruptions (session_id, kind, note, occurred_at) VALUES (?, ?, ?, ?)',
+        sessionId,
+        interruption.kind,
+        interruption.note,
+        interruption.occurredAt
+      );
+    }
+  });
+
+  return sessionId;
+}
+
+// Fases que começaram no intervalo [from, to).
+export async function getSessionsBetween(from, to) {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync(
+    `SELECT ${SESSION_COLUMNS} FROM sessions WHERE started_at >= ? AND started_at < ? ORDER BY started_at`,
+    from,
+    to
+  );
+  return rows.map(toSession);
+}
+
+export async function getRecentSessions(limit = 50) {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync(`SELECT ${SESSION_COLUMNS} FROM sessions ORDER BY started_at DESC LIMIT ?`, limit);
+  return rows.map(toSession);
+}
+
+// Interrupções das sessões que começaram no intervalo [from, to).
+export async function getInterruptionsBetween(from, to) {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync(
+    `SELECT interruptions.* FROM interruptions
+     JOIN sessions ON sessions.id = interruptions.session_id
+     WHERE sessions.started_at >= ? AND sessions.started_at < ?
+     ORDER BY interruptions.occurred_at`,
+    from,
+    to
+  );
+  return rows.map(toInterruption);
+}
+
+// Totais de foco por dia no intervalo [from, to): quantas sessões de foco
+// foram concluídas e quantos minutos de foco houve (inclusive em sessões interrompidas).
+// Com `subjectId`, conta só as sessões daquela matéria.
+export async function getDailyFocusTotals(from, to, subjectId = null) {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync(
+    `SELECT date(started_at / 1000, 'unixepoch', 'localtime') AS day,
+            SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) AS completed_count,
+            SUM(actual_seconds) AS focus_seconds
+     FROM sessions
+     WHERE phase = 'focus' AND started_at >= ? AND started_at < ?
+       AND (? IS NULL OR subject_id = ?)
+     GROUP BY day`,
+    from,
+    to,
+    subjectId,
+    subjectId
+  );
+  return Object.fromEntries(rows.map(row => [
+    row.day,
+    { sessions: row.completed_count, minutes: Math.round(row.focus_seconds / 60) },
+  ]));
+}
@@ -0,0 +1,46 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Configurações do usuário: duração de cada fase (em minutos), de quantas em
+// quantas rodadas vem a pausa longa, se as fases começam sozinhas e a meta diária.
+// `restDays` usa os números de `Date.getDay()` (0 = domingo).
+
+export const SETTINGS_STORAGE_KEY = 'pomodoro_settings';
+
+export const DEFAULT_SETTINGS = {
+  focusMinutes: 25,
+  shortBreakMinutes: 5,
+  longBreakMinutes: 15,
+  longBreakInterval: 4,
+  autoStartBreaks: false,
+  autoStartFocus: false,
+  flowMode: false,                // Continua contando depois do fim do foco (tempo extra).
+  scaleBreaksWithOvertime: false, // A pausa seguinte cresce na mesma proporção do tempo extra.
+  dailyGoalType: 'pomodoros', // 'pomodoros' ou 'minutes'
+  dailyGoalTarget: 8,
+  restDays: [],
+};
+
+const PHASE_SETTING_KEYS = {
+  focus: 'focusMinutes',
+  short: 'shortBreakMinutes',
+  long: 'longBreakMinutes',
+};
+
+export function getPhaseSeconds(settings, phaseId) {
+  return settings[PHASE_SETTING_KEYS[phaseId]] * 60;
+}
+
+export async function loadSettings() {
+  try {
+    const storedSettings = await AsyncStorage.getItem(SETTINGS_STORAGE_KEY);
+    // Mesclamos com o padrão para que opções novas tenham valor mesmo em instalações antigas.
+    return storedSettings ? { ...DEFAULT_SETTINGS, ...JSON.parse(storedSettings) } : DEFAULT_SETTINGS;
+  } catch (error) {
+    console.log('Erro carregando configurações:', error);
+    return DEFAULT_SETTINGS;
+  }
+}
+
+export async function saveSettings(settings) {
+  await AsyncStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
@@ -0,0 +1,129 @@
+import { formatDate, t } from './i18n';
+
+// Cálculos da tela de estatísticas. Tudo aqui é puro: recebe as sessões já
+// carregadas do histórico e devolve os números prontos para exibir, com as
+// datas no idioma atual.
+
+export const RANGES = ['week', 'month', 'year'];
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Período de calendário que contém `today`, deslocado `offset` períodos para
+// trás (-1 é o anterior). Cada período é dividido em barras: a semana em dias,
+// o mês em semanas e o ano em meses.
+export function getPeriod(rangeId, offset = 0, today = new Date()) {
+  if (rangeId === 'week') {
+    const start = addDays(today, -today.getDay() + offset * 7);
+    const buckets = Array.from({ length: 7 }, (_, index) => {
+      const day = addDays(start, index);
+      return {
+        label: formatDate(day, { weekday: 'short' }).replace('.', ''),
+        from: day.getTime(),
+        to: addDays(day, 1).getTime(),
+      };
+    });
+    const end = addDays(start, 7);
+    const format = (date) => formatDate(date, { day: '2-digit', month: '2-digit' });
+    return { title: `${format(start)} – ${format(addDays(end, -1))}`, from: start.getTime(), to: end.getTime(), buckets };
+  }
+
+  if (rangeId === 'month') {
+    const start = new Date(today.getFullYear(), today.getMonth() + offset, 1);
+    const end = new Date(start.getFullYear(), start.getMonth() + 1, 1);
+    const buckets = [];
+    for (let day = start, week = 1; day < end; day = addDays(day, 7), week++) {
+      const next = addDays(day, 7);
+      buckets.push({ label: t('stats.weekBucket', { week }), from: day.getTime(), to: Math.min(next.getTime(), end.getTime()) });
+    }
+    return {
+      title: formatDate(start, { month: 'long', year: 'numeric' }),
+      from: start.getTime(),
+      to: end.getTime(),
+      buckets,
+    };
+  }
+
+  const start = new Date(today.getFullYear() + offset, 0, 1);
+  const buckets = Array.from({ length: 12 }, (_, month) => {
+    const monthStart = new Date(start.getFullYear(), month, 1);
+    return {
+      label: formatDate(monthStart, { month: 'short' }).replace('.', ''),
+      from: monthStart.getTime(),
+      to: new Date(start.getFullYear(), month + 1, 1).getTime(),
+    };
+  });
+  return { title: String(start.getFullYear()), from: start.getTime(), to: new Date(start.getFullYear() + 1, 0, 1).getTime(), buckets };
+}
+
+const focusSessions = (sessions) => sessions.filter(session => session.phase === 'focus');
+
+// Totais de um conjunto de sessões. Uma sessão de foco conta como "não
+// concluída" quando foi abandonada ou pulada depois de já ter começado.
+export function summarizeFocus(sessions) {
+  const focus = focusSessions(sessions).filter(session => session.actualSeconds > 0 || session.status === 'completed');
+  const totalSeconds = focus.reduce((sum, session) => sum + session.actualSeconds, 0);
+  const completed = focus.filter(session => session.status === 'completed').length;
+
+  const secondsByHour = new Array(24).fill(0);
+  focus.forEach(session => {
+    secondsByHour[new Date(session.startedAt).getHours()] += session.actualSeconds;
+  });
+  const bestHourSeconds = Math.max(...secondsByHour);
+
+  return {
+    totalMinutes: Math.round(totalSeconds / 60),
+    completed,
+    unfinished: focus.length - completed,
+    completionRate: focus.length > 0 ? completed / focus.length : null,
+    averageMinutes: focus.length > 0 ? Math.round(totalSeconds / focus.length / 60) : null,
+    bestHour: bestHourSeconds > 0 ? secondsByHour.indexOf(bestHourSeconds) : null,
+  };
+}
+
+export function getFocusMinutesByBucket(sessions, buckets) {
+  const focus = focusSessions(sessions);
+  return buckets.map(bucket => Math.round(
+    focus
+      .filter(session => session.startedAt >= bucket.from && session.startedAt < bucket.to)
+      .reduce((sum, session) => sum + session.actualSeconds, 0) / 60
+  ));
+}
+
+// Minutos de foco e interrupções agrupados por uma chave da sessão (ex.: `taskId`),
+// do maior tempo de foco para o menor.
+export function getFocusMinutesBy(sessions, key) {
+  const totals = new Map();
+  focusSessions(sessions).forEach(session => {
+    const value = session[key] ?? null;
+    const current = totals.get(value) ?? { seconds: 0, interruptions: 0 };
+    totals.set(value, {
+      seconds: current.seconds + session.actualSeconds,
+      interruptions: current.interruptions + (session.interruptionCount ?? 0),
+    });
+  });
+  return [...totals.entries()]
+    .map(([value, { seconds, interruptions }]) => ({ [key]: value, minutes: Math.round(seconds / 60), interruptions }))
+    .filter(entry => entry.minutes > 0 || entry.interruptions > 0)
+    .sort((a, b) => b.minutes - a.minutes);
+}
+
+// Quantas interrupções houve, de que tipo, e em qual barra do período elas mais aconteceram.
+export function summarizeInterruptions(interruptions, buckets) {
+  const counts = buckets.map(bucket => interruptions
+    .filter(interruption => interruption.occurredAt >= bucket.from && interruption.occurredAt < bucket.to)
+    .length);
+  const maxCount = Math.max(0, ...counts);
+
+  return {
+    total: interruptions.length,
+    internal: interruptions.filter(interruption => interruption.kind === 'internal').length,
+    external: interruptions.filter(interruption => interruption.kind === 'external').length,
+    busiestBucket: maxCount > 0 ? buckets[counts.indexOf(maxCount)].label : null,
+  };
+}
+
+// Variação percentual em relação ao período anterior (null se não há base de comparação).
+export function getChange(current, previous) {
+  if (!previous) return null;
+  return (current - previous) / previous;
+}
@@ -0,0 +1,76 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getDatabase } from './db';
+
+// Matérias (disciplinas) com nome e cor. Uma matéria arquivada some da
+// escolha no cronômetro, mas continua aparecendo nas sessões antigas.
+// A matéria escolhida para o próximo foco fica no AsyncStorage.
+
+const SELECTED_SUBJECT_STORAGE_KEY = 'pomodoro_selected_subject';
+
+export const SUBJECT_COLORS = [
+  '#E57373',
+  '#FFB74D',
+  '#FFF176',
+  '#81C784',
+  '#4FC3F7',
+  '#7986CB',
+  '#BA68C8',
+  '#F06292',
+];
+
+function toSubject(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    color: row.color,
+    createdAt: row.created_at,
+    archivedAt: row.archived_at,
+  };
+}
+
+export async function getSubjects({ includeArchived = false } = {}) {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync(
+    `SELECT * FROM subjects ${includeArchived ? '' : 'WHERE archived_at IS NULL'} ORDER BY name COLLATE NOCASE`
+  );
+  return rows.map(toSubject);
+}
+
+export async function createSubject(name, color) {
+  const db = await getDatabase();
+  const result = await db.runAsync(
+    'INSERT INTO subjects (name, color, created_at) VALUES (?, ?, ?)',
+    name,
+    color,
+    Date.now()
+  );
+  return result.lastInsertRowId;
+}
+
+export async function updateSubject(id, { name, color }) {
+  const db = await getDatabase();
+  await db.runAsync('UPDATE subjects SET name = ?, color = ? WHERE id = ?', name, color, id);
+}
+
+export async function setSubjectArchived(id, archived) {
+  const db = await getDatabase();
+  await db.runAsync('UPDATE subjects SET archived_at = ? WHERE id = ?', archived ? Date.now() : null, id);
+}
+
+export async function getSelectedSubjectId() {
+  try {
+    const storedId = await AsyncStorage.getItem(SELECTED_SUBJECT_STORAGE_KEY);
+    return storedId ? Number(storedId) : null;
+  } catch (error) {
+    console.log('Erro carregando matéria escolhida:', error);
+    return null;
+  }
+}
+
+export async function setSelectedSubjectId(id) {
+  if (id === null) {
+    await AsyncStorage.removeItem(SELECTED_SUBJECT_STORAGE_KEY);
+  } else {
+    await AsyncStorage.setItem(SELECTED_SUBJECT_STORAGE_KEY, String(id));
+  }
+}
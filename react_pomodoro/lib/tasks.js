@@ -0,0 +1,109 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getDatabase } from './db';
+
+// Tarefas de estudo guardadas no SQLite. Os pomodoros "reais" de uma tarefa
+// são as sessões de foco concluídas enquanto ela era a tarefa ativa.
+// A tarefa ativa fica no AsyncStorage, junto com o restante do estado do cronômetro.
+
+const ACTIVE_TASK_STORAGE_KEY = 'pomodoro_active_task';
+
+const TASK_COLUMNS = `
+  tasks.*,
+  (SELECT COUNT(*) FROM sessions
+   WHERE sessions.task_id = tasks.id AND sessions.phase = 'focus' AND sessions.status = 'completed'
+  ) AS actual_pomodoros`;
+
+function toTask(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    estimatedPomodoros: row.estimated_pomodoros,
+    actualPomodoros: row.actual_pomodoros,
+    position: row.position,
+    createdAt: row.created_at,
+    completedAt: row.completed_at,
+    archivedAt: row.archived_at,
+  };
+}
+
+export async function getTasks({ includeArchived = false } = {}) {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync(
+    `SELECT ${TASK_COLUMNS} FROM tasks
+     ${includeArchived ? '' : 'WHERE archived_at IS NULL'}
+     ORDER BY position`
+  );
+  return rows.map(toTask);
+}
+
+export async function getTask(id) {
+  const db = await getDatabase();
+  const row = await db.getFirstAsync(`SELECT ${TASK_COLUMNS} FROM tasks WHERE id = ?`, id);
+  return row ? toTask(row) : null;
+}
+
+export async function createTask(title, estimatedPomodoros) {
+  const db = await getDatabase();
+  const { next_position: position } = await db.getFirstAsync(
+    'SELECT COALESCE(MAX(position), 0) + 1 AS next_position FROM tasks'
+  );
+  const result = await db.runAsync(
+    'INSERT INTO tasks (title, estimated_pomodoros, position, created_at) VALUES (?, ?, ?, ?)',
+    title,
+    estimatedPomodoros,
+    position,
+    Date.now()
+  );
+  return result.lastInsertRowId;
+}
+
+export async function setTaskCompleted(id, completed) {
+  const db = await getDatabase();
+  await db.runAsync('UPDATE tasks SET completed_at = ? WHERE id = ?', completed ? Date.now() : null, id);
+}
+
+export async function setTaskArchived(id, archived) {
+  const db = await getDatabase();
+  await db.runAsync('UPDATE tasks SET archived_at = ? WHERE id = ?', archived ? Date.now() : null, id);
+}
+
+// Troca a tarefa de lugar com a vizinha de cima (-1) ou de baixo (+1) entre as não arquivadas.
+export async function moveTask(id, direction) {
+  const db = await getDatabase();
+  const tasks = await getTasks();
+  const index = tasks.findIndex(task => task.id === id);
+  const neighbor = tasks[index + direction];
+  if (index < 0 || !neighbor) return;
+
+  await db.withTransactionAsync(async () => {
+    await db.runAsync('UPDATE tasks SET position = ? WHERE id = ?', neighbor.position, id);
+    await db.runAsync('UPDATE tasks SET position = ? WHERE id = ?', tasks[index].position, neighbor.id);
+  });
+}
+
+export async function getActiveTaskId() {
+  try {
+    const storedId = await AsyncStorage.getItem(ACTIVE_TASK_STORAGE_KEY);
+    return storedId ? Number(storedId) : null;
+  } catch (error) {
+    console.log('Erro carregando tarefa ativa:', error);
+    return null;
+  }
+}
+
+export async function setActiveTaskId(id) {
+  if (id === null) {
+    await AsyncStorage.removeItem(ACTIVE_TASK_STORAGE_KEY);
+  } else {
+    await AsyncStorage.setItem(ACTIVE_TASK_STORAGE_KEY, String(id));
+  }
+}
+
+// A tarefa ativa só vale enquanto estiver aberta (nem concluída, nem arquivada).
+export async function getActiveTask() {
+  const id = await getActiveTaskId();
+  if (id === null) return null;
+
+  const task = await getTask(id);
+  return task && !task.completedAt && !task.archivedAt ? task : null;
+}
@@ -0,0 +1,220 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Temas de cores do app. Cada tema tem uma versão clara e uma escura; qual
+// delas vale segue a aparência do sistema, a não ser que o usuário escolha
+// uma na tela de aparência.
+//
+// As cores base (`colors`) valem para todas as telas. Cada fase do Pomodoro
+// tem ainda a sua paleta (`phases`), que troca o destaque, a borda e o fundo
+// dos cartões no cronômetro. Os destaques são sempre "#RRGGBB", para as telas
+// poderem somar transparência (`${colors.accent}40`).
+//
+// Os nomes dos temas e das aparências ficam nos catálogos de idioma
+// (`theme.themes` e `theme.appearances`).
+
+export const THEME_STORAGE_KEY = 'pomodoro_theme';
+
+export const APPEARANCES = ['system', 'light', 'dark'];
+
+const phase = (accent, border, surface) => ({ accent, border, surface });
+
+export const THEMES = [
+  {
+    id: 'lavender',
+    dark: {
+      colors: {
+        background: '#021123',
+        surface: '#14448080',
+        border: '#144480',
+        text: '#FFFFFF',
+        textMuted: '#98A0A8',
+        accent: '#B872FF',
+        onAccent: '#021123',
+        control: 'rgba(255, 255, 255, 0.1)',
+        overlay: 'rgba(0, 0, 0, 0.7)',
+        danger: '#FF6B6B',
+      },
+      phases: {
+        focus: phase('#B872FF', '#144480', '#14448080'),
+        short: phase('#4FD1C5', '#1D5E63', '#1D5E6380'),
+        long: phase('#7AA7FF', '#2B4C8C', '#2B4C8C80'),
+      },
+    },
+    light: {
+      colors: {
+        background: '#F4F1FA',
+        surface: '#FFFFFF',
+        border: '#D8CCF0',
+        text: '#1B1530',
+        textMuted: '#6B6580',
+        accent: '#7B3FD1',
+        onAccent: '#FFFFFF',
+        control: 'rgba(0, 0, 0, 0.06)',
+        overlay: 'rgba(0, 0, 0, 0.5)',
+        danger: '#C62828',
+      },
+      phases: {
+        focus: phase('#7B3FD1', '#D8CCF0', '#FFFFFF'),
+        short: phase('#0F8A80', '#BFE5E1', '#F2FBFA'),
+        long: phase('#2F5FC4', '#C6D5F2', '#F3F6FD'),
+      },
+    },
+  },
+  {
+    id: 'forest',
+    dark: {
+      colors: {
+        background: '#0E1A14',
+        surface: '#1F3A2C80',
+        border: '#2E5A43',
+        text: '#F1F5F2',
+        textMuted: '#9AAA9F',
+        accent: '#6FCF97',
+        onAccent: '#0E1A14',
+        control: 'rgba(255, 255, 255, 0.1)',
+        overlay: 'rgba(0, 0, 0, 0.7)',
+        danger: '#FF7B72',
+      },
+      phases: {
+        focus: phase('#6FCF97', '#2E5A43', '#1F3A2C80'),
+        short: phase('#F2C94C', '#5A4B1E', '#5A4B1E80'),
+        long: phase('#56CCF2', '#1E4A5A', '#1E4A5A80'),
+      },
+    },
+    light: {
+      colors: {
+        background: '#F3F7F2',
+        surface: '#FFFFFF',
+        border: '#CFE0D2',
+        text: '#14261B',
+        textMuted: '#5E6E63',
+        accent: '#2E7D4F',
+        onAccent: '#FFFFFF',
+        control: 'rgba(0, 0, 0, 0.06)',
+        overlay: 'rgba(0, 0, 0, 0.5)',
+        danger: '#C62828',
+      },
+      phases: {
+        focus: phase('#2E7D4F', '#CFE0D2', '#FFFFFF'),
+        short: phase('#A66B00', '#EBD9B0', '#FFF9EC'),
+        long: phase('#1D6F8F', '#BFDCE7', '#F1F8FB'),
+      },
+    },
+  },
+  {
+    id: 'ocean',
+    dark: {
+      colors: {
+        background: '#06141F',
+        surface: '#0F304A80',
+        border: '#1B4A6B',
+        text: '#EAF4FB',
+        textMuted: '#8FA6B5',
+        accent: '#3FB8F5',
+        onAccent: '#06141F',
+        control: 'rgba(255, 255, 255, 0.1)',
+        overlay: 'rgba(0, 0, 0, 0.7)',
+        danger: '#FF7B72',
+      },
+      phases: {
+        focus: phase('#3FB8F5', '#1B4A6B', '#0F304A80'),
+        short: phase('#FF9F7A', '#6B3A2A', '#6B3A2A80'),
+        long: phase('#8E9BFF', '#33386B', '#33386B80'),
+      },
+    },
+    light: {
+      colors: {
+        background: '#EFF6FB',
+        surface: '#FFFFFF',
+        border: '#C7DDEB',
+        text: '#0C2233',
+        textMuted: '#5A6B78',
+        accent: '#0B6FA4',
+        onAccent: '#FFFFFF',
+        control: 'rgba(0, 0, 0, 0.06)',
+        overlay: 'rgba(0, 0, 0, 0.5)',
+        danger: '#C62828',
+      },
+      phases: {
+        focus: phase('#0B6FA4', '#C7DDEB', '#FFFFFF'),
+        short: phase('#C2502A', '#F0CDBF', '#FDF4F0'),
+        long: phase('#4B55C8', '#CFD2F2', '#F4F5FD'),
+      },
+    },
+  },
+  {
+    id: 'contrast',
+    dark: {
+      colors: {
+        background: '#000000',
+        surface: '#000000',
+        border: '#FFFFFF',
+        text: '#FFFFFF',
+        textMuted: '#E0E0E0',
+        accent: '#FFD400',
+        onAccent: '#000000',
+        control: 'rgba(255, 255, 255, 0.2)',
+        overlay: 'rgba(0, 0, 0, 0.85)',
+        danger: '#FF5A5A',
+      },
+      phases: {
+        focus: phase('#FFD400', '#FFFFFF', '#000000'),
+        short: phase('#00E5FF', '#FFFFFF', '#000000'),
+        long: phase('#7CFF6B', '#FFFFFF', '#000000'),
+      },
+    },
+    light: {
+      colors: {
+        background: '#FFFFFF',
+        surface: '#FFFFFF',
+        border: '#000000',
+        text: '#000000',
+        textMuted: '#1F1F1F',
+        accent: '#0033CC',
+        onAccent: '#FFFFFF',
+        control: 'rgba(0, 0, 0, 0.12)',
+        overlay: 'rgba(0, 0, 0, 0.7)',
+        danger: '#B00020',
+      },
+      phases: {
+        focus: phase('#0033CC', '#000000', '#FFFFFF'),
+        short: phase('#006B3C', '#000000', '#FFFFFF'),
+        long: phase('#8A0000', '#000000', '#FFFFFF'),
+      },
+    },
+  },
+];
+
+export const DEFAULT_THEME_SETTINGS = {
+  themeId: 'lavender',
+  appearance: 'system',
+};
+
+export async function loadThemeSettings() {
+  try {
+    const storedSettings = await AsyncStorage.getItem(THEME_STORAGE_KEY);
+    return storedSettings ? { ...DEFAULT_THEME_SETTINGS, ...JSON.parse(storedSettings) } : DEFAULT_THEME_SETTINGS;
+  } catch (error) {
+    console.log('Erro carregando tema:', error);
+    return DEFAULT_THEME_SETTINGS;
+  }
+}
+
+export async function saveThemeSettings(themeSettings) {
+  await AsyncStorage.setItem(THEME_STORAGE_KEY, JSON.stringify(themeSettings));
+}
+
+// O tema em uso: `systemScheme` é o do useColorScheme ('light', 'dark' ou
+// null quando o sistema não informa, e aí fica o escuro, o visual original).
+export function resolveTheme(themeSettings, systemScheme) {
+  const theme = THEMES.find(t => t.id === themeSettings.themeId) ?? THEMES[0];
+  const scheme = themeSettings.appearance === 'system'
+    ? (systemScheme === 'light' ? 'light' : 'dark')
+    : themeSettings.appearance;
+  return { id: theme.id, dark: scheme === 'dark', ...theme[scheme] };
+}
+
+// As cores base com a paleta da fase por cima.
+export function getPhaseColors(theme, phaseId) {
+  return { ...theme.colors, ...theme.phases[phaseId] };
+}
@@ -0,0 +1,107 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Motor do cronômetro baseado no relógio do sistema.
+// Em vez de decrementar um contador a cada segundo (o que atrasa e congela
+// quando o app vai para segundo plano), guardamos quando a sessão começou e
+// o horário previsto de término. O tempo restante é sempre calculado a partir
+// de `Date.now()`, então a sessão sobrevive a recargas e ao app ser fechado.
+
+const TIMER_STORAGE_KEY = 'pomodoro_timer';
+
+export function createTimer(phaseId, durationSeconds) {
+  return {
+    phaseId,
+    durationMs: durationSeconds * 1000,
+    remainingMs: durationSeconds * 1000, // Tempo restante enquanto o cronômetro está parado.
+    startedAt: null,                     // Instante em que a sessão começou de fato.
+    endsAt: null,                        // Horário previsto de término (só enquanto está rodando).
+    isRunning: false,
+    pauseCount: 0,
+    pausedAt: null,                      // Início da pausa atual, se houver.
+    pausedMs: 0,                         // Soma das pausas já encerradas.
+    interruptions: [],                   // Interrupções registradas durante a fase.
+    overtime: false,                     // Modo fluxo: o tempo acabou e o extra está sendo contado.
+  };
+}
+
+export function getRemainingMs(timer, now = Date.now()) {
+  if (!timer.isRunning) return timer.remainingMs;
+  return Math.max(0, timer.endsAt - now);
+}
+
+export function startTimer(timer, now = Date.now()) {
+  if (timer.isRunning || timer.remainingMs <= 0) return timer;
+  return {
+    ...timer,
+    isRunning: true,
+    startedAt: timer.startedAt ?? now,
+    endsAt: now + timer.remainingMs,
+    pausedAt: null,
+    pausedMs: (timer.pausedMs ?? 0) + (timer.pausedAt ? now - timer.pausedAt : 0),
+  };
+}
+
+export function pauseTimer(timer, now = Date.now()) {
+  if (!timer.isRunning) return timer;
+  return {
+    ...timer,
+    isRunning: false,
+    remainingMs: getRemainingMs(timer, now),
+    endsAt: null,
+    pauseCount: (timer.pauseCount ?? 0) + 1,
+    pausedAt: now,
+  };
+}
+
+// Tempo total parado desde o início da fase, incluindo a pausa em andamento.
+export function getPausedMs(timer, now = Date.now()) {
+  return (timer.pausedMs ?? 0) + (timer.pausedAt ? now - timer.pausedAt : 0);
+}
+
+export function addInterruption(timer, kind, note, now = Date.now()) {
+  return {
+    ...timer,
+    interruptions: [...(timer.interruptions ?? []), { kind, note: note || null, occurredAt: now }],
+  };
+}
+
+// No modo fluxo, o foco não para ao chegar a zero: o cronômetro segue rodando e
+// conta o tempo extra a partir de `endsAt` até o usuário encerrar a fase.
+export function startOvertime(timer) {
+  return { ...timer, overtime: true };
+}
+
+export function getOvertimeMs(timer, now = Date.now()) {
+  return timer.overtime ? Math.max(0, now - timer.endsAt) : 0;
+}
+
+export function finishTimer(timer) {
+  return { ...timer, isRunning: false, remainingMs: 0, endsAt: null };
+}
+
+// Formata segundos como MM:SS, ou H:MM:SS quando passa de uma hora.
+export function formatTime(totalSeconds) {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+}
+
+export async function loadTimer() {
+  try {
+    const storedTimer = await AsyncStorage.getItem(TIMER_STORAGE_KEY);
+    return storedTimer ? JSON.parse(storedTimer) : null;
+  } catch (error) {
+    console.log('Erro carregando cronômetro:', error);
+    return null;
+  }
+}
+
+export async function saveTimer(timer) {
+  try {
+    await AsyncStorage.setItem(TIMER_STORAGE_KEY, JSON.stringify(timer));
+  } catch (error) {
+    console.log('Erro salvando cronômetro:', error);
+  }
+}